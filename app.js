@@ -4,357 +4,158 @@
  *
  * Two takes (A then B) of the same synth patch; exactly one knob differs between takes.
  * Web Audio only (no samples, no frameworks).
+ *
+ * This file is the browser UI; everything it builds on lives in core.js.
  */
 
-// All tunables live here.
-const SETTINGS = {
-  DEBUG_SHOW_ANSWER: false,
-  DEBUG_LOG_ROUNDS: false,
-
-  ROUNDS_PER_GAME: 10,
-  FEEDBACK_ADVANCE_MS: 900,
-
-  TAKE_SECONDS: 2.0,
-  SILENCE_GAP_SECONDS: 0.25,
-  LOOP_CYCLE_PAUSE_SECONDS: 0.35,
-  TAKE_FADE_SECONDS: 0.02,
-  SCHEDULING_LEAD_SECONDS: 0.05,
-  TAKE_CLEANUP_EXTRA_SECONDS: 0.15,
-
-  // "Bullfrog like" synth voice.
-  OSC_TYPE: "sawtooth",
-  NOTE_FREQUENCIES_HZ: [98.0, 110.0, 130.81, 146.83, 164.81], // G2, A2, C3, D3, E3
-  NOTE_TIMES_SECONDS: [0.0, 0.33, 0.66, 1.0, 1.33, 1.66], // 6 hits over 2 seconds
-
-  // Amp envelope: A=5ms, D=DECAY knob, S=0, R=50ms.
-  AMP_ATTACK_SECONDS: 0.005,
-  AMP_RELEASE_SECONDS: 0.05,
-
-  // Filter envelope: A=5ms, D=DECAY knob, fixed amount.
-  FILTER_ENV_ATTACK_SECONDS: 0.005,
-  // Keep this modest so the base cutoff knob stays audible during the transient.
-  FILTER_ENV_AMOUNT_HZ: 500,
-  FILTER_STACK_SIZE: 2,
-  FILTER_STACK_Q2: 0.707,
-
-  // Loudness control.
-  MASTER_GAIN: 0.85,
-  VOICE_PEAK_GAIN: 0.11,
-  USE_LIMITER: true,
-  LIMITER_THRESHOLD_DB: -12,
-  LIMITER_KNEE_DB: 18,
-  LIMITER_RATIO: 12,
-  LIMITER_ATTACK_SECONDS: 0.003,
-  LIMITER_RELEASE_SECONDS: 0.11,
-
-  // Knobs and ranges.
-  CUTOFF_BASE_HZ_MIN: 250,
-  CUTOFF_BASE_HZ_MAX: 2500,
-  // More drastic than the original spec, per request.
-  CUTOFF_CHANGE_MULTIPLIERS: [2.6, 0.38],
-  // >1 biases the random cutoff towards the low end (easier for beginners to hear).
-  CUTOFF_BASE_LOG_SKEW: 1.8,
-
-  RESONANCE_BASE_Q_MIN: 0.5,
-  RESONANCE_BASE_Q_MAX: 8.0,
-  RESONANCE_CHANGE_DELTA_Q: 2.0,
-  RESONANCE_Q_MIN: 0.5,
-  RESONANCE_Q_MAX: 12.0,
-
-  DECAY_BASE_MS_MIN: 120,
-  DECAY_BASE_MS_MAX: 1200,
-  DECAY_CHANGE_MULTIPLIERS: [1.6, 0.6],
-  DECAY_MS_MIN: 80,
-  DECAY_MS_MAX: 2000,
-};
-
-const KNOBS = [
-  { id: "cutoff", label: "Cutoff" },
-  { id: "resonance", label: "Resonance" },
-  { id: "decay", label: "Decay" },
-];
-const KNOB_BY_ID = Object.fromEntries(KNOBS.map((k) => [k.id, k]));
-
-const PARAM_EPS = 1e-9;
-
-const PHASE_A = "a";
-const PHASE_GAP = "gap";
-const PHASE_B = "b";
-const PHASE_ANSWER = "answer";
-
-function clamp(x, min, max) {
-  return Math.min(max, Math.max(min, x));
+// (3e) Browser storage: history, current settings and presets.
+function loadHistory() {
+  try {
+    const raw = window.localStorage.getItem(SETTINGS.HISTORY_STORAGE_KEY);
+    if (!raw) return [];
+    const games = JSON.parse(raw);
+    return Array.isArray(games) ? games.filter(isGameRecord) : [];
+  } catch (error) {
+    console.warn("[Bullfrog] could not read history", error);
+    return [];
+  }
 }
 
-function randFloat(min, max) {
-  return min + Math.random() * (max - min);
+function saveHistory(games) {
+  const kept = games.slice(-SETTINGS.HISTORY_MAX_GAMES);
+  try {
+    window.localStorage.setItem(SETTINGS.HISTORY_STORAGE_KEY, JSON.stringify(kept));
+  } catch (error) {
+    console.warn("[Bullfrog] could not save history", error);
+  }
+  return kept;
 }
 
-function randLogFloat(min, max) {
-  const safeMin = Math.max(1e-6, min);
-  const safeMax = Math.max(safeMin * 1.000001, max);
-  const u = Math.random();
-  return safeMin * Math.exp(Math.log(safeMax / safeMin) * u);
+function readStoredJson(key, fallback) {
+  try {
+    const raw = window.localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (error) {
+    console.warn("[Bullfrog] could not read %s", key, error);
+    return fallback;
+  }
 }
 
-function randLogFloatSkew(min, max, skewPower) {
-  const safeSkew = Math.max(0.05, Number.isFinite(skewPower) ? skewPower : 1.0);
-  const u = Math.pow(Math.random(), safeSkew);
-  const safeMin = Math.max(1e-6, min);
-  const safeMax = Math.max(safeMin * 1.000001, max);
-  return safeMin * Math.exp(Math.log(safeMax / safeMin) * u);
+function writeStoredJson(key, value) {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.warn("[Bullfrog] could not save %s", key, error);
+  }
 }
 
-function pick(arr) {
-  return arr[Math.floor(Math.random() * arr.length)];
+// { [name]: overrides }
+function loadPresets() {
+  const presets = readStoredJson(SETTINGS.PRESETS_STORAGE_KEY, {});
+  return presets && typeof presets === "object" && !Array.isArray(presets) ? presets : {};
 }
 
-function shuffle(list) {
-  const arr = list.slice();
-  for (let i = arr.length - 1; i > 0; i -= 1) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [arr[i], arr[j]] = [arr[j], arr[i]];
-  }
-  return arr;
+function savePreset(name, overrides) {
+  const clean = String(name || "").trim();
+  if (!clean) throw new Error("Give the preset a name.");
+  const presets = loadPresets();
+  presets[clean] = overrides;
+  writeStoredJson(SETTINGS.PRESETS_STORAGE_KEY, presets);
+  return clean;
 }
 
-function nearEqual(a, b, eps = PARAM_EPS) {
-  return Math.abs(a - b) <= eps;
+function deletePreset(name) {
+  const presets = loadPresets();
+  delete presets[name];
+  writeStoredJson(SETTINGS.PRESETS_STORAGE_KEY, presets);
 }
 
-function formatKnob(id) {
-  return (KNOB_BY_ID[id] && KNOB_BY_ID[id].label) || id;
+// { [leaderboardKey]: entries }
+function loadLeaderboards() {
+  const boards = readStoredJson(SETTINGS.LEADERBOARD_STORAGE_KEY, {});
+  return boards && typeof boards === "object" && !Array.isArray(boards) ? boards : {};
 }
 
-function msToSec(ms) {
-  return ms / 1000;
+// Adds the run to its board; returns { entries, rank } (see addLeaderboardEntry).
+function recordLeaderboardRun(key, entry) {
+  const boards = loadLeaderboards();
+  const stored = Array.isArray(boards[key]) ? boards[key] : [];
+  const result = addLeaderboardEntry(stored, entry);
+  boards[key] = result.entries;
+  writeStoredJson(SETTINGS.LEADERBOARD_STORAGE_KEY, boards);
+  return result;
 }
 
-// (1) Audio engine + envelope scheduling.
-function createAudioEngine(ctx) {
-  const masterGain = ctx.createGain();
-  masterGain.gain.value = SETTINGS.MASTER_GAIN;
-
-  let limiter = null;
-  if (SETTINGS.USE_LIMITER) {
-    limiter = ctx.createDynamicsCompressor();
-    limiter.threshold.value = SETTINGS.LIMITER_THRESHOLD_DB;
-    limiter.knee.value = SETTINGS.LIMITER_KNEE_DB;
-    limiter.ratio.value = SETTINGS.LIMITER_RATIO;
-    limiter.attack.value = SETTINGS.LIMITER_ATTACK_SECONDS;
-    limiter.release.value = SETTINGS.LIMITER_RELEASE_SECONDS;
-    masterGain.connect(limiter);
-    limiter.connect(ctx.destination);
-  } else {
-    masterGain.connect(ctx.destination);
-  }
-
-  return { ctx, masterGain, limiter };
+// { selected: curriculum id, progress } (progress: see stageStatuses).
+function loadLessons() {
+  const saved = readStoredJson(SETTINGS.LESSONS_STORAGE_KEY, null) || {};
+  return {
+    selected: typeof saved.selected === "string" ? saved.selected : DEFAULT_CURRICULUM.id,
+    progress: saved.progress && typeof saved.progress === "object" ? saved.progress : {},
+  };
 }
 
-function scheduleTakeFade(gainParam, startTime, durationSeconds) {
-  const fade = clamp(SETTINGS.TAKE_FADE_SECONDS, 0.001, durationSeconds / 2);
-  const endTime = startTime + durationSeconds;
-  const fadeOutStart = endTime - fade;
-
-  gainParam.cancelScheduledValues(startTime);
-  gainParam.setValueAtTime(0.0, startTime);
-  gainParam.linearRampToValueAtTime(1.0, startTime + fade);
-  gainParam.setValueAtTime(1.0, fadeOutStart);
-  gainParam.linearRampToValueAtTime(0.0, endTime);
+function saveLessons(lessons) {
+  writeStoredJson(SETTINGS.LESSONS_STORAGE_KEY, lessons);
 }
 
-function scheduleVoice(ctx, destination, params, noteStartTime, hardStopTime) {
-  const osc = ctx.createOscillator();
-  osc.type = SETTINGS.OSC_TYPE;
-  osc.frequency.setValueAtTime(params.noteFreqHz, noteStartTime);
-
-  const stackSize = clamp(Math.floor(SETTINGS.FILTER_STACK_SIZE || 1), 1, 4);
-  const filters = [];
-  for (let i = 0; i < stackSize; i += 1) {
-    const f = ctx.createBiquadFilter();
-    f.type = "lowpass";
-    const q = i === 0 ? params.resonanceQ : SETTINGS.FILTER_STACK_Q2;
-    f.Q.setValueAtTime(q, noteStartTime);
-    filters.push(f);
-  }
-
-  const noteGain = ctx.createGain();
-  noteGain.gain.setValueAtTime(0.0, noteStartTime);
-
-  osc.connect(filters[0]);
-  for (let i = 0; i < filters.length - 1; i += 1) {
-    filters[i].connect(filters[i + 1]);
-  }
-  filters[filters.length - 1].connect(noteGain);
-  noteGain.connect(destination);
-
-  const attack = SETTINGS.AMP_ATTACK_SECONDS;
-  const release = SETTINGS.AMP_RELEASE_SECONDS;
-  const decay = msToSec(params.decayMs);
-  const nearZero = 0.0001;
-
-  // Amp envelope: A=5ms, D=DECAY, S=0, R=50ms.
-  noteGain.gain.setValueAtTime(0.0, noteStartTime);
-  noteGain.gain.linearRampToValueAtTime(SETTINGS.VOICE_PEAK_GAIN, noteStartTime + attack);
-  noteGain.gain.linearRampToValueAtTime(nearZero, noteStartTime + attack + decay);
-  noteGain.gain.linearRampToValueAtTime(0.0, noteStartTime + attack + decay + release);
-
-  // Filter envelope: A=5ms, D=DECAY, fixed amount.
-  const baseCutoff = clamp(params.cutoffHz, 20, 20000);
-  const envPeak = clamp(baseCutoff + SETTINGS.FILTER_ENV_AMOUNT_HZ, 20, 20000);
-  for (const f of filters) {
-    f.frequency.setValueAtTime(baseCutoff, noteStartTime);
-    // Exponential ramps sound more natural for frequency sweeps.
-    f.frequency.exponentialRampToValueAtTime(envPeak, noteStartTime + SETTINGS.FILTER_ENV_ATTACK_SECONDS);
-    f.frequency.exponentialRampToValueAtTime(baseCutoff, noteStartTime + SETTINGS.FILTER_ENV_ATTACK_SECONDS + decay);
-  }
-
-  const naturalEndTime = noteStartTime + attack + decay + release;
-  const stopAt = Math.max(noteStartTime + 0.01, Math.min(naturalEndTime, hardStopTime));
-
-  osc.start(noteStartTime);
-  osc.stop(stopAt);
-
-  osc.onended = () => {
+// The built-in curriculum, then the ones teachers loaded (stored as loaded; any that no longer parse are
+// skipped).
+function loadCurricula() {
+  const stored = readStoredJson(SETTINGS.CURRICULA_STORAGE_KEY, []);
+  const curricula = [parseCurriculum(DEFAULT_CURRICULUM)];
+  for (const raw of Array.isArray(stored) ? stored : []) {
     try {
-      osc.disconnect();
-    } catch (_error) {}
-    for (const f of filters) {
-      try {
-        f.disconnect();
-      } catch (_error) {}
+      curricula.push(parseCurriculum(raw));
+    } catch (error) {
+      console.warn("[Bullfrog] stored curriculum ignored", error);
     }
-    try {
-      noteGain.disconnect();
-    } catch (_error) {}
-  };
-}
-
-// (2) playTake(params, when): schedules one 2.0s take with fades and repeated "croak" hits.
-function playTake(engine, params, when, destination) {
-  const { ctx, masterGain } = engine;
-  const out = destination || masterGain;
-
-  const takeGain = ctx.createGain();
-  takeGain.connect(out);
-
-  scheduleTakeFade(takeGain.gain, when, SETTINGS.TAKE_SECONDS);
-
-  const hardStopTime = when + SETTINGS.TAKE_SECONDS + SETTINGS.TAKE_CLEANUP_EXTRA_SECONDS;
-  for (const t of SETTINGS.NOTE_TIMES_SECONDS) {
-    scheduleVoice(ctx, takeGain, params, when + t, hardStopTime);
   }
-
-  const cleanupAt = hardStopTime;
-  const cleanupMs = Math.max(0, (cleanupAt - ctx.currentTime) * 1000);
-  window.setTimeout(() => {
-    try {
-      takeGain.disconnect();
-    } catch (_error) {}
-  }, cleanupMs);
-
-  return when + SETTINGS.TAKE_SECONDS;
+  return curricula;
 }
 
-function playRound(engine, round, when, destination) {
-  const aStart = when;
-  const aEnd = playTake(engine, round.takeA, aStart, destination);
-  const bStart = aEnd + SETTINGS.SILENCE_GAP_SECONDS;
-  const bEnd = playTake(engine, round.takeB, bStart, destination);
-  return { aStart, aEnd, bStart, bEnd, endAt: bEnd };
+// Adds a loaded curriculum, replacing an earlier one with the same id. Returns it parsed.
+function saveCurriculum(raw) {
+  const curriculum = parseCurriculum(raw);
+  if (curriculum.id === DEFAULT_CURRICULUM.id) throw new Error(`The id "${curriculum.id}" is the built-in course's.`);
+  const stored = readStoredJson(SETTINGS.CURRICULA_STORAGE_KEY, []);
+  const others = (Array.isArray(stored) ? stored : []).filter((c) => !c || c.id !== raw.id);
+  writeStoredJson(SETTINGS.CURRICULA_STORAGE_KEY, others.concat([raw]));
+  return curriculum;
 }
 
-// (3) Round generator + validation.
-function generateRounds() {
-  const rounds = [];
-
-  // Each knob appears at least 3 times across 10 rounds: 3 + 3 + 3 + 1 = 10.
-  const knobBag = [];
-  for (const k of KNOBS) {
-    for (let i = 0; i < 3; i += 1) knobBag.push(k.id);
-  }
-  knobBag.push(pick(KNOBS).id);
-  const changedKnobs = shuffle(knobBag);
-
-  for (let i = 0; i < SETTINGS.ROUNDS_PER_GAME; i += 1) {
-    const changedKnob = changedKnobs[i];
-
-    const base = {
-      cutoffHz: randLogFloatSkew(
-        SETTINGS.CUTOFF_BASE_HZ_MIN,
-        SETTINGS.CUTOFF_BASE_HZ_MAX,
-        SETTINGS.CUTOFF_BASE_LOG_SKEW,
-      ),
-      resonanceQ: randFloat(SETTINGS.RESONANCE_BASE_Q_MIN, SETTINGS.RESONANCE_BASE_Q_MAX),
-      decayMs: randFloat(SETTINGS.DECAY_BASE_MS_MIN, SETTINGS.DECAY_BASE_MS_MAX),
-      noteFreqHz: pick(SETTINGS.NOTE_FREQUENCIES_HZ),
-    };
-
-    const takeA = { ...base };
-    const takeB = { ...base };
-
-    if (changedKnob === "cutoff") {
-      takeB.cutoffHz = takeA.cutoffHz * pick(SETTINGS.CUTOFF_CHANGE_MULTIPLIERS);
-    } else if (changedKnob === "resonance") {
-      const sign = Math.random() < 0.5 ? -1 : 1;
-      takeB.resonanceQ = clamp(
-        takeA.resonanceQ + sign * SETTINGS.RESONANCE_CHANGE_DELTA_Q,
-        SETTINGS.RESONANCE_Q_MIN,
-        SETTINGS.RESONANCE_Q_MAX,
-      );
-    } else if (changedKnob === "decay") {
-      takeB.decayMs = clamp(
-        takeA.decayMs * pick(SETTINGS.DECAY_CHANGE_MULTIPLIERS),
-        SETTINGS.DECAY_MS_MIN,
-        SETTINGS.DECAY_MS_MAX,
-      );
-    } else {
-      throw new Error(`Unknown knob id: ${changedKnob}`);
-    }
-
-    rounds.push({ index: i, changedKnob, takeA, takeB });
-  }
-
-  return rounds;
+function deleteCurriculum(id) {
+  const stored = readStoredJson(SETTINGS.CURRICULA_STORAGE_KEY, []);
+  writeStoredJson(
+    SETTINGS.CURRICULA_STORAGE_KEY,
+    (Array.isArray(stored) ? stored : []).filter((c) => !c || c.id !== id),
+  );
 }
 
-function validateRounds(rounds) {
-  const errors = [];
-  if (!Array.isArray(rounds)) errors.push("Rounds is not an array.");
-  if (rounds.length !== SETTINGS.ROUNDS_PER_GAME) errors.push(`Expected ${SETTINGS.ROUNDS_PER_GAME} rounds.`);
-
-  const counts = Object.fromEntries(KNOBS.map((k) => [k.id, 0]));
-
-  for (const r of rounds) {
-    counts[r.changedKnob] = (counts[r.changedKnob] || 0) + 1;
-
-    const a = r.takeA;
-    const b = r.takeB;
-    const diffs = [];
-
-    if (!nearEqual(a.noteFreqHz, b.noteFreqHz)) errors.push(`Round ${r.index + 1}: noteFreq differs (not allowed).`);
-    if (!nearEqual(a.cutoffHz, b.cutoffHz)) diffs.push("cutoff");
-    if (!nearEqual(a.resonanceQ, b.resonanceQ)) diffs.push("resonance");
-    if (!nearEqual(a.decayMs, b.decayMs)) diffs.push("decay");
+// Missed rounds waiting for review (see addMissedRound).
+function loadReviews() {
+  return sanitizeReviewQueue(readStoredJson(SETTINGS.REVIEWS_STORAGE_KEY, []));
+}
 
-    if (diffs.length !== 1) {
-      errors.push(`Round ${r.index + 1}: expected 1 knob change, got ${diffs.length} (${diffs.join(", ") || "none"}).`);
-    } else if (diffs[0] !== r.changedKnob) {
-      errors.push(`Round ${r.index + 1}: changedKnob says "${r.changedKnob}" but diff is "${diffs[0]}".`);
-    }
-  }
+function saveReviews(queue) {
+  writeStoredJson(SETTINGS.REVIEWS_STORAGE_KEY, queue);
+}
 
-  for (const k of KNOBS) {
-    if ((counts[k.id] || 0) < 3) errors.push(`Knob "${k.id}" appears ${(counts[k.id] || 0)} times (< 3).`);
-  }
+// { enabled, bindings }: whether to reconnect MIDI on load, and the learned bindings.
+function loadMidiSetup() {
+  const saved = readStoredJson(SETTINGS.MIDI_STORAGE_KEY, null) || {};
+  return { enabled: saved.enabled === true, bindings: sanitizeMidiBindings(saved.bindings) };
+}
 
-  return { ok: errors.length === 0, errors, counts };
+function saveMidiSetup() {
+  writeStoredJson(SETTINGS.MIDI_STORAGE_KEY, { enabled: state.midi !== null, bindings: state.midiBindings });
 }
 
 function bullfrogSelfTest(rounds) {
   const { ok, errors, counts } = validateRounds(rounds);
-  const dist = KNOBS.map((k) => `${k.id}=${counts[k.id] || 0}`).join(" ");
+  const dist = Object.keys(counts)
+    .map((id) => `${id}=${counts[id]}`)
+    .join(" ");
   console.log("[Bullfrog self-test] rounds=%d distribution=%s", rounds.length, dist);
   if (!ok) {
     console.error("[Bullfrog self-test] FAILED:");
@@ -372,6 +173,12 @@ const state = {
   audioContext: null,
   engine: null,
   rounds: [],
+  seed: 0,
+  rng: null,
+  // "classic" | "adaptive" | "multi" | "direction" | "match" | "blitz" | "hotseat" | "buzz" | "online"
+  mode: "classic",
+  // Staircase state in adaptive mode, otherwise null.
+  adaptive: null,
   currentIndex: 0,
   score: 0,
   answered: false,
@@ -381,31 +188,155 @@ const state = {
   phaseTimers: [],
   roundOutput: null,
   loopNextAt: 0,
+  // Audio-clock time of the round's first Take A onset, for response times.
+  roundStartedAt: 0,
+  phase: PHASE_A,
+  transport: TRANSPORT_LOOP,
+  // Which take is audible in TRANSPORT_SWITCH.
+  switchSide: "a",
+  paused: false,
+  // Paused because the page was hidden or the audio stopped, not by the player (see holdRound).
+  audioHeld: false,
+  // Take onsets heard this round.
+  auditions: { a: 0, b: 0 },
+  // Audio-clock time Take B was first heard this round (null: not yet), for blitz reaction times.
+  firstBAt: null,
+  // Blitz clocks in blitz mode, otherwise null (see createBlitzClock).
+  blitz: null,
+  // Party modes: { players: [{ name, score }], turn, answers, lockedOut, keyMap }, otherwise null.
+  party: null,
+  // Online room while connected to a relay, otherwise null (see connectRoom).
+  room: null,
+  // Web MIDI once connected ({ inputNames, close }, see connectMidi), the bindings in use, and the
+  // { slot } or { knob } waiting for MIDI learn.
+  midi: null,
+  midiBindings: null,
+  midiLearn: null,
+  // Lesson stage being played: { curriculum, stageIndex, ownOverrides }, otherwise null. Stays set on the
+  // result screen, for Retry and Next.
+  lesson: null,
+  // Review session being played: { mode, rounds } (see buildReviewSession), otherwise null. Stays set on the
+  // result screen.
+  reviewSession: null,
+  // Level matching: true while the current round's takes are being measured (playback waits for it).
+  levelMatching: false,
+  // Match mode: the player's live patch (take params driven by the on-screen knobs).
+  matchParams: null,
+  // Post-answer reveal: requestAnimationFrame id of the live view, and a counter that drops stale analyses.
+  revealFrame: 0,
+  revealId: 0,
 };
 
 const dom = {
   startScreen: document.getElementById("start-screen"),
   quizScreen: document.getElementById("quiz-screen"),
   resultScreen: document.getElementById("result-screen"),
+  statsScreen: document.getElementById("stats-screen"),
+  settingsScreen: document.getElementById("settings-screen"),
+  onlineScreen: document.getElementById("online-screen"),
+  onlineButton: document.getElementById("online-button"),
+  relayUrlInput: document.getElementById("relay-url-input"),
+  roomInput: document.getElementById("room-input"),
+  roomNameInput: document.getElementById("room-name-input"),
+  roomJoinButton: document.getElementById("room-join-button"),
+  roomStatus: document.getElementById("room-status"),
+  roomPlayers: document.getElementById("room-players"),
+  roomStartButton: document.getElementById("room-start-button"),
+  roomLeaveButton: document.getElementById("room-leave-button"),
+  roomScoreboard: document.getElementById("room-scoreboard"),
+  curriculumSelect: document.getElementById("curriculum-select"),
+  curriculumNote: document.getElementById("curriculum-note"),
+  stageList: document.getElementById("stage-list"),
+  curriculumInput: document.getElementById("curriculum-input"),
+  curriculumRemoveButton: document.getElementById("curriculum-remove-button"),
+  freePlay: document.getElementById("free-play"),
+  lessonResult: document.getElementById("lesson-result"),
+  lessonNextButton: document.getElementById("lesson-next-button"),
+  lessonsButton: document.getElementById("lessons-button"),
+  mistakesButton: document.getElementById("mistakes-button"),
+  mistakesNote: document.getElementById("mistakes-note"),
+  mistakesResult: document.getElementById("mistakes-result"),
+  resultMistakesButton: document.getElementById("result-mistakes-button"),
+  midiStatus: document.getElementById("midi-status"),
+  midiBindings: document.getElementById("midi-bindings"),
+  midiConnectButton: document.getElementById("midi-connect-button"),
+  midiResetButton: document.getElementById("midi-reset-button"),
+  settingsButton: document.getElementById("settings-button"),
+  settingsForm: document.getElementById("settings-form"),
+  settingsErrors: document.getElementById("settings-errors"),
+  settingsApplyButton: document.getElementById("settings-apply-button"),
+  settingsResetButton: document.getElementById("settings-reset-button"),
+  settingsBackButton: document.getElementById("settings-back-button"),
+  settingsNote: document.getElementById("settings-note"),
+  presetName: document.getElementById("preset-name"),
+  presetSaveButton: document.getElementById("preset-save-button"),
+  presetList: document.getElementById("preset-list"),
+  roundsLabel: document.getElementById("rounds-label"),
+  statsButton: document.getElementById("stats-button"),
+  resultStatsButton: document.getElementById("result-stats-button"),
+  statsBackButton: document.getElementById("stats-back-button"),
+  statsSummary: document.getElementById("stats-summary"),
+  statsKnobs: document.getElementById("stats-knobs"),
+  statsTimeline: document.getElementById("stats-timeline"),
+  statsConfusion: document.getElementById("stats-confusion"),
+  historyExportButton: document.getElementById("history-export-button"),
+  historyImportInput: document.getElementById("history-import-input"),
+  historyClearButton: document.getElementById("history-clear-button"),
   startButton: document.getElementById("start-button"),
+  challengeInput: document.getElementById("challenge-input"),
+  modeSelect: document.getElementById("mode-select"),
+  playersField: document.getElementById("players-field"),
+  playersInput: document.getElementById("players-input"),
   restartButton: document.getElementById("restart-button"),
   progress: document.getElementById("progress"),
+  voiceLabel: document.getElementById("voice-label"),
+  liveScoreLabel: document.getElementById("live-score-label"),
   liveScore: document.getElementById("live-score"),
+  partyScores: document.getElementById("party-scores"),
+  handoffPanel: document.getElementById("handoff-panel"),
+  handoffText: document.getElementById("handoff-text"),
+  handoffButton: document.getElementById("handoff-button"),
+  playerScores: document.getElementById("player-scores"),
+  leaderboardSection: document.getElementById("leaderboard-section"),
   loopStatus: document.getElementById("loop-status"),
   eqOffIndicator: document.getElementById("eq-off-indicator"),
   eqOnIndicator: document.getElementById("eq-on-indicator"),
   prompt: document.getElementById("prompt"),
   debugAnswer: document.getElementById("debug-answer"),
   options: document.getElementById("options"),
+  transport: document.getElementById("transport"),
+  pauseButton: document.getElementById("pause-button"),
+  switchSide: document.getElementById("switch-side"),
+  matchPanel: document.getElementById("match-panel"),
+  matchKnobs: document.getElementById("match-knobs"),
+  submitAnswer: document.getElementById("submit-answer"),
+  keysHint: document.getElementById("keys-hint"),
+  knobList: document.getElementById("knob-list"),
   feedback: document.getElementById("feedback"),
   score: document.getElementById("score"),
   review: document.getElementById("review"),
+  exportGameButton: document.getElementById("export-game-button"),
+  thresholds: document.getElementById("thresholds"),
+  challengeShare: document.getElementById("challenge-share"),
+  leaderboardLabel: document.getElementById("leaderboard-label"),
+  leaderboard: document.getElementById("leaderboard"),
+  blitzClock: document.getElementById("blitz-clock"),
+  announcer: document.getElementById("announcer"),
+  revealPanel: document.getElementById("reveal-panel"),
+  revealLive: document.getElementById("reveal-live"),
+  revealCompare: document.getElementById("reveal-compare"),
+  revealSummary: document.getElementById("reveal-summary"),
+  revealReplayButton: document.getElementById("reveal-replay-button"),
+  nextRoundButton: document.getElementById("next-round-button"),
 };
 
 function showScreen(name) {
   dom.startScreen.classList.toggle("hidden", name !== "start");
   dom.quizScreen.classList.toggle("hidden", name !== "quiz");
   dom.resultScreen.classList.toggle("hidden", name !== "result");
+  dom.statsScreen.classList.toggle("hidden", name !== "stats");
+  dom.settingsScreen.classList.toggle("hidden", name !== "settings");
+  dom.onlineScreen.classList.toggle("hidden", name !== "online");
 }
 
 function clearTimers() {
@@ -430,22 +361,9 @@ function scheduleUi(token, delaySeconds, fn) {
 }
 
 function setPhase(phase) {
-  let statusText = "Answer";
-  let aActive = false;
-  let bActive = false;
-
-  if (phase === PHASE_A) {
-    statusText = "Take A";
-    aActive = true;
-  } else if (phase === PHASE_GAP) {
-    statusText = "Silence";
-  } else if (phase === PHASE_B) {
-    statusText = "Take B";
-    bActive = true;
-  } else if (phase === PHASE_ANSWER) {
-    statusText = "Answer";
-  }
-
+  const { statusText, aActive, bActive, announcement } = describePhase(phase, state.mode);
+  if (announcement && phase !== state.phase) announce(announcement);
+  state.phase = phase;
   dom.loopStatus.textContent = statusText;
   dom.eqOffIndicator.classList.toggle("active", aActive);
   dom.eqOnIndicator.classList.toggle("active", bActive);
@@ -454,61 +372,142 @@ function setPhase(phase) {
 function stopRoundAudio() {
   if (!state.roundOutput || !state.engine) return;
 
-  const { bus } = state.roundOutput;
+  const { bus, busA, busB, backing } = state.roundOutput;
   state.roundOutput = null;
 
   const ctx = state.engine.ctx;
   const now = ctx.currentTime;
   const fade = 0.03;
+  const outputs = backing ? [bus, backing] : [bus];
 
   try {
-    bus.gain.cancelScheduledValues(now);
-    bus.gain.setValueAtTime(bus.gain.value, now);
-    bus.gain.linearRampToValueAtTime(0.0, now + fade);
+    for (const output of outputs) {
+      output.gain.cancelScheduledValues(now);
+      output.gain.setValueAtTime(output.gain.value, now);
+      output.gain.linearRampToValueAtTime(0.0, now + fade);
+    }
   } catch (_error) {
     // If we can't automate for any reason, just disconnect later.
   }
 
   const disconnectMs = Math.max(0, (now + fade + 0.03 - ctx.currentTime) * 1000);
   window.setTimeout(() => {
-    try {
-      bus.disconnect();
-    } catch (_error) {}
+    for (const node of [busA, busB, ...outputs]) {
+      try {
+        node.disconnect();
+      } catch (_error) {}
+    }
   }, disconnectMs);
 }
 
 function setOptionsDisabled(disabled) {
   const buttons = dom.options.querySelectorAll("button.option-button");
   for (const b of buttons) b.disabled = disabled;
+  dom.submitAnswer.disabled = disabled;
 }
 
 function clearOptionClasses() {
   const buttons = dom.options.querySelectorAll("button.option-button");
-  for (const b of buttons) b.classList.remove("correct", "wrong");
+  for (const b of buttons) b.classList.remove("correct", "wrong", "missed");
 }
 
-function renderOptions(order) {
+// multi: options toggle (aria-pressed) and the Submit button sends every pressed knob.
+// withDirection: an up and a down option per knob, kept next to each other.
+function renderOptions(order, multi = false, withDirection = false) {
   dom.options.innerHTML = "";
-
+  const choices = [];
   for (const knobId of order) {
+    if (withDirection) {
+      choices.push({ knobId, direction: "up" }, { knobId, direction: "down" });
+    } else {
+      choices.push({ knobId, direction: null });
+    }
+  }
+
+  // Only 1-9 are keys; choices past the ninth are clicked.
+  const keyNumbers = choices.slice(0, 9).map((_c, i) => i + 1);
+  const keys = `Keys: ${keyNumbers.join(" ")}`;
+  dom.keysHint.textContent = multi ? `${keys}, Enter to submit` : keys;
+  if (order.length === 0) dom.keysHint.textContent = "Keys: arrows turn the focused knob, Enter to submit";
+  dom.submitAnswer.classList.toggle("hidden", !multi);
+  dom.options.classList.toggle("options-paired", withDirection);
+
+  choices.forEach(({ knobId, direction }, i) => {
     const button = document.createElement("button");
     button.type = "button";
     button.className = "option-button";
     button.dataset.knob = knobId;
-    button.textContent = formatKnob(knobId);
+    if (i < 9) button.setAttribute("aria-keyshortcuts", String(i + 1));
+    if (direction) button.dataset.direction = direction;
+    button.textContent = formatKnobDirection(knobId, direction);
     button.disabled = true;
-    button.addEventListener("click", () => handleAnswer(knobId));
+    if (multi) {
+      button.setAttribute("aria-pressed", "false");
+      button.addEventListener("click", () => toggleOption(button));
+    } else {
+      button.addEventListener("click", () => handleAnswer(knobId, direction));
+    }
     dom.options.appendChild(button);
-  }
+  });
+}
+
+function toggleOption(button) {
+  const pressed = button.getAttribute("aria-pressed") === "true";
+  button.setAttribute("aria-pressed", String(!pressed));
+}
+
+function selectedKnobs() {
+  const pressed = dom.options.querySelectorAll('button.option-button[aria-pressed="true"]');
+  return Array.from(pressed).map((b) => b.dataset.knob);
+}
+
+function onSubmitAnswerPressed() {
+  if (state.mode === "match") handleMatchSubmit();
+  else handleAnswer(selectedKnobs());
 }
 
 function setFeedback(text, tone /* "ok" | "bad" | "" */) {
   dom.feedback.textContent = text;
+  if (text) announce(text);
   dom.feedback.className = "feedback";
   if (tone === "ok") dom.feedback.classList.add("ok");
   if (tone === "bad") dom.feedback.classList.add("bad");
 }
 
+// Screen reader messages: each one is a new line in a polite log region, so back-to-back messages
+// (round start, then "Take A playing") are all read.
+function announce(text) {
+  const line = document.createElement("p");
+  line.textContent = text;
+  dom.announcer.appendChild(line);
+  while (dom.announcer.childElementCount > SETTINGS.ANNOUNCER_MAX_LINES) dom.announcer.firstElementChild.remove();
+}
+
+// Keyboard, screen reader and switch users start each round on the first answer control.
+function focusFirstControl() {
+  const first =
+    state.mode === "match" ? dom.matchKnobs.querySelector(".rotary") : dom.options.querySelector(".option-button");
+  if (first) first.focus();
+}
+
+function systemPrefers(query) {
+  return Boolean(window.matchMedia && window.matchMedia(query).matches);
+}
+
+function prefersReducedMotion() {
+  if (SETTINGS.REDUCED_MOTION !== "auto") return SETTINGS.REDUCED_MOTION === "reduce";
+  return systemPrefers("(prefers-reduced-motion: reduce)");
+}
+
+// THEME / REDUCED_MOTION resolved against the system, as data attributes the stylesheet keys off.
+function applyDisplaySettings() {
+  const root = document.documentElement;
+  const highContrast =
+    SETTINGS.THEME === "high-contrast" || (SETTINGS.THEME === "auto" && systemPrefers("(prefers-contrast: more)"));
+  root.dataset.theme = highContrast ? "high-contrast" : "standard";
+  root.dataset.motion = prefersReducedMotion() ? "reduce" : "full";
+}
+
 function initAudio() {
   if (state.audioContext) return;
 
@@ -516,16 +515,34 @@ function initAudio() {
   if (!AudioCtx) throw new Error("Web Audio API not supported in this browser.");
 
   state.audioContext = new AudioCtx();
+  state.audioContext.addEventListener("statechange", onAudioStateChanged);
   state.engine = createAudioEngine(state.audioContext);
 }
 
-function buildNewRounds() {
+function buildNewRounds(seed) {
+  // Retries draw from the same stream, so a seed still maps to exactly one game.
+  const rng = createRng(seed);
+  state.seed = seed;
+  state.rng = rng;
+  if (state.reviewSession) {
+    state.rounds = state.reviewSession.rounds;
+    return;
+  }
+  if (state.mode === "adaptive") {
+    const gameVoice = pickGameVoice(rng);
+    state.adaptive = createAdaptiveState(gameKnobs(gameVoice), gameVoice, pickGameFilter(rng), pickGamePattern(rng));
+    state.rounds = [];
+    return;
+  }
+  const generate = state.mode === "multi" ? generateMultiRounds : generateRounds;
   for (let attempt = 0; attempt < 50; attempt += 1) {
-    const candidate = generateRounds();
+    const candidate = generate(rng);
     const v = validateRounds(candidate);
     if (v.ok) {
       state.rounds = candidate;
-      if (SETTINGS.DEBUG_LOG_ROUNDS) console.log("[Bullfrog] rounds", candidate);
+      if (SETTINGS.DEBUG_LOG_ROUNDS) {
+        console.log("[Bullfrog] rounds (challenge %s)", encodeChallengeCode(seed), candidate);
+      }
       bullfrogSelfTest(candidate);
       return;
     }
@@ -533,76 +550,235 @@ function buildNewRounds() {
   throw new Error("Failed to generate valid rounds.");
 }
 
-function startNewGame() {
+function ensureRound(index) {
+  if (state.rounds[index]) return state.rounds[index];
+  for (let attempt = 0; attempt < 50; attempt += 1) {
+    const candidate = generateAdaptiveRound(state.adaptive, index, state.rng);
+    if (validateRound(candidate).length === 0) {
+      if (SETTINGS.DEBUG_LOG_ROUNDS) console.log("[Bullfrog] adaptive round", candidate);
+      state.rounds[index] = candidate;
+      return candidate;
+    }
+  }
+  throw new Error("Failed to generate a valid round.");
+}
+
+function formatProgress(index) {
+  if (state.adaptive) return String(index + 1);
+  return `${index + 1}/${state.rounds.length}`;
+}
+
+function isGameOver() {
+  const played = state.currentIndex + 1;
+  if (state.adaptive) return adaptiveIsDone(state.adaptive, played);
+  if (state.blitz && state.blitz.remainingMs <= 0) return true;
+  return played >= state.rounds.length;
+}
+
+function formatScore(score) {
+  return Number.isInteger(score) ? String(score) : score.toFixed(1);
+}
+
+function formatSeconds(ms) {
+  return `${(ms / 1000).toFixed(1)}s`;
+}
+
+// playerNames: party modes only; a restart keeps the players.
+function startNewGame(seed = randomSeed(), mode = state.mode, playerNames = partyPlayerNames()) {
   clearTimers();
   stopRoundAudio();
-  buildNewRounds();
+  stopBlitzClock();
+  state.mode = mode;
+  state.adaptive = null;
+  state.blitz = mode === "blitz" ? createBlitzClock() : null;
+  state.party = PARTY_MODES.includes(mode) ? createParty(playerNames) : null;
+  buildNewRounds(seed);
 
   state.currentIndex = 0;
   state.score = 0;
   state.answered = false;
   state.results = [];
 
-  dom.liveScore.textContent = String(state.score);
-  dom.progress.textContent = `1/${SETTINGS.ROUNDS_PER_GAME}`;
+  dom.progress.textContent = formatProgress(0);
+  renderScoreHud();
   dom.review.innerHTML = "";
   setFeedback("", "");
+  renderBlitzClock();
 
+  dom.roomScoreboard.classList.toggle("hidden", !state.room);
   showScreen("quiz");
+  // Online rounds start on the relay's signal (see onRoomRound).
+  if (state.mode === "online") {
+    dom.options.innerHTML = "";
+    dom.voiceLabel.textContent = "";
+    dom.prompt.textContent = "Get ready: everyone hears the first round together.";
+    setPhase(PHASE_GAP);
+    return;
+  }
   startRound(0);
 }
 
-function startRound(index) {
+// playAt: audio time of the first Take A onset (online rooms); by default as soon as possible.
+function startRound(index, playAt = undefined) {
   clearTimers();
   stopRoundAudio();
+  stopReveal();
   state.playbackToken += 1;
   const token = state.playbackToken;
 
   state.currentIndex = index;
   state.answered = false;
 
-  const round = state.rounds[index];
-  const order = shuffle(KNOBS.map((k) => k.id));
+  const round = ensureRound(index);
+  // Own stream per round so the button layout only depends on the seed and round number.
+  const order = shuffle(round.knobIds, createRng(deriveSeed(state.seed, index)));
   round.answerOrder = order;
 
-  dom.liveScore.textContent = String(state.score);
-  dom.progress.textContent = `${index + 1}/${SETTINGS.ROUNDS_PER_GAME}`;
+  dom.progress.textContent = formatProgress(index);
+  renderScoreHud();
+  dom.voiceLabel.textContent = [
+    `Voice: ${VOICE_BY_ID[round.voice].label}`,
+    `Filter: ${FILTER_BY_ID[round.filter].label}`,
+    `Pattern: ${patternOf(round.takeA).label}`,
+  ].join(" · ");
 
+  const multi = state.mode === "multi";
+  const match = state.mode === "match";
   clearOptionClasses();
-  renderOptions(order);
+  renderOptions(match ? [] : order, multi, state.mode === "direction");
+  dom.submitAnswer.classList.toggle("hidden", !multi && !match);
+  dom.options.classList.toggle("hidden", match);
+  dom.matchPanel.classList.toggle("hidden", !match);
+  dom.eqOffIndicator.textContent = takeLabel("a", state.mode);
+  dom.eqOnIndicator.textContent = takeLabel("b", state.mode);
+  if (match) startMatch(round);
   setOptionsDisabled(false);
+  if (state.party) startPartyTurn(order);
 
   setFeedback("", "");
 
-  if (SETTINGS.DEBUG_SHOW_ANSWER) {
-    const knob = round.changedKnob;
-    const a = round.takeA;
-    const b = round.takeB;
-    let details = "";
-    if (knob === "cutoff") details = `${a.cutoffHz.toFixed(0)}Hz -> ${b.cutoffHz.toFixed(0)}Hz`;
-    if (knob === "resonance") details = `Q ${a.resonanceQ.toFixed(2)} -> ${b.resonanceQ.toFixed(2)}`;
-    if (knob === "decay") details = `${a.decayMs.toFixed(0)}ms -> ${b.decayMs.toFixed(0)}ms`;
-    dom.debugAnswer.classList.remove("hidden");
-    dom.debugAnswer.textContent = `DEBUG: ${formatKnob(round.changedKnob)} (${details})`;
+  renderDebugAnswer(round);
+
+  if (match) {
+    dom.prompt.textContent = "Turn the knobs until yours matches the target, then submit.";
+  } else if (multi) {
+    dom.prompt.textContent = "Which knobs moved? Select all that apply, then submit.";
+  } else if (state.mode === "direction") {
+    dom.prompt.textContent = "Which knob moved, and which way?";
+  } else if (state.mode === "blitz") {
+    dom.prompt.textContent = "Which knob moved? Quick, once you hear B.";
+  } else if (state.mode === "hotseat") {
+    dom.prompt.textContent = `${currentPlayer().name}, which knob moved?`;
+  } else if (state.mode === "buzz") {
+    dom.prompt.textContent = "Buzz in with your keys. A wrong answer sits you out for the round.";
   } else {
+    dom.prompt.textContent = "Which knob moved?";
+  }
+  setPhase(PHASE_GAP);
+  announce(`Round ${formatProgress(index).replace("/", " of ")}. ${dom.prompt.textContent}`);
+  focusFirstControl();
+
+  state.transport = TRANSPORT_LOOP;
+  state.switchSide = "a";
+  state.paused = false;
+  state.auditions = { a: 0, b: 0 };
+  state.firstBAt = null;
+  state.audioHeld = false;
+  renderTransport();
+
+  // Level matching measures both takes first, so even the first pass is matched (see matchRoundLevels).
+  state.levelMatching = needsLevelMatch(round);
+  if (!state.levelMatching) {
+    beginRoundPlayback(token, playAt);
+    return;
+  }
+  state.roundStartedAt = state.engine.ctx.currentTime;
+  matchRoundLevels(round).then(() => {
+    if (token !== state.playbackToken || state.answered) return;
+    state.levelMatching = false;
+    renderDebugAnswer(round);
+    beginRoundPlayback(token, playAt);
+  });
+}
+
+function beginRoundPlayback(token, playAt) {
+  state.roundStartedAt = startPlayback(token, playAt);
+  if (state.blitz) startBlitzRound();
+  if (!audioPlayable()) holdRound();
+  // The next round is measured while this one plays.
+  const next = state.rounds[state.currentIndex + 1];
+  if (next && needsLevelMatch(next)) matchRoundLevels(next);
+}
+
+function renderDebugAnswer(round) {
+  if (!SETTINGS.DEBUG_SHOW_ANSWER) {
     dom.debugAnswer.classList.add("hidden");
     dom.debugAnswer.textContent = "";
+    return;
   }
+  const filter = filterOf(round.takeA);
+  const details = round.changedKnobs.map((id) => {
+    const knob = KNOB_BY_ID[id];
+    const from = knob.format(round.takeA[knob.param], filter);
+    return `${knob.label} ${from} -> ${knob.format(round.takeB[knob.param], filter)}`;
+  });
+  if (levelMatched(round)) details.push(describeLevelMatch(round.levelMatch));
+  dom.debugAnswer.classList.remove("hidden");
+  dom.debugAnswer.textContent = `DEBUG: ${details.join("; ")}`;
+}
 
-  dom.prompt.textContent = "Which knob moved?";
-  setPhase(PHASE_GAP);
+// The round's way into the backing bus (faded out with the round, see stopRoundAudio), or null when the
+// backing loop is off.
+function createRoundBacking() {
+  if (!SETTINGS.BACKING_TRACK) return null;
+  const backing = state.engine.ctx.createGain();
+  backing.connect(backingBus(state.engine));
+  return backing;
+}
+
+// One backing loop per take start: the switch transport starts A and B together. Both sides hear the backing
+// drawn from take A, so it cannot differ between them.
+function playRoundBacking(round, takes, backing) {
+  if (!backing) return;
+  for (const start of new Set(takes.map((take) => take.start))) playBacking(state.engine, round.takeA, start, backing);
+}
 
+// Fresh round buses (bus -> master, busA/busB -> bus, backing -> backing bus), then the first cycle of the
+// current transport. Returns the audio time playback starts at.
+function startPlayback(token, startAt = state.engine.ctx.currentTime + SETTINGS.SCHEDULING_LEAD_SECONDS) {
   const ctx = state.engine.ctx;
-  const now = ctx.currentTime;
-  const startAt = now + SETTINGS.SCHEDULING_LEAD_SECONDS;
 
   const bus = ctx.createGain();
   bus.gain.value = 1.0;
   bus.connect(state.engine.masterGain);
-  state.roundOutput = { bus };
+  const busA = ctx.createGain();
+  const busB = ctx.createGain();
+  const switching = state.transport === TRANSPORT_SWITCH;
+  busA.gain.value = !switching || state.switchSide === "a" ? 1.0 : 0.0;
+  busB.gain.value = !switching || state.switchSide === "b" ? 1.0 : 0.0;
+  busA.connect(bus);
+  busB.connect(bus);
+  state.roundOutput = { bus, busA, busB, backing: createRoundBacking() };
 
   state.loopNextAt = startAt;
   scheduleNextLoopCycle(token);
+  return startAt;
+}
+
+// at: audio time the take became audible.
+function countAudition(side, at) {
+  state.auditions[side] += 1;
+  if (side === "b" && state.firstBAt === null) state.firstBAt = at;
+}
+
+function enterCyclePhase(step) {
+  if (!step.side) {
+    setPhase(step.phase);
+    return;
+  }
+  const side = step.side === TRANSPORT_SWITCH ? state.switchSide : step.side;
+  countAudition(side, step.at);
+  setPhase(phaseForSide(side));
 }
 
 function scheduleNextLoopCycle(token) {
@@ -613,123 +789,2451 @@ function scheduleNextLoopCycle(token) {
   const ctx = state.engine.ctx;
   const now = ctx.currentTime;
   const round = state.rounds[state.currentIndex];
+  const { busA, busB, backing } = state.roundOutput;
 
   let at = state.loopNextAt;
   if (at < now + 0.005) at = now + 0.005;
 
-  const times = playRound(state.engine, round, at, state.roundOutput.bus);
-
-  scheduleUi(token, times.aStart - now, () => setPhase(PHASE_A));
-  scheduleUi(token, times.aEnd - now, () => setPhase(PHASE_GAP));
-  scheduleUi(token, times.bStart - now, () => setPhase(PHASE_B));
-  scheduleUi(token, times.endAt - now, () => setPhase(PHASE_GAP));
+  const cycle = cycleTimeline(state.transport, at, round);
+  for (const take of cycle.takes) {
+    const bus = take.side === "a" ? busA : busB;
+    // Match mode: A is the fixed target, B the live patch.
+    if (state.mode === "match" && take.side === "b") {
+      playLiveTake(state.engine, () => state.matchParams, take.start, bus, token);
+    } else {
+      playTake(
+        state.engine,
+        take.side === "a" ? round.takeA : round.takeB,
+        take.start,
+        bus,
+        takeLevel(round, take.side),
+      );
+    }
+  }
+  playRoundBacking(round, cycle.takes, backing);
+  for (const step of cycle.phases) scheduleUi(token, step.at - now, () => enterCyclePhase(step));
 
-  state.loopNextAt = times.endAt + SETTINGS.LOOP_CYCLE_PAUSE_SECONDS;
+  state.loopNextAt = cycle.nextAt;
 
   const callAt = state.loopNextAt - SETTINGS.SCHEDULING_LEAD_SECONDS;
   scheduleUi(token, callAt - ctx.currentTime, () => scheduleNextLoopCycle(token));
 }
 
-function handleAnswer(knobId) {
+// Like playTake, but each hit reads getParams() just before it sounds, so knob moves land on the next hit.
+// The knobs never touch the pattern, so the notes are laid out once up front.
+function playLiveTake(engine, getParams, when, destination, token) {
+  const { ctx } = engine;
+  const params = getParams();
+  const duration = takeSeconds(params);
+  const takeGain = ctx.createGain();
+  takeGain.connect(destination);
+  scheduleTakeFade(takeGain.gain, when, duration);
+
+  const hardStopTime = when + duration + SETTINGS.TAKE_CLEANUP_EXTRA_SECONDS;
+  for (const note of takeNotes(params)) {
+    const noteAt = when + note.time;
+    scheduleUi(token, noteAt - SETTINGS.SCHEDULING_LEAD_SECONDS - ctx.currentTime, () => {
+      scheduleVoice(ctx, takeGain, getParams(), Math.max(noteAt, ctx.currentTime), hardStopTime, note);
+    });
+  }
+
+  const cleanupMs = Math.max(0, (hardStopTime - ctx.currentTime) * 1000);
+  window.setTimeout(() => {
+    try {
+      takeGain.disconnect();
+    } catch (_error) {}
+  }, cleanupMs);
+
+  return when + duration;
+}
+
+function roundKnobs(round) {
+  return round.knobIds.map((id) => KNOB_BY_ID[id]);
+}
+
+// Fresh live patch: target's note, every knob centred.
+function startMatch(round) {
+  const knobs = roundKnobs(round);
+  state.matchParams = { ...round.takeA };
+  for (const k of knobs) state.matchParams[k.param] = normToKnob(k, 0.5, filterOf(round.takeA));
+  renderMatchKnobs(knobs);
+}
+
+function renderMatchKnobs(knobs) {
+  dom.matchKnobs.innerHTML = "";
+  for (const k of knobs) dom.matchKnobs.appendChild(createRotary(k));
+}
+
+function setMatchKnob(knob, el, t) {
   if (state.answered) return;
+  const value = normToKnob(knob, t, filterOf(state.matchParams));
+  state.matchParams[knob.param] = value;
+  updateRotary(el, knob, value);
+}
 
-  // Only accept answers once options are enabled.
-  const anyEnabled = Array.from(dom.options.querySelectorAll("button.option-button")).some((b) => !b.disabled);
-  if (!anyEnabled) return;
+function updateRotary(el, knob, value) {
+  const filter = filterOf(state.matchParams);
+  const t = knobToNorm(knob, value, filter);
+  el.style.setProperty("--knob-angle", `${-135 + t * 270}deg`);
+  el.setAttribute("aria-valuenow", String(Math.round(t * 100)));
+  el.setAttribute("aria-valuetext", knob.format(value, filter));
+  el.querySelector(".rotary-value").textContent = knob.format(value, filter);
+}
+
+// Rotary knob: drag (mouse or touch) up/right to turn up; arrows, Page Up/Down, Home/End from the keyboard.
+function createRotary(knob) {
+  const wrap = document.createElement("div");
+  wrap.className = "rotary-wrap";
+
+  const el = document.createElement("div");
+  el.className = "rotary";
+  el.tabIndex = 0;
+  el.setAttribute("role", "slider");
+  el.setAttribute("aria-label", knob.label);
+  el.setAttribute("aria-valuemin", "0");
+  el.setAttribute("aria-valuemax", "100");
+  el.dataset.knob = knob.id;
+  el.innerHTML = '<span class="rotary-dial" aria-hidden="true"></span><span class="rotary-value"></span>';
+
+  const label = document.createElement("span");
+  label.className = "rotary-label";
+  label.textContent = knob.label;
+
+  const current = () => knobToNorm(knob, state.matchParams[knob.param], filterOf(state.matchParams));
+  let drag = null;
+
+  el.addEventListener("pointerdown", (e) => {
+    if (state.answered) return;
+    el.setPointerCapture(e.pointerId);
+    drag = { x: e.clientX, y: e.clientY, t: current() };
+    e.preventDefault();
+  });
+  el.addEventListener("pointermove", (e) => {
+    if (!drag) return;
+    const delta = (e.clientX - drag.x - (e.clientY - drag.y)) / SETTINGS.MATCH_DRAG_PIXELS;
+    setMatchKnob(knob, el, drag.t + delta);
+  });
+  const endDrag = () => {
+    drag = null;
+  };
+  el.addEventListener("pointerup", endDrag);
+  el.addEventListener("pointercancel", endDrag);
+
+  el.addEventListener("keydown", (e) => {
+    const steps = {
+      ArrowUp: SETTINGS.MATCH_KEY_STEP,
+      ArrowRight: SETTINGS.MATCH_KEY_STEP,
+      ArrowDown: -SETTINGS.MATCH_KEY_STEP,
+      ArrowLeft: -SETTINGS.MATCH_KEY_STEP,
+      PageUp: SETTINGS.MATCH_KEY_PAGE_STEP,
+      PageDown: -SETTINGS.MATCH_KEY_PAGE_STEP,
+    };
+    let t = null;
+    if (steps[e.key] !== undefined) t = current() + steps[e.key];
+    else if (e.key === "Home") t = 0;
+    else if (e.key === "End") t = 1;
+    if (t === null) return;
+    e.preventDefault();
+    e.stopPropagation();
+    setMatchKnob(knob, el, t);
+  });
+
+  // Step buttons for switch access and anyone who cannot drag or use the arrow keys.
+  const stepper = document.createElement("div");
+  stepper.className = "rotary-steps";
+  for (const [text, name, sign] of [
+    ["−", "Lower", -1],
+    ["+", "Raise", 1],
+  ]) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "transport-button";
+    button.textContent = text;
+    button.setAttribute("aria-label", `${name} ${knob.label}`);
+    button.addEventListener("click", () => setMatchKnob(knob, el, current() + sign * SETTINGS.MATCH_BUTTON_STEP));
+    stepper.appendChild(button);
+  }
+
+  updateRotary(el, knob, state.matchParams[knob.param]);
+  wrap.appendChild(el);
+  wrap.appendChild(label);
+  wrap.appendChild(stepper);
+  return wrap;
+}
+
+function handleMatchSubmit() {
+  if (state.answered || !state.matchParams) return;
 
   state.answered = true;
   clearPhaseTimers();
   stopRoundAudio();
   setPhase(PHASE_ANSWER);
+  dom.submitAnswer.disabled = true;
 
   const round = state.rounds[state.currentIndex];
-  const correct = round.changedKnob;
-  const isCorrect = knobId === correct;
+  const knobs = roundKnobs(round);
+  const outcome = scoreMatch(round.takeA, state.matchParams, knobs);
+  const responseMs = Math.max(0, (state.engine.ctx.currentTime - state.roundStartedAt) * 1000);
+
+  state.results.push({
+    correctKnob: null,
+    chosenKnob: null,
+    match: outcome.perKnob,
+    submitted: { ...state.matchParams },
+    credit: outcome.credit,
+    isCorrect: outcome.isCorrect,
+    responseMs,
+    auditions: { ...state.auditions },
+  });
+  state.score += outcome.credit;
+  dom.liveScore.textContent = formatScore(state.score);
+
+  for (const el of dom.matchKnobs.querySelectorAll(".rotary")) {
+    const m = outcome.perKnob[el.dataset.knob];
+    el.setAttribute("aria-disabled", "true");
+    el.classList.add(isKnobMatched(m) ? "correct" : "wrong");
+  }
+  for (const b of dom.matchKnobs.querySelectorAll("button")) b.disabled = true;
 
-  state.results.push({ correctKnob: correct, chosenKnob: knobId, isCorrect });
-  if (isCorrect) state.score += 1;
-  dom.liveScore.textContent = String(state.score);
+  setFeedback(describeMatchOutcome(outcome, knobs, filterOf(round.takeA)), outcome.isCorrect ? "ok" : "bad");
+  // The reveal compares the target with what was submitted.
+  endRound({ ...round, takeB: { ...state.matchParams } });
+}
 
-  const buttons = Array.from(dom.options.querySelectorAll("button.option-button"));
+function describeMatchOutcome(outcome, knobs, filter) {
+  const parts = knobs.map((k) => {
+    const m = outcome.perKnob[k.id];
+    return `${k.label} ${k.format(m.submitted, filter)} vs ${k.format(m.target, filter)}`;
+  });
+  return `${Math.round(outcome.credit * 100)}% match: ${parts.join("; ")}.`;
+}
+
+function renderTransport() {
+  const buttons = dom.transport.querySelectorAll("button[data-transport]");
   for (const b of buttons) {
-    b.disabled = true;
-    b.classList.remove("correct", "wrong");
-    if (b.dataset.knob === correct) b.classList.add("correct");
-    if (!isCorrect && b.dataset.knob === knobId) b.classList.add("wrong");
+    const active = !state.paused && b.dataset.transport === state.transport;
+    b.setAttribute("aria-pressed", String(active));
   }
+  dom.switchSide.textContent = state.transport === TRANSPORT_SWITCH ? `Hearing ${state.switchSide.toUpperCase()}` : "";
+  dom.pauseButton.textContent = state.paused ? "Resume" : "Pause";
+  dom.pauseButton.setAttribute("aria-pressed", String(state.paused));
+}
 
-  if (isCorrect) {
-    setFeedback(`Correct: ${formatKnob(correct)}`, "ok");
-  } else {
-    setFeedback(`Wrong. Correct was ${formatKnob(correct)}.`, "bad");
+// Restarts playback from the top in the given transport (resumes if paused). Waits while the round's levels
+// are being measured: the round starts on its own once they are.
+function setTransport(transport) {
+  if (state.answered || !state.engine || state.levelMatching) return;
+  clearPhaseTimers();
+  stopRoundAudio();
+  state.playbackToken += 1;
+  state.transport = transport;
+  state.paused = false;
+  renderTransport();
+  startPlayback(state.playbackToken);
+  if (!audioPlayable()) holdRound();
+}
+
+// In switch mode flips the audible side at the current playhead; otherwise enters switch mode.
+function toggleSwitchSide() {
+  if (state.answered || !state.engine) return;
+  if (state.transport !== TRANSPORT_SWITCH || state.paused || !state.roundOutput) {
+    setTransport(TRANSPORT_SWITCH);
+    return;
   }
 
-  state.moveNextTimer = window.setTimeout(() => {
-    if (state.currentIndex + 1 >= SETTINGS.ROUNDS_PER_GAME) {
-      finishGame();
-      return;
-    }
-    startRound(state.currentIndex + 1);
-  }, SETTINGS.FEEDBACK_ADVANCE_MS);
+  state.switchSide = state.switchSide === "a" ? "b" : "a";
+  const ctx = state.engine.ctx;
+  const now = ctx.currentTime;
+  const fade = SETTINGS.AB_CROSSFADE_SECONDS;
+  const { busA, busB } = state.roundOutput;
+  for (const [bus, on] of [
+    [busA, state.switchSide === "a"],
+    [busB, state.switchSide === "b"],
+  ]) {
+    bus.gain.cancelScheduledValues(now);
+    bus.gain.setValueAtTime(bus.gain.value, now);
+    bus.gain.linearRampToValueAtTime(on ? 1.0 : 0.0, now + fade);
+  }
+  countAudition(state.switchSide, now);
+  if (state.phase === PHASE_A || state.phase === PHASE_B) setPhase(phaseForSide(state.switchSide));
+  renderTransport();
 }
 
-function finishGame() {
-  clearTimers();
+function togglePause() {
+  if (state.answered || !state.engine || state.levelMatching) return;
+  if (state.paused) {
+    setTransport(state.transport);
+    return;
+  }
+  clearPhaseTimers();
   stopRoundAudio();
-  setOptionsDisabled(true);
-  setPhase(PHASE_ANSWER);
+  state.playbackToken += 1;
+  state.paused = true;
+  setPhase(PHASE_PAUSED);
+  renderTransport();
+}
 
-  dom.score.textContent = `Score: ${state.score}/${SETTINGS.ROUNDS_PER_GAME}`;
-  dom.review.innerHTML = "";
+function onTransportClicked(e) {
+  const button = e.target.closest("button");
+  if (!button || !dom.transport.contains(button)) return;
+  if (button === dom.pauseButton) togglePause();
+  else if (button.dataset.transport === TRANSPORT_SWITCH && state.transport === TRANSPORT_SWITCH) toggleSwitchSide();
+  else if (button.dataset.transport) setTransport(button.dataset.transport);
+}
 
-  for (let i = 0; i < state.results.length; i += 1) {
-    const r = state.results[i];
-    const li = document.createElement("li");
-    const chosen = r.chosenKnob ? formatKnob(r.chosenKnob) : "—";
-    li.textContent = `Round ${i + 1}: ${formatKnob(r.correctKnob)} (you: ${chosen}) - ${r.isCorrect ? "correct" : "wrong"}`;
-    dom.review.appendChild(li);
+// choice: a knob id, or an array of ids in multi-knob mode; direction ("up"/"down") in direction mode.
+function handleAnswer(choice, direction = null) {
+  if (state.answered) return;
+
+  // Only accept answers once options are enabled.
+  const anyEnabled = Array.from(dom.options.querySelectorAll("button.option-button")).some((b) => !b.disabled);
+  if (!anyEnabled) return;
+  if (state.mode === "hotseat") {
+    handleTurnAnswer(choice);
+    return;
   }
 
-  showScreen("result");
-}
+  state.answered = true;
+  stopBlitzClock();
+  clearPhaseTimers();
+  stopRoundAudio();
+  setPhase(PHASE_ANSWER);
 
-async function onStartPressed() {
-  dom.startButton.disabled = true;
-  try {
-    initAudio();
-    if (state.audioContext.state !== "running") {
-      await state.audioContext.resume();
+  const round = state.rounds[state.currentIndex];
+  const chosenKnobs = Array.isArray(choice) ? choice : [choice];
+  const outcome = scoreAnswer(round.changedKnobs, chosenKnobs);
+  const correctDirection = round.changedKnob ? round.directions[round.changedKnob] : null;
+  const knobCorrect = outcome.isCorrect;
+  // Direction mode: half credit for the right knob, the other half for the right way.
+  const directionCorrect = direction !== null && knobCorrect && direction === correctDirection;
+  const isCorrect = direction !== null ? directionCorrect : knobCorrect;
+  const responseMs = Math.max(0, (state.engine.ctx.currentTime - state.roundStartedAt) * 1000);
+  const reactionMs = currentReactionMs();
+  let credit = direction !== null ? (knobCorrect ? 0.5 : 0) + (directionCorrect ? 0.5 : 0) : outcome.credit;
+  if (state.mode === "blitz") credit = blitzCredit(isCorrect, reactionMs);
+
+  state.results.push({
+    correctKnob: round.changedKnob,
+    chosenKnob: Array.isArray(choice) ? null : choice,
+    correctKnobs: round.changedKnobs,
+    chosenKnobs,
+    correctDirection,
+    chosenDirection: direction,
+    knobCorrect,
+    directionCorrect,
+    credit,
+    isCorrect,
+    responseMs,
+    reactionMs,
+    timedOut: false,
+    auditions: { ...state.auditions },
+  });
+  state.score += credit;
+  if (state.room) {
+    sendRoom({ type: "answer", index: state.currentIndex, knobId: choice, isCorrect, credit, responseMs });
+  }
+  if (state.adaptive) updateStaircase(state.adaptive.staircases[round.changedKnob], isCorrect);
+  dom.liveScore.textContent = formatScore(state.score);
+
+  const buttons = Array.from(dom.options.querySelectorAll("button.option-button"));
+  for (const b of buttons) {
+    b.disabled = true;
+    b.classList.remove("correct", "wrong", "missed");
+    if (direction !== null) {
+      const isAnswer = b.dataset.knob === round.changedKnob && b.dataset.direction === correctDirection;
+      const isChosen = b.dataset.knob === choice && b.dataset.direction === direction;
+      if (isAnswer) b.classList.add("correct");
+      else if (isChosen) b.classList.add("wrong");
+      continue;
     }
-    startNewGame();
-  } catch (error) {
-    console.error(error);
-    alert(String(error && error.message ? error.message : error));
-    dom.startButton.disabled = false;
+    if (outcome.hits.includes(b.dataset.knob)) b.classList.add("correct");
+    else if (outcome.misses.includes(b.dataset.knob)) b.classList.add(Array.isArray(choice) ? "missed" : "correct");
+    if (outcome.falsePositives.includes(b.dataset.knob)) b.classList.add("wrong");
+  }
+  dom.submitAnswer.disabled = true;
+
+  if (direction !== null) {
+    const answer = formatKnobDirection(round.changedKnob, correctDirection);
+    if (directionCorrect) setFeedback(`Correct: ${answer}`, "ok");
+    else if (knobCorrect) setFeedback(`Right knob, wrong direction. It was ${answer}.`, "bad");
+    else setFeedback(`Wrong. Correct was ${answer}.`, "bad");
+  } else if (round.changedKnobs.length > 1 || Array.isArray(choice)) {
+    setFeedback(describeMultiOutcome(outcome), isCorrect ? "ok" : "bad");
+  } else if (isCorrect && state.mode === "blitz") {
+    const speed = reactionMs === null ? "before B" : `${formatSeconds(reactionMs)} after B`;
+    setFeedback(`Correct: ${formatKnob(round.changedKnob)} (${speed}, ${Math.round(credit * 100)}% credit)`, "ok");
+  } else if (isCorrect) {
+    setFeedback(`Correct: ${formatKnob(round.changedKnob)}`, "ok");
+  } else {
+    setFeedback(`Wrong. Correct was ${formatKnob(round.changedKnob)}.`, "bad");
   }
+
+  endRound(round);
 }
 
-function onRestartPressed() {
-  startNewGame();
+// The reveal (which waits for Next), or straight on after the feedback pause. Blitz never stops for it,
+// and online rooms wait for the relay to start the next round.
+function endRound(revealRound) {
+  if (state.room) return;
+  if (SETTINGS.SHOW_REVEAL && state.mode !== "blitz") startReveal(revealRound);
+  else scheduleAdvance();
 }
 
-dom.startButton.addEventListener("click", onStartPressed);
-dom.restartButton.addEventListener("click", onRestartPressed);
+function scheduleAdvance() {
+  state.moveNextTimer = window.setTimeout(advanceRound, SETTINGS.FEEDBACK_ADVANCE_MS);
+}
 
-document.addEventListener("keydown", (e) => {
-  if (dom.quizScreen.classList.contains("hidden")) return;
-  if (state.answered) return;
+function advanceRound() {
+  if (isGameOver()) {
+    finishGame();
+    return;
+  }
+  if (state.party) state.party.turn = 0;
+  startRound(state.currentIndex + 1);
+}
 
-  const key = e.key;
-  if (key !== "1" && key !== "2" && key !== "3") return;
+// (4b) Post-answer reveal: a live spectrum + waveform of one more A/B pass, and A against B over time.
+function startReveal(round) {
+  state.revealId += 1;
+  const revealId = state.revealId;
+  dom.revealPanel.classList.remove("hidden");
+  dom.nextRoundButton.textContent = isGameOver() ? "See results" : "Next";
+  dom.revealSummary.textContent = "Comparing A and B...";
+  dom.revealReplayButton.onclick = () => playReveal(round);
+  clearCanvas(dom.revealCompare);
+  startLiveView();
+  playReveal(round);
+  dom.nextRoundButton.focus();
+
+  analyzeRound(round, roundLevels(round))
+    .then((analysis) => {
+      if (revealId !== state.revealId) return;
+      drawComparison(analysis);
+      dom.revealSummary.textContent = describeComparison(analysis);
+    })
+    .catch((error) => {
+      if (revealId !== state.revealId) return;
+      console.error(error);
+      dom.revealSummary.textContent = `No A/B comparison: ${error && error.message ? error.message : error}`;
+    });
+}
+
+function stopReveal() {
+  state.revealId += 1;
+  if (state.revealFrame) window.cancelAnimationFrame(state.revealFrame);
+  state.revealFrame = 0;
+  dom.revealPanel.classList.add("hidden");
+  dom.revealReplayButton.onclick = null;
+}
+
+// One A, gap, B pass (playRound, so the same params as the quiz), with the HUD following along.
+function playReveal(round) {
+  clearPhaseTimers();
+  stopRoundAudio();
+  state.playbackToken += 1;
+  const token = state.playbackToken;
+
+  const ctx = state.engine.ctx;
+  const now = ctx.currentTime;
+  const bus = ctx.createGain();
+  bus.connect(state.engine.masterGain);
+  const backing = createRoundBacking();
+  state.roundOutput = { bus, busA: bus, busB: bus, backing };
+
+  const cycle = cycleTimeline(TRANSPORT_LOOP, now + SETTINGS.SCHEDULING_LEAD_SECONDS, round);
+  playRound(state.engine, round, cycle.takes[0].start, bus, bus, roundLevels(round));
+  playRoundBacking(round, cycle.takes, backing);
+  for (const step of cycle.phases) {
+    const phase = step.at === cycle.endAt ? PHASE_ANSWER : step.phase;
+    scheduleUi(token, step.at - now, () => setPhase(phase));
+  }
+}
+
+function canvasContext(canvas) {
+  return canvas.getContext ? canvas.getContext("2d") : null;
+}
+
+function clearCanvas(canvas) {
+  const g = canvasContext(canvas);
+  if (g) g.clearRect(0, 0, canvas.width, canvas.height);
+}
+
+// Take A / Take B colours come from the stylesheet so themes can change them.
+function vizColors() {
+  const style = window.getComputedStyle(document.documentElement);
+  const read = (name, fallback) => style.getPropertyValue(name).trim() || fallback;
+  return { a: read("--viz-a", "#0d0d0d"), b: read("--viz-b", "#b3401f"), grid: read("--muted", "#3d3d3d") };
+}
+
+// Spectrum bars on a log frequency axis, with the waveform on top; redrawn every animation frame.
+function startLiveView() {
+  const canvas = dom.revealLive;
+  // Reduced motion: no animated view, the still comparison below carries the reveal.
+  canvas.classList.toggle("hidden", prefersReducedMotion());
+  const g = canvasContext(canvas);
+  if (!g || !window.requestAnimationFrame || prefersReducedMotion()) return;
+
+  const analyser = state.engine.analyser;
+  const bins = new Uint8Array(analyser.frequencyBinCount);
+  const wave = new Uint8Array(analyser.fftSize);
+  const nyquist = state.engine.ctx.sampleRate / 2;
+  const [lo, hi] = SETTINGS.REVEAL_SPECTRUM_RANGE_HZ;
+  const colors = vizColors();
+
+  const draw = () => {
+    state.revealFrame = window.requestAnimationFrame(draw);
+    const { width, height } = canvas;
+    analyser.getByteFrequencyData(bins);
+    analyser.getByteTimeDomainData(wave);
+    g.clearRect(0, 0, width, height);
+
+    // Bars follow whichever take is playing.
+    g.fillStyle = state.phase === PHASE_B ? colors.b : colors.a;
+    g.globalAlpha = 0.45;
+    for (let px = 0; px < width; px += 3) {
+      const hz = lo * Math.pow(hi / lo, px / width);
+      const v = bins[Math.min(bins.length - 1, Math.round((hz / nyquist) * bins.length))] / 255;
+      g.fillRect(px, height - v * height, 2, v * height);
+    }
+    g.globalAlpha = 1;
+
+    g.strokeStyle = colors.grid;
+    g.lineWidth = 1.5;
+    g.beginPath();
+    for (let i = 0; i < wave.length; i += 1) {
+      const x = (i / (wave.length - 1)) * width;
+      const y = (wave[i] / 255) * height;
+      if (i === 0) g.moveTo(x, y);
+      else g.lineTo(x, y);
+    }
+    g.stroke();
+  };
+  if (state.revealFrame) window.cancelAnimationFrame(state.revealFrame);
+  state.revealFrame = window.requestAnimationFrame(draw);
+}
+
+// Points with null gaps become separate strokes.
+function strokePath(g, points) {
+  g.beginPath();
+  let drawing = false;
+  for (const p of points) {
+    if (!p) {
+      drawing = false;
+      continue;
+    }
+    if (drawing) g.lineTo(p[0], p[1]);
+    else g.moveTo(p[0], p[1]);
+    drawing = true;
+  }
+  g.stroke();
+}
+
+// Top half: spectral centroid (log Hz). Bottom half: level (dB). A solid, B dashed.
+function drawComparison(analysis) {
+  const canvas = dom.revealCompare;
+  const g = canvasContext(canvas);
+  if (!g) return;
+
+  const { width, height } = canvas;
+  const half = height / 2;
+  const pad = 16;
+  const colors = vizColors();
+  const [lo, hi] = SETTINGS.REVEAL_CENTROID_RANGE_HZ;
+  const floor = SETTINGS.ANALYSIS_FLOOR_DB;
+  const duration = Math.max(0.001, ...analysis.a.map((f) => f.time), ...analysis.b.map((f) => f.time));
+  const x = (t) => (t / duration) * width;
+  const yCentroid = (hz) => half - ((Math.log(clamp(hz, lo, hi) / lo) / Math.log(hi / lo)) * (half - pad) + 4);
+  const yLevel = (db) => height - (((db - floor) / -floor) * (half - pad) + 4);
+
+  g.clearRect(0, 0, width, height);
+  g.fillStyle = colors.grid;
+  g.font = "11px sans-serif";
+  g.fillText("Brightness (spectral centroid)", 4, 12);
+  g.fillText("Level", 4, half + 12);
+  g.strokeStyle = colors.grid;
+  g.lineWidth = 0.5;
+  strokePath(g, [[0, half], [width, half]]);
+
+  g.lineWidth = 2;
+  for (const side of ["a", "b"]) {
+    const frames = analysis[side];
+    g.strokeStyle = colors[side];
+    g.setLineDash(side === "b" ? [6, 4] : []);
+    strokePath(g, frames.map((f) => (f.centroidHz === null ? null : [x(f.time), yCentroid(f.centroidHz)])));
+    strokePath(g, frames.map((f) => [x(f.time), yLevel(f.levelDb)]));
+  }
+  g.setLineDash([]);
+}
+
+function describeComparison(analysis) {
+  const parts = ["a", "b"].map((side) => {
+    const { centroidHz, levelDb } = summarizeAnalysis(analysis[side]);
+    const bright = centroidHz === null ? "silent" : `centroid ${Math.round(centroidHz)}Hz`;
+    return `${takeLabel(side, state.mode)}: ${bright}, average level ${Math.round(levelDb)}dB`;
+  });
+  return `Solid ${parts[0]}. Dashed ${parts[1]}.`;
+}
+
+function onNextRoundPressed() {
+  if (!state.answered) return;
+  advanceRound();
+}
+
+// (4c) Blitz clocks: an optional answer deadline per round and a game clock that only runs while a round
+// waits for an answer. Pausing playback does not stop either; holding a round while the audio is away does.
+function createBlitzClock() {
+  const gameMs = SETTINGS.BLITZ_GAME_SECONDS * 1000;
+  return {
+    remainingMs: gameMs > 0 ? gameMs : Infinity,
+    roundStartedMs: null,
+    // Time already spent on this round before a hold.
+    roundSpentMs: 0,
+    deadlineTimer: null,
+    ticker: null,
+    lastRound: false,
+  };
+}
+
+function startBlitzRound() {
+  state.blitz.roundSpentMs = 0;
+  runBlitzClock();
+}
+
+// Starts the round's clocks with whatever time the round and the game have left.
+function runBlitzClock() {
+  const clock = state.blitz;
+  clock.roundStartedMs = performance.now();
+  const roundMs =
+    SETTINGS.BLITZ_ROUND_SECONDS > 0 ? SETTINGS.BLITZ_ROUND_SECONDS * 1000 - clock.roundSpentMs : Infinity;
+  const limitMs = Math.min(roundMs, clock.remainingMs);
+  // Timers can fire a little early; a deadline set by the game clock always ends the game.
+  clock.lastRound = clock.remainingMs <= roundMs;
+  if (Number.isFinite(limitMs)) {
+    clock.deadlineTimer = window.setTimeout(handleBlitzTimeout, limitMs);
+  }
+  clock.ticker = window.setInterval(renderBlitzClock, SETTINGS.BLITZ_CLOCK_UPDATE_MS);
+  renderBlitzClock();
+}
+
+// Stops the round's clocks and charges the time spent to the game clock. Safe to call twice.
+function stopBlitzClock() {
+  const clock = state.blitz;
+  if (!clock || clock.roundStartedMs === null) return;
+  window.clearTimeout(clock.deadlineTimer);
+  window.clearInterval(clock.ticker);
+  const spentMs = performance.now() - clock.roundStartedMs;
+  clock.remainingMs = Math.max(0, clock.remainingMs - spentMs);
+  clock.roundSpentMs += spentMs;
+  clock.roundStartedMs = null;
+  clock.deadlineTimer = null;
+  clock.ticker = null;
+  renderBlitzClock();
+}
+
+function formatClock(ms) {
+  const seconds = Math.ceil(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+}
+
+function renderBlitzClock() {
+  const clock = state.blitz;
+  dom.blitzClock.classList.toggle("hidden", !clock);
+  if (!clock) return;
+  const spentMs = clock.roundStartedMs === null ? 0 : performance.now() - clock.roundStartedMs;
+  const parts = [];
+  if (Number.isFinite(clock.remainingMs)) parts.push(`Game clock ${formatClock(clock.remainingMs - spentMs)}`);
+  if (SETTINGS.BLITZ_ROUND_SECONDS > 0) {
+    const left = Math.max(0, SETTINGS.BLITZ_ROUND_SECONDS * 1000 - clock.roundSpentMs - spentMs);
+    parts.push(`this round ${formatSeconds(left)}`);
+  }
+  dom.blitzClock.textContent = parts.join(" · ");
+}
+
+// Milliseconds since Take B was first heard this round, or null if it has not been yet.
+function currentReactionMs() {
+  if (state.firstBAt === null) return null;
+  return Math.max(0, (state.engine.ctx.currentTime - state.firstBAt) * 1000);
+}
+
+// A round that ended before the player answered: wrong, with no choice.
+function missedResult(round) {
+  return {
+    correctKnob: round.changedKnob,
+    chosenKnob: null,
+    correctKnobs: round.changedKnobs,
+    chosenKnobs: [],
+    correctDirection: null,
+    chosenDirection: null,
+    knobCorrect: false,
+    directionCorrect: false,
+    credit: 0,
+    isCorrect: false,
+    responseMs: Math.max(0, (state.engine.ctx.currentTime - state.roundStartedAt) * 1000),
+    reactionMs: currentReactionMs(),
+    timedOut: true,
+    auditions: { ...state.auditions },
+  };
+}
+
+// Deadline or game clock ran out.
+function handleBlitzTimeout() {
+  if (state.answered) return;
+  state.answered = true;
+  stopBlitzClock();
+  if (state.blitz.lastRound) state.blitz.remainingMs = 0;
+  clearPhaseTimers();
+  stopRoundAudio();
+  setPhase(PHASE_ANSWER);
+
+  const round = state.rounds[state.currentIndex];
+  state.results.push(missedResult(round));
+
+  setOptionsDisabled(true);
+  for (const b of dom.options.querySelectorAll("button.option-button")) {
+    b.classList.toggle("correct", b.dataset.knob === round.changedKnob);
+  }
+  const lead = state.blitz.remainingMs <= 0 ? "Out of time" : "Time's up";
+  setFeedback(`${lead}. It was ${formatKnob(round.changedKnob)}.`, "bad");
+  endRound(round);
+}
+
+// (4d) Party modes: several players on one device. Pass and play hands the device over round by round and
+// holds back the answer until everyone has had a go; buzz-in takes keys from everyone at once.
+const PARTY_MODES = ["hotseat", "buzz"];
+
+function createParty(names) {
+  return { players: names.map((name) => ({ name, score: 0 })), turn: 0, answers: [], lockedOut: [], keyMap: {} };
+}
+
+function partyPlayerNames() {
+  return state.party ? state.party.players.map((p) => p.name) : null;
+}
+
+function currentPlayer() {
+  return state.party.players[state.party.turn];
+}
+
+// HUD: the score, or in party modes whose turn it is (pass and play) plus everyone's score.
+function renderScoreHud() {
+  const party = state.party;
+  dom.partyScores.classList.toggle("hidden", !party);
+  if (!party) {
+    dom.liveScoreLabel.textContent = "Score";
+    dom.liveScore.textContent = formatScore(state.score);
+    return;
+  }
+  const hotseat = state.mode === "hotseat";
+  dom.liveScoreLabel.textContent = hotseat ? "Turn" : "Players";
+  dom.liveScore.textContent = hotseat ? currentPlayer().name : String(party.players.length);
+  dom.partyScores.textContent = party.players
+    .map((p, i) => `${p.name} ${formatScore(p.score)}${party.lockedOut.includes(i) ? " (out)" : ""}`)
+    .join(" · ");
+}
+
+// Called from startRound once the options are up. A round's first turn starts a fresh set of answers.
+function startPartyTurn(order) {
+  const party = state.party;
+  if (party.turn === 0) {
+    party.answers = [];
+    party.lockedOut = [];
+  }
+  dom.handoffPanel.classList.add("hidden");
+  renderScoreHud();
+  if (state.mode !== "buzz") return;
+
+  // Buzz-in: the buttons only show each player's key for that option.
+  party.keyMap = buzzKeyMap(party.players.length, order);
+  setOptionsDisabled(true);
+  const keysFor = (player) => order.map((_id, i) => SETTINGS.BUZZ_KEY_SETS[player][i].toUpperCase());
+  dom.options.querySelectorAll("button.option-button").forEach((b, i) => {
+    b.removeAttribute("aria-keyshortcuts");
+    const keys = document.createElement("span");
+    keys.className = "buzz-keys";
+    keys.textContent = party.players.map((_p, n) => keysFor(n)[i]).join(" ");
+    b.appendChild(keys);
+  });
+  dom.keysHint.textContent = party.players.map((p, n) => `${p.name}: ${keysFor(n).join(" ")}`).join(" · ");
+}
+
+function recordPartyAnswer(player, knobId, round) {
+  const isCorrect = knobId === round.changedKnob;
+  state.party.answers.push({
+    player,
+    chosenKnob: knobId,
+    isCorrect,
+    responseMs: Math.max(0, (state.engine.ctx.currentTime - state.roundStartedAt) * 1000),
+    auditions: { ...state.auditions },
+  });
+  return isCorrect;
+}
+
+function handleTurnAnswer(knobId) {
+  const party = state.party;
+  state.answered = true;
+  clearPhaseTimers();
+  stopRoundAudio();
+  setPhase(PHASE_ANSWER);
+  setOptionsDisabled(true);
+
+  const round = state.rounds[state.currentIndex];
+  recordPartyAnswer(party.turn, knobId, round);
+  const next = party.players[party.turn + 1];
+  if (!next) {
+    finishPartyRound(round);
+    return;
+  }
+  setFeedback(`${currentPlayer().name} locked in an answer.`, "");
+  dom.handoffText.textContent = `Pass the device to ${next.name}.`;
+  dom.handoffButton.textContent = `${next.name}: start`;
+  dom.handoffPanel.classList.remove("hidden");
+  dom.handoffButton.focus();
+}
+
+function onHandoffPressed() {
+  if (!state.party || !state.answered) return;
+  state.party.turn += 1;
+  startRound(state.currentIndex);
+}
+
+// Every key in a playing player's set belongs to buzz-in, even when it does nothing right now (locked out, past
+// the options in play, held down): several sets share letters with the A/B and loop shortcuts.
+function isBuzzKey(key) {
+  const sets = SETTINGS.BUZZ_KEY_SETS.slice(0, state.party.players.length);
+  return sets.some((keys) => Array.from(keys).includes(key));
+}
+
+function handleBuzz(key) {
+  const party = state.party;
+  const hit = party.keyMap[key];
+  if (!hit || state.answered || party.lockedOut.includes(hit.player)) return;
+
+  const round = state.rounds[state.currentIndex];
+  if (!recordPartyAnswer(hit.player, hit.knobId, round)) {
+    party.lockedOut.push(hit.player);
+    renderScoreHud();
+    if (party.lockedOut.length < party.players.length) {
+      const name = party.players[hit.player].name;
+      setFeedback(`${name}: not ${formatKnob(hit.knobId)}. ${name} sits out this round.`, "bad");
+      return;
+    }
+  }
+
+  state.answered = true;
+  clearPhaseTimers();
+  stopRoundAudio();
+  setPhase(PHASE_ANSWER);
+  finishPartyRound(round);
+}
+
+// Everyone has answered (or someone buzzed in right): score the round and show the answer.
+function finishPartyRound(round) {
+  const party = state.party;
+  for (const a of party.answers) {
+    if (a.isCorrect) party.players[a.player].score += 1;
+  }
+  const result = {
+    correctKnob: round.changedKnob,
+    correctKnobs: round.changedKnobs,
+    answers: party.answers,
+    isCorrect: party.answers.some((a) => a.isCorrect),
+  };
+  state.results.push(result);
+
+  setOptionsDisabled(true);
+  for (const b of dom.options.querySelectorAll("button.option-button")) {
+    b.classList.toggle("correct", b.dataset.knob === round.changedKnob);
+  }
+  renderScoreHud();
+  setFeedback(describePartyRound(result), result.isCorrect ? "ok" : "bad");
+  endRound(round);
+}
+
+function describePartyRound(result) {
+  const answer = formatKnob(result.correctKnob);
+  const name = (a) => state.party.players[a.player].name;
+  if (state.mode === "buzz") {
+    const winner = result.answers.find((a) => a.isCorrect);
+    return winner ? `${name(winner)} got it: ${answer}.` : `Nobody got it. It was ${answer}.`;
+  }
+  const verdicts = result.answers.map((a) => (a.isCorrect ? `${name(a)} right` : `${name(a)} wrong`));
+  return `It was ${answer}. ${verdicts.join(", ")}.`;
+}
+
+// Recap line: who answered what, in answer order.
+function describePartyAnswers(result) {
+  if (result.answers.length === 0) return "nobody buzzed";
+  return result.answers
+    .map((a) => {
+      const verdict = a.isCorrect ? "right" : "wrong";
+      return `${state.party.players[a.player].name}: ${formatKnob(a.chosenKnob)}, ${verdict} in ${formatSeconds(a.responseMs)}`;
+    })
+    .join("; ");
+}
+
+function joinWithAnd(items) {
+  if (items.length <= 2) return items.join(" and ");
+  return `${items.slice(0, -1).join(", ")}, and ${items[items.length - 1]}`;
+}
+
+function renderPartyResults() {
+  const standings = partyStandings(state.party.players);
+  const rounds = state.results.length;
+  const winners = standings.filter((p) => p.place === 1).map((p) => p.name);
+  const top = `${formatScore(standings[0].score)}/${rounds}`;
+  dom.score.textContent =
+    winners.length > 1 ? `Tie: ${joinWithAnd(winners)} with ${top}` : `${winners[0]} wins with ${top}`;
+
+  dom.playerScores.innerHTML = "";
+  for (const p of standings) {
+    const li = document.createElement("li");
+    li.textContent = `${p.place}. ${p.name}: ${formatScore(p.score)}/${rounds}`;
+    dom.playerScores.appendChild(li);
+  }
+}
+
+function onModeChanged() {
+  dom.playersField.classList.toggle("hidden", !PARTY_MODES.includes(dom.modeSelect.value));
+}
+
+// (4e) Online rooms: players on their own machines, connected through server/relay.js. The relay sends the
+// seed and the host's settings, then each round's start on its clock; every client builds the same rounds,
+// scores its own answers and reports them for the live scoreboard.
+function defaultRelayUrl() {
+  if (SETTINGS.ROOM_RELAY_URL) return SETTINGS.ROOM_RELAY_URL;
+  const { protocol, host } = window.location;
+  if (!/^https?:$/.test(protocol) || !host) return `ws://localhost:8080${SETTINGS.ROOM_RELAY_PATH}`;
+  return `${protocol === "https:" ? "wss" : "ws"}://${host}${SETTINGS.ROOM_RELAY_PATH}`;
+}
+
+function setRoomStatus(text) {
+  dom.roomStatus.textContent = text;
+}
+
+function sendRoom(message) {
+  const room = state.room;
+  if (room && room.socket.readyState === WebSocket.OPEN) room.socket.send(JSON.stringify(message));
+}
+
+// Relay clock, in ms.
+function roomNow() {
+  return Date.now() + (state.room ? state.room.offsetMs : 0);
+}
+
+function onOnlinePressed() {
+  const saved = readStoredJson(SETTINGS.ROOM_STORAGE_KEY, {});
+  if (!dom.relayUrlInput.value) dom.relayUrlInput.value = saved.relayUrl || defaultRelayUrl();
+  if (!dom.roomInput.value) dom.roomInput.value = saved.room || "";
+  if (!dom.roomNameInput.value) dom.roomNameInput.value = saved.name || "";
+  renderRoomLobby();
+  showScreen("online");
+}
+
+async function onRoomJoinPressed() {
+  const relayUrl = dom.relayUrlInput.value.trim();
+  const roomName = dom.roomInput.value.trim();
+  const name = dom.roomNameInput.value.trim();
+  if (!relayUrl || !roomName || !name) {
+    setRoomStatus("Fill in the relay, a room and your name.");
+    return;
+  }
+  writeStoredJson(SETTINGS.ROOM_STORAGE_KEY, { relayUrl, room: roomName, name });
+  dom.roomJoinButton.disabled = true;
+  try {
+    // Joining is the last click before rounds start arriving, so audio is unlocked here.
+    await unlockAudio();
+    connectRoom(relayUrl, roomName, name);
+  } catch (error) {
+    console.error(error);
+    setRoomStatus(String(error && error.message ? error.message : error));
+    dom.roomJoinButton.disabled = false;
+  }
+}
+
+function connectRoom(relayUrl, roomName, name) {
+  const socket = new WebSocket(relayUrl);
+  const room = {
+    socket,
+    name,
+    roomName,
+    playerId: null,
+    hostId: null,
+    players: [],
+    scoreboard: [],
+    clockSamples: [],
+    offsetMs: 0,
+    // Own settings while the host's are applied, otherwise null.
+    ownOverrides: null,
+    roundTimer: null,
+    // Index of the round on screen, null before the first one.
+    roundIndex: null,
+  };
+  state.room = room;
+  setRoomStatus(`Connecting to ${relayUrl}...`);
+  renderRoomLobby();
+
+  socket.addEventListener("open", () => {
+    sendRoom({ type: "time", clientSent: Date.now() });
+    sendRoom({ type: "join", room: roomName, name });
+  });
+  socket.addEventListener("message", (e) => {
+    if (state.room !== room) return;
+    let message = null;
+    try {
+      message = JSON.parse(e.data);
+    } catch (_error) {
+      return;
+    }
+    onRoomMessage(room, message);
+  });
+  socket.addEventListener("close", () => {
+    if (state.room === room) onRoomClosed(room);
+  });
+}
+
+function onRoomMessage(room, message) {
+  if (message.type === "time") {
+    room.clockSamples.push({ sent: message.clientSent, serverTime: message.serverTime, received: Date.now() });
+    room.offsetMs = estimateClockOffset(room.clockSamples);
+    if (room.clockSamples.length < SETTINGS.ROOM_CLOCK_PINGS) sendRoom({ type: "time", clientSent: Date.now() });
+  } else if (message.type === "joined") {
+    room.playerId = message.playerId;
+    room.roomName = message.room;
+    setRoomStatus(`In room "${room.roomName}". The host starts the game.`);
+  } else if (message.type === "players") {
+    room.hostId = message.hostId;
+    room.players = message.players;
+    renderRoomLobby();
+  } else if (message.type === "game") {
+    onRoomGame(room, message);
+  } else if (message.type === "round") {
+    onRoomRound(room, message);
+  } else if (message.type === "scoreboard") {
+    announceRoomAnswers(room, message.players);
+    room.scoreboard = message.players;
+    // The next round's empty board waits for its start, so the last answers stay up until then.
+    if (message.index === room.roundIndex) renderRoomScoreboard();
+  } else if (message.type === "over") {
+    onRoomOver(room, message);
+  } else if (message.type === "error") {
+    setRoomStatus(message.message);
+    // Turned away at the door: back to the form.
+    if (room.playerId === null) {
+      state.room = null;
+      room.socket.close();
+      renderRoomLobby();
+    }
+  }
+}
+
+function onRoomGame(room, message) {
+  room.ownOverrides = settingsOverrides();
+  try {
+    applySettings(withOwnDisplaySettings(message.overrides, room.ownOverrides));
+  } catch (error) {
+    restoreRoomSettings(room);
+    setRoomStatus(`The host's settings do not work here: ${error.message}`);
+    return;
+  }
+  room.scoreboard = [];
+  room.roundIndex = null;
+  state.lesson = null;
+  state.reviewSession = null;
+  renderRoomScoreboard();
+  startNewGame(message.seed, "online");
+}
+
+// Sets the round up just before the shared start, so Take A sounds at the same moment everywhere.
+function onRoomRound(room, message) {
+  window.clearTimeout(room.roundTimer);
+  room.roundTimer = window.setTimeout(
+    () => {
+      if (state.room !== room || state.mode !== "online") return;
+      closeMissedRoomRound(room);
+      room.roundIndex = message.index;
+      const untilStart = (message.startAt - roomNow()) / 1000;
+      startRound(message.index, state.engine.ctx.currentTime + Math.max(SETTINGS.SCHEDULING_LEAD_SECONDS, untilStart));
+      renderRoomScoreboard();
+    },
+    Math.max(0, message.startAt - roomNow() - SETTINGS.ROOM_SETUP_LEAD_MS),
+  );
+}
+
+// The relay moved on (or ended the game) before this player answered.
+function closeMissedRoomRound(room) {
+  if (room.roundIndex === null || state.results.length > room.roundIndex) return;
+  state.answered = true;
+  state.results.push(missedResult(state.rounds[room.roundIndex]));
+}
+
+function onRoomOver(room, message) {
+  window.clearTimeout(room.roundTimer);
+  room.scoreboard = message.players;
+  if (state.mode === "online" && !dom.quizScreen.classList.contains("hidden")) {
+    closeMissedRoomRound(room);
+    finishGame();
+  }
+  restoreRoomSettings(room);
+}
+
+function restoreRoomSettings(room) {
+  if (!room.ownOverrides) return;
+  try {
+    applySettings(room.ownOverrides);
+  } catch (error) {
+    console.warn("[Bullfrog] could not restore settings", error);
+  }
+  room.ownOverrides = null;
+}
+
+function onRoomClosed(room) {
+  window.clearTimeout(room.roundTimer);
+  state.room = null;
+  restoreRoomSettings(room);
+  if (state.mode === "online" && !dom.quizScreen.classList.contains("hidden")) {
+    clearTimers();
+    stopRoundAudio();
+  }
+  setRoomStatus(room.playerId === null ? "Could not reach the relay." : "Disconnected from the relay.");
+  renderRoomLobby();
+  showScreen("online");
+}
+
+function onRoomLeavePressed() {
+  const room = state.room;
+  if (room) {
+    state.room = null;
+    window.clearTimeout(room.roundTimer);
+    restoreRoomSettings(room);
+    room.socket.close();
+    setRoomStatus("");
+  }
+  renderRoomLobby();
+  showScreen("start");
+}
+
+function onRoomStartPressed() {
+  const room = state.room;
+  if (!room || room.hostId !== room.playerId) return;
+  let seed = null;
+  try {
+    seed = readChallengeSeed();
+  } catch (error) {
+    setRoomStatus(error.message);
+    return;
+  }
+  sendRoom({ type: "start", seed, rounds: SETTINGS.ROUNDS_PER_GAME, overrides: settingsOverrides() });
+}
+
+function renderRoomLobby() {
+  const room = state.room;
+  const joined = Boolean(room && room.playerId !== null);
+  for (const input of [dom.relayUrlInput, dom.roomInput, dom.roomNameInput]) input.disabled = Boolean(room);
+  dom.roomJoinButton.disabled = Boolean(room);
+  dom.roomStartButton.classList.toggle("hidden", !joined || room.hostId !== room.playerId);
+  dom.roomLeaveButton.textContent = room ? "Leave the room" : "Back";
+
+  dom.roomPlayers.innerHTML = "";
+  if (!joined) return;
+  for (const p of room.players) {
+    const li = document.createElement("li");
+    const tags = [];
+    if (p.id === room.hostId) tags.push("host");
+    if (p.id === room.playerId) tags.push("you");
+    li.textContent = tags.length > 0 ? `${p.name} (${tags.join(", ")})` : p.name;
+    dom.roomPlayers.appendChild(li);
+  }
+}
+
+function announceRoomAnswers(room, players) {
+  for (const p of players) {
+    const before = room.scoreboard.find((q) => q.id === p.id);
+    if (p.answered && p.id !== room.playerId && before && !before.answered) announce(`${p.name} answered`);
+  }
+}
+
+// Live scoreboard on the quiz screen: standings so far and who has answered this round.
+function renderRoomScoreboard() {
+  const room = state.room;
+  dom.roomScoreboard.innerHTML = "";
+  if (!room) return;
+  appendRow(dom.roomScoreboard, ["Player", "Score", "This round"], true);
+  for (const p of partyStandings(room.scoreboard)) {
+    let round = "...";
+    if (p.answered) {
+      const time = Number.isFinite(p.responseMs) ? ` in ${formatSeconds(p.responseMs)}` : "";
+      round = `${p.isCorrect ? "right" : "wrong"}${time}`;
+    }
+    const name = p.id === room.playerId ? `${p.name} (you)` : p.name;
+    appendRow(dom.roomScoreboard, [name, formatScore(p.score), round]);
+  }
+}
+
+function renderRoomResults() {
+  const room = state.room;
+  dom.playerScores.innerHTML = "";
+  for (const p of partyStandings(room.scoreboard)) {
+    const li = document.createElement("li");
+    const you = p.id === room.playerId ? " (you)" : "";
+    li.textContent = `${p.place}. ${p.name}${you}: ${formatScore(p.score)}/${state.results.length}`;
+    dom.playerScores.appendChild(li);
+  }
+}
+
+// (4f) Installing and backgrounding. UI timers run on the wall clock and audio on the context's clock, so
+// whenever the two can drift apart (page hidden, audio suspended or interrupted) the round is paused and
+// restarts from the top once both are back.
+function registerServiceWorker() {
+  if (!SETTINGS.SERVICE_WORKER_URL || !("serviceWorker" in navigator)) return;
+  if (!/^https?:$/.test(window.location.protocol)) return;
+  navigator.serviceWorker.register(SETTINGS.SERVICE_WORKER_URL).catch((error) => {
+    console.warn("[Bullfrog] offline play unavailable", error);
+  });
+}
+
+// Call from a tap or key press. iOS only starts audio from inside a gesture, wants a sound played in it,
+// and may not start on the first one. Resolves true once the context runs.
+async function unlockAudio() {
+  initAudio();
+  const ctx = state.audioContext;
+  if (ctx.state === "running") return true;
+  try {
+    const silence = ctx.createBufferSource();
+    silence.buffer = ctx.createBuffer(1, 1, ctx.sampleRate);
+    silence.connect(ctx.destination);
+    silence.start(0);
+  } catch (_error) {
+    // Only an unlock aid.
+  }
+  let timer = null;
+  const giveUp = new Promise((resolve) => {
+    timer = window.setTimeout(resolve, SETTINGS.AUDIO_RESUME_TIMEOUT_MS);
+  });
+  try {
+    await Promise.race([ctx.resume(), giveUp]);
+  } catch (error) {
+    console.warn("[Bullfrog] audio did not resume", error);
+  }
+  window.clearTimeout(timer);
+  return ctx.state === "running";
+}
+
+function audioPlayable() {
+  return state.audioContext !== null && state.audioContext.state === "running" && !document.hidden;
+}
+
+function holdRound() {
+  if (state.answered || state.paused || !state.roundOutput) return;
+  if (dom.quizScreen.classList.contains("hidden")) return;
+  togglePause();
+  state.audioHeld = true;
+  stopBlitzClock();
+  setFeedback("Paused while the audio was away. Tap anywhere to carry on.", "");
+}
+
+function resumeHeldRound() {
+  if (!state.audioHeld || !audioPlayable()) return;
+  state.audioHeld = false;
+  setFeedback("", "");
+  if (state.paused && !state.answered) setTransport(state.transport);
+  if (state.blitz && !state.answered && state.blitz.roundStartedMs === null) runBlitzClock();
+}
+
+function onAudioStateChanged() {
+  if (state.audioContext.state === "running") resumeHeldRound();
+  else holdRound();
+}
+
+function onVisibilityChanged() {
+  if (document.hidden) holdRound();
+  else if (audioPlayable()) resumeHeldRound();
+}
+
+// Any tap retries a stuck context; the statechange to "running" then resumes a held round.
+function onGestureForAudio() {
+  if (state.audioContext && state.audioContext.state !== "running") unlockAudio();
+}
+
+// (4g) MIDI controllers: pads answer, CC knobs turn the match-mode knobs, and both can be learned.
+// Number keys and MIDI pads: the option in that position, if it can be pressed now.
+function pressOption(index) {
+  if (state.answered) return;
+  const target = dom.options.querySelectorAll("button.option-button")[index];
+  if (!target || target.disabled) return;
+  target.click();
+}
+
+function turnMatchKnob(knobId, t) {
+  if (state.mode !== "match" || state.answered) return;
+  const el = dom.matchKnobs.querySelector(`.rotary[data-knob="${knobId}"]`);
+  if (el) setMatchKnob(KNOB_BY_ID[knobId], el, t);
+}
+
+function onMidiMessage(message) {
+  if (state.midiLearn && !dom.settingsScreen.classList.contains("hidden")) {
+    const learned = learnMidiBinding(state.midiBindings, state.midiLearn, message);
+    if (!learned) return;
+    const label = describeMidiTarget(state.midiLearn);
+    state.midiBindings = learned;
+    state.midiLearn = null;
+    saveMidiSetup();
+    renderMidiBindings();
+    announce(`${label} learned.`);
+    return;
+  }
+  const action = midiAction(state.midiBindings, message);
+  if (!action || dom.quizScreen.classList.contains("hidden")) return;
+  if (action.slot !== undefined) pressOption(action.slot);
+  else turnMatchKnob(action.knob, action.t);
+}
+
+function connectMidiInputs() {
+  dom.midiConnectButton.disabled = true;
+  dom.midiStatus.textContent = "Asking for MIDI access...";
+  connectMidi(navigator, onMidiMessage, renderMidiStatus)
+    .then((midi) => {
+      state.midi = midi;
+      saveMidiSetup();
+    })
+    .catch((error) => {
+      console.warn("[Bullfrog] MIDI unavailable", error);
+      dom.midiStatus.textContent = `MIDI unavailable: ${error && error.message ? error.message : error}`;
+    })
+    .finally(() => {
+      dom.midiConnectButton.disabled = false;
+      renderMidiBindings();
+    });
+}
+
+function onMidiConnectPressed() {
+  if (!state.midi) {
+    connectMidiInputs();
+    return;
+  }
+  state.midi.close();
+  state.midi = null;
+  state.midiLearn = null;
+  saveMidiSetup();
+  renderMidiBindings();
+}
+
+function onMidiResetPressed() {
+  state.midiBindings = defaultMidiBindings();
+  state.midiLearn = null;
+  saveMidiSetup();
+  renderMidiBindings();
+}
+
+function describeMidiTarget(target) {
+  return target.slot !== undefined ? `Answer ${target.slot + 1}` : KNOB_BY_ID[target.knob].label;
+}
+
+function renderMidiStatus() {
+  if (!state.midi) {
+    dom.midiStatus.textContent = "Not connected.";
+  } else if (state.midiLearn) {
+    const action = state.midiLearn.slot !== undefined ? "Hit a pad or key" : "Turn a knob";
+    dom.midiStatus.textContent = `${action} for ${describeMidiTarget(state.midiLearn)}...`;
+  } else if (state.midi.inputNames.length === 0) {
+    dom.midiStatus.textContent = "Connected, but no MIDI inputs found. Plug one in.";
+  } else {
+    dom.midiStatus.textContent = `Listening to ${joinWithAnd(state.midi.inputNames)}.`;
+  }
+}
+
+// One row per answer slot and per knob: what it is bound to, and a Learn button (Cancel while learning).
+function renderMidiBindings() {
+  const bindings = state.midiBindings;
+  dom.midiConnectButton.textContent = state.midi ? "Disconnect MIDI" : "Connect MIDI";
+  renderMidiStatus();
+  dom.midiBindings.innerHTML = "";
+  appendRow(dom.midiBindings, ["Control", "MIDI", ""], true);
+
+  const targets = [];
+  for (let slot = 0; slot < SETTINGS.MIDI_ANSWER_SLOTS; slot += 1) {
+    const notes = Object.keys(bindings.notes).filter((note) => bindings.notes[note] === slot);
+    targets.push({ target: { slot }, bound: notes.map((note) => formatMidiNote(Number(note))) });
+  }
+  for (const knob of KNOBS) {
+    const ccs = Object.keys(bindings.ccs).filter((controller) => bindings.ccs[controller] === knob.id);
+    targets.push({ target: { knob: knob.id }, bound: ccs.map((controller) => `CC ${controller}`) });
+  }
+
+  for (const { target, bound } of targets) {
+    const tr = appendRow(dom.midiBindings, [describeMidiTarget(target), bound.length > 0 ? bound.join(", ") : "—"]);
+    const learning = state.midiLearn !== null && JSON.stringify(state.midiLearn) === JSON.stringify(target);
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "link-button";
+    button.textContent = learning ? "Cancel" : "Learn";
+    button.disabled = !state.midi;
+    button.setAttribute("aria-label", `${learning ? "Cancel learning" : "Learn"} ${describeMidiTarget(target)}`);
+    button.addEventListener("click", () => {
+      state.midiLearn = learning ? null : target;
+      renderMidiBindings();
+    });
+    const cell = document.createElement("td");
+    cell.appendChild(button);
+    tr.appendChild(cell);
+  }
+}
+
+// (4h) Lessons: the start screen lists the selected curriculum's stages; a stage plays as a solo game with
+// its settings on top of the defaults (keeping the player's Display settings), restored when it ends.
+function formatShare(share) {
+  return `${Math.round(share * 100)}%`;
+}
+
+function currentCurriculum(curricula = loadCurricula()) {
+  const selected = loadLessons().selected;
+  return curricula.find((c) => c.id === selected) || curricula[0];
+}
+
+function describeStageStatus(stage, status) {
+  if (!status.unlocked) return "Locked: pass the stage before it first.";
+  const mark = `pass mark ${formatShare(stage.pass)}`;
+  if (status.best === null) return `New, ${mark}.`;
+  return `${status.passed ? "Passed" : "Not passed yet"}: best ${formatShare(status.best)}, ${mark}.`;
+}
+
+function renderLessons() {
+  const curricula = loadCurricula();
+  const curriculum = currentCurriculum(curricula);
+  dom.curriculumSelect.innerHTML = "";
+  for (const c of curricula) {
+    const option = document.createElement("option");
+    option.value = c.id;
+    option.textContent = c.title;
+    option.selected = c.id === curriculum.id;
+    dom.curriculumSelect.appendChild(option);
+  }
+  dom.curriculumRemoveButton.classList.toggle("hidden", curriculum.id === DEFAULT_CURRICULUM.id);
+  renderStages(curriculum);
+}
 
-  const idx = Number(key) - 1;
-  const buttons = Array.from(dom.options.querySelectorAll("button.option-button"));
-  const target = buttons[idx];
-  if (!target || target.disabled) return;
-  target.click();
+function renderStages(curriculum) {
+  const statuses = stageStatuses(curriculum, loadLessons().progress);
+  dom.stageList.innerHTML = "";
+  curriculum.stages.forEach((stage, i) => {
+    const status = statuses[i];
+    const li = document.createElement("li");
+    li.className = "stage-item";
+    li.classList.toggle("locked", !status.unlocked);
+    li.classList.toggle("passed", status.passed);
+
+    const text = document.createElement("div");
+    const title = document.createElement("strong");
+    title.textContent = stage.title;
+    text.appendChild(title);
+    for (const line of [stage.description, describeStageStatus(stage, status)]) {
+      if (!line) continue;
+      const p = document.createElement("span");
+      p.className = "hint";
+      p.textContent = line;
+      text.appendChild(p);
+    }
+
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "secondary-button";
+    button.textContent = status.passed ? "Play again" : "Play";
+    button.disabled = !status.unlocked;
+    button.setAttribute("aria-label", `${button.textContent}: ${stage.title}`);
+    button.addEventListener("click", () => onStagePressed(curriculum, i));
+
+    li.append(text, button);
+    dom.stageList.appendChild(li);
+  });
+}
+
+function onCurriculumChanged() {
+  saveLessons({ ...loadLessons(), selected: dom.curriculumSelect.value });
+  dom.curriculumNote.textContent = "";
+  renderLessons();
+}
+
+async function onCurriculumFileChanged() {
+  const file = dom.curriculumInput.files && dom.curriculumInput.files[0];
+  if (!file) return;
+  try {
+    const curriculum = saveCurriculum(JSON.parse(await file.text()));
+    saveLessons({ ...loadLessons(), selected: curriculum.id });
+    dom.curriculumNote.textContent = `Loaded "${curriculum.title}": ${curriculum.stages.length} stages.`;
+  } catch (error) {
+    console.error(error);
+    dom.curriculumNote.textContent = `Could not load ${file.name}: ${error.message}`;
+  } finally {
+    dom.curriculumInput.value = "";
+  }
+  renderLessons();
+}
+
+function onCurriculumRemovePressed() {
+  const curriculum = currentCurriculum();
+  if (curriculum.id === DEFAULT_CURRICULUM.id) return;
+  if (!window.confirm(`Remove "${curriculum.title}" from this browser? Its progress is kept.`)) return;
+  deleteCurriculum(curriculum.id);
+  saveLessons({ ...loadLessons(), selected: DEFAULT_CURRICULUM.id });
+  dom.curriculumNote.textContent = "";
+  renderLessons();
+}
+
+async function onStagePressed(curriculum, index) {
+  try {
+    await unlockAudio();
+    startLessonStage(curriculum, index);
+  } catch (error) {
+    console.error(error);
+    alert(String(error && error.message ? error.message : error));
+  }
+}
+
+function startLessonStage(curriculum, index) {
+  const stage = curriculum.stages[index];
+  const ownOverrides = settingsOverrides();
+  applySettings(withOwnDisplaySettings(stage.overrides, ownOverrides), stage.mode);
+  state.lesson = { curriculum, stageIndex: index, ownOverrides };
+  state.reviewSession = null;
+  startNewGame(randomSeed(), stage.mode);
+}
+
+// Called by finishGame: saves the stage result, shows pass or fail, and puts the player's settings back.
+function finishLessonStage() {
+  const lesson = state.lesson;
+  dom.lessonResult.classList.toggle("hidden", !lesson);
+  dom.lessonsButton.classList.toggle("hidden", !lesson);
+  dom.lessonNextButton.classList.add("hidden");
+  if (!lesson) return;
+
+  const { curriculum, stageIndex } = lesson;
+  const stage = curriculum.stages[stageIndex];
+  const share = state.results.length > 0 ? state.score / state.results.length : 0;
+  const lessons = loadLessons();
+  const outcome = recordStageResult(lessons.progress, curriculum.id, stage, share);
+  saveLessons({ ...lessons, progress: outcome.progress });
+
+  const next = curriculum.stages[stageIndex + 1];
+  let text = `${stage.title}: ${formatShare(share)}, pass mark ${formatShare(stage.pass)}.`;
+  if (!outcome.passed) text += " Not passed yet: try again.";
+  else if (outcome.firstPass && next) text += ` Passed! "${next.title}" is unlocked.`;
+  else if (outcome.firstPass) text += " Passed! That was the last stage of the course.";
+  else text += " Passed.";
+  dom.lessonResult.textContent = text;
+  const nextUnlocked = next && stageStatuses(curriculum, outcome.progress)[stageIndex + 1].unlocked;
+  dom.lessonNextButton.classList.toggle("hidden", !nextUnlocked);
+
+  try {
+    applySettings(lesson.ownOverrides);
+  } catch (error) {
+    console.warn("[Bullfrog] could not restore settings", error);
+  }
+}
+
+async function onLessonNextPressed() {
+  const lesson = state.lesson;
+  if (lesson) await onStagePressed(lesson.curriculum, lesson.stageIndex + 1);
+}
+
+function onLessonsPressed() {
+  state.lesson = null;
+  renderLessons();
+  renderReviewQueue();
+  showScreen("start");
+}
+
+// (4i) Review mistakes: rounds missed in solo games come back, takes and all, on an SM-2 schedule (see
+// addMissedRound). A session plays the due rounds answered one way; missing one again starts it over.
+function formatCount(n, noun) {
+  return `${n} ${noun}${n === 1 ? "" : "s"}`;
+}
+
+function renderReviewQueue(queue = loadReviews()) {
+  const due = dueReviews(queue).length;
+  const label = due > 0 ? `Review mistakes (${due} due)` : "Review mistakes";
+  dom.mistakesButton.textContent = label;
+  dom.mistakesButton.disabled = due === 0;
+  dom.resultMistakesButton.textContent = label;
+  dom.resultMistakesButton.classList.toggle("hidden", due === 0);
+  if (queue.length === 0) {
+    dom.mistakesNote.textContent = "Rounds you miss come back here for review.";
+  } else if (due === 0) {
+    const next = Math.min(...queue.map((item) => Date.parse(item.due)));
+    dom.mistakesNote.textContent = `${formatCount(queue.length, "missed round")} queued; the next is due ${new Date(next).toLocaleString()}.`;
+  } else {
+    dom.mistakesNote.textContent = `${formatCount(queue.length, "missed round")} in the queue.`;
+  }
+}
+
+async function onMistakesPressed() {
+  try {
+    await unlockAudio();
+    startReviewSession();
+  } catch (error) {
+    console.error(error);
+    alert(String(error && error.message ? error.message : error));
+  }
+}
+
+function startReviewSession() {
+  const session = buildReviewSession(loadReviews());
+  if (!session) {
+    renderReviewQueue();
+    return;
+  }
+  state.lesson = null;
+  state.reviewSession = session;
+  startNewGame(randomSeed(), session.mode);
+}
+
+// Called by finishGame: queues this game's misses, or grades the reviewed rounds. Adaptive games aim at
+// about three misses in ten, so theirs are not queued; party and room games are not one player's.
+function recordMistakes() {
+  dom.mistakesResult.classList.add("hidden");
+  if (state.results.length === 0 || state.party || state.room || state.adaptive) return;
+
+  const now = new Date();
+  let queue = loadReviews();
+  const counts = { queued: 0, remembered: 0, learned: 0, missed: 0 };
+  state.results.forEach((result, i) => {
+    const round = state.rounds[i];
+    if (round.reviewId) {
+      const grade = reviewGrade(result);
+      const outcome = recordReview(queue, round.reviewId, grade, now);
+      queue = outcome.queue;
+      if (outcome.learned) counts.learned += 1;
+      else if (grade >= 3) counts.remembered += 1;
+      else counts.missed += 1;
+    } else if (!result.isCorrect) {
+      queue = addMissedRound(queue, `${encodeChallengeCode(state.seed)}-${i}`, state.mode, round, now);
+      counts.queued += 1;
+    }
+  });
+  saveReviews(queue);
+
+  let text = "";
+  if (state.reviewSession) {
+    const parts = [];
+    if (counts.remembered > 0) parts.push(`${counts.remembered} remembered, due again later`);
+    if (counts.learned > 0) parts.push(`${counts.learned} learned and off the list`);
+    if (counts.missed > 0) parts.push(`${counts.missed} missed, starting over`);
+    text = `Review: ${parts.join("; ")}.`;
+  } else if (counts.queued > 0) {
+    text = `${formatCount(counts.queued, "missed round")} saved for review.`;
+  }
+  dom.mistakesResult.textContent = text;
+  dom.mistakesResult.classList.toggle("hidden", !text);
+}
+
+// (4j) Level matching: each round's takes are rendered offline and measured once (measureRoundLevels), and the
+// louder one plays turned down. The gains stay on the round as round.levelMatch.
+const LEVEL_MEASUREMENTS = new WeakMap();
+
+// Not in online rooms: a round is set up just before the shared start, too late to measure it without
+// missing that start.
+function levelMatchApplies() {
+  return SETTINGS.LEVEL_MATCH && state.mode !== "match" && !state.room;
+}
+
+function levelMatched(round) {
+  return levelMatchApplies() && Boolean(round.levelMatch);
+}
+
+function needsLevelMatch(round) {
+  return levelMatchApplies() && !round.levelMatch;
+}
+
+function takeLevel(round, side) {
+  return levelMatched(round) ? round.levelMatch[side] : 1;
+}
+
+// { a, b } for playRound and the WAV exports, so they sound as the round was played.
+function roundLevels(round) {
+  return { a: takeLevel(round, "a"), b: takeLevel(round, "b") };
+}
+
+// One measurement per round; if it fails, the round plays as it is.
+function matchRoundLevels(round) {
+  if (!LEVEL_MEASUREMENTS.has(round)) {
+    const measured = measureRoundLevels(round).then(
+      (levels) => {
+        round.levelMatch = levels;
+      },
+      (error) => console.warn("[Bullfrog] level matching skipped", error),
+    );
+    LEVEL_MEASUREMENTS.set(round, measured);
+  }
+  return LEVEL_MEASUREMENTS.get(round);
+}
+
+function formatDb(gain) {
+  const db = 20 * Math.log10(gain);
+  return `${db > 0 ? "+" : ""}${db.toFixed(1)} dB`;
+}
+
+function formatLufs(lufs) {
+  return Number.isFinite(lufs) ? `${lufs.toFixed(1)} LUFS` : "silent";
+}
+
+function describeLevelMatch(levels) {
+  return `level match A ${formatDb(levels.a)}, B ${formatDb(levels.b)} (measured A ${formatLufs(levels.aLufs)}, B ${formatLufs(levels.bLufs)})`;
+}
+
+function formatKnobList(ids) {
+  return ids.length > 0 ? ids.map(formatKnob).join(" + ") : "none";
+}
+
+function describeMultiOutcome(outcome) {
+  const parts = [];
+  if (outcome.hits.length > 0) parts.push(`found ${formatKnobList(outcome.hits)}`);
+  if (outcome.misses.length > 0) parts.push(`missed ${formatKnobList(outcome.misses)}`);
+  if (outcome.falsePositives.length > 0) parts.push(`${formatKnobList(outcome.falsePositives)} did not move`);
+  const lead = outcome.isCorrect ? "Correct" : `${Math.round(outcome.credit * 100)}% credit`;
+  return `${lead}: ${parts.join("; ")}.`;
+}
+
+function finishGame() {
+  stopReveal();
+  stopBlitzClock();
+  clearTimers();
+  stopRoundAudio();
+  setOptionsDisabled(true);
+  setPhase(PHASE_ANSWER);
+
+  dom.score.textContent = `Score: ${formatScore(state.score)}/${state.results.length}`;
+  if (state.mode === "direction") {
+    const knobs = state.results.filter((r) => r.knobCorrect).length;
+    const directions = state.results.filter((r) => r.directionCorrect).length;
+    const total = state.results.length;
+    dom.score.textContent += ` (knob ${knobs}/${total}, direction ${directions}/${total})`;
+  }
+  if (state.blitz && state.blitz.remainingMs <= 0) dom.score.textContent += " (the game clock ran out)";
+  if (state.party) renderPartyResults();
+  if (state.room) renderRoomResults();
+  dom.playerScores.classList.toggle("hidden", !state.party && !state.room);
+  if (state.room) dom.restartButton.textContent = "Back to the room";
+  else if (state.lesson) dom.restartButton.textContent = "Retry stage";
+  else if (state.reviewSession) dom.restartButton.textContent = "Back to start";
+  else dom.restartButton.textContent = "Run Again";
+  dom.review.innerHTML = "";
+  renderThresholds();
+
+  for (let i = 0; i < state.results.length; i += 1) {
+    const r = state.results[i];
+    const li = document.createElement("li");
+    if (state.party) {
+      li.textContent = `Round ${i + 1}: ${formatKnob(r.correctKnob)} - ${describePartyAnswers(r)}`;
+    } else if (state.mode === "match") {
+      const parts = Object.keys(r.match).map((id) => `${formatKnob(id)} ${r.match[id].distanceOct.toFixed(2)} oct off`);
+      li.textContent = `Round ${i + 1}: ${Math.round(r.credit * 100)}% match (${parts.join(", ")})`;
+    } else if (state.mode === "direction") {
+      const answer = formatKnobDirection(r.correctKnob, r.correctDirection);
+      const chosen = formatKnobDirection(r.chosenKnob, r.chosenDirection);
+      let verdict = "wrong";
+      if (r.directionCorrect) verdict = "correct";
+      else if (r.knobCorrect) verdict = "right knob, wrong direction";
+      li.textContent = `Round ${i + 1}: ${answer} (you: ${chosen}) - ${verdict}`;
+    } else if (state.mode === "multi") {
+      const credit = r.isCorrect ? "correct" : `${Math.round(r.credit * 100)}% credit`;
+      li.textContent = `Round ${i + 1}: ${formatKnobList(r.correctKnobs)} (you: ${formatKnobList(r.chosenKnobs)}) - ${credit}`;
+    } else {
+      const chosen = r.chosenKnob ? formatKnob(r.chosenKnob) : "—";
+      let verdict = r.isCorrect ? "correct" : "wrong";
+      if (r.timedOut) verdict = "timed out";
+      else if (state.mode === "blitz" && r.isCorrect) verdict = `correct, ${Math.round(r.credit * 100)}% credit`;
+      li.textContent = `Round ${i + 1}: ${formatKnob(r.correctKnob)} (you: ${chosen}) - ${verdict}`;
+    }
+    if (Number.isFinite(r.responseMs)) {
+      const times = [formatSeconds(r.responseMs)];
+      if (state.mode === "blitz" && r.reactionMs !== null) times.push(`${formatSeconds(r.reactionMs)} after B`);
+      li.textContent += ` in ${times.join(", ")}`;
+    }
+    if (r.auditions) li.textContent += ` (heard A×${r.auditions.a}, B×${r.auditions.b})`;
+    const sound = [];
+    if (SETTINGS.VOICES.length > 1) sound.push(VOICE_BY_ID[state.rounds[i].voice].label);
+    if (SETTINGS.FILTERS.length > 1) sound.push(FILTER_BY_ID[state.rounds[i].filter].label);
+    if (SETTINGS.PATTERNS.length > 1) sound.push(patternOf(state.rounds[i].takeA).label);
+    if (sound.length > 0) li.textContent += ` [${sound.join(", ")}]`;
+    li.appendChild(renderExportLinks(state.rounds[i], state.mode === "match" ? [["a", "Target"]] : undefined));
+    dom.review.appendChild(li);
+  }
+
+  // A review session's rounds come from other games, so its seed does not replay it.
+  if (state.reviewSession) dom.challengeShare.textContent = "";
+  else renderChallengeShare(state.seed, state.mode);
+  recordFinishedGame();
+  renderLeaderboard();
+  finishLessonStage();
+  recordMistakes();
+  renderReviewQueue();
+  showScreen("result");
+  const notes = [dom.lessonResult, dom.mistakesResult].filter((el) => !el.classList.contains("hidden"));
+  announce(`Game over. ${dom.score.textContent}.${notes.map((el) => ` ${el.textContent}`).join("")}`);
+  dom.score.focus();
+}
+
+// Party games are not one player's history, so they stay out of the stats and the leaderboard.
+function recordFinishedGame() {
+  if (state.results.length === 0 || state.party) return;
+  const record = buildGameRecord({
+    seed: state.seed,
+    mode: state.mode,
+    rounds: state.rounds,
+    results: state.results,
+  });
+  saveHistory(loadHistory().concat([record]));
+}
+
+function formatModeName(mode) {
+  if (mode === "online") return "Online room";
+  const option = Array.from(dom.modeSelect.options).find((o) => o.value === mode);
+  return option ? option.textContent.split(":")[0] : mode;
+}
+
+// Which settings a board is for: the defaults, a saved preset with the same settings, or custom ones.
+function describeLeaderboardSettings(mode) {
+  const key = leaderboardKey(mode);
+  if (key === leaderboardKey(mode, {})) return "default settings";
+  const presets = loadPresets();
+  const name = Object.keys(presets)
+    .sort()
+    .find((n) => leaderboardKey(mode, presets[n]) === key);
+  return name ? `preset "${name}"` : "custom settings";
+}
+
+// Records this run on its board and shows the board, this run highlighted. Games with other players are
+// ranked among those players instead.
+function renderLeaderboard() {
+  dom.leaderboard.innerHTML = "";
+  // Review sessions replay old rounds, so they stay off the board too.
+  const shared = Boolean(state.party || state.room || state.reviewSession);
+  dom.leaderboardSection.classList.toggle("hidden", shared);
+  if (shared) return;
+  if (state.results.length === 0) {
+    dom.leaderboardLabel.textContent = "No rounds played, so no run recorded.";
+    return;
+  }
+  const entry = buildLeaderboardEntry({
+    seed: state.seed,
+    mode: state.mode,
+    score: state.score,
+    results: state.results,
+  });
+  const { entries, rank } = recordLeaderboardRun(leaderboardKey(state.mode), entry);
+  const placing = rank > 0 ? `This run placed #${rank}.` : `This run missed the top ${SETTINGS.LEADERBOARD_SIZE}.`;
+  dom.leaderboardLabel.textContent = `${formatModeName(state.mode)}, ${describeLeaderboardSettings(state.mode)}. ${placing}`;
+
+  const timeLabel = state.mode === "blitz" ? "Avg after B" : "Avg response";
+  appendRow(dom.leaderboard, ["#", "Score", "Rounds", timeLabel, "Finished"], true);
+  entries.forEach((e, i) => {
+    const row = appendRow(dom.leaderboard, [
+      String(i + 1),
+      formatScore(e.score),
+      String(e.rounds),
+      Number.isFinite(e.avgMs) ? formatSeconds(e.avgMs) : "—",
+      new Date(e.finishedAt).toLocaleString(),
+    ]);
+    if (i + 1 === rank) {
+      row.classList.add("current-run");
+      row.setAttribute("aria-current", "true");
+    }
+  });
+}
+
+function appendRow(table, cells, header = false) {
+  const tr = document.createElement("tr");
+  cells.forEach((text, i) => {
+    const cell = document.createElement(header || i === 0 ? "th" : "td");
+    if (header) cell.scope = "col";
+    else if (i === 0) cell.scope = "row";
+    cell.textContent = text;
+    tr.appendChild(cell);
+  });
+  table.appendChild(tr);
+  return tr;
+}
+
+function renderStats() {
+  const stats = computeStats(loadHistory());
+  const labels = stats.knobIds.map(formatKnob);
+
+  dom.statsSummary.textContent =
+    stats.games === 0
+      ? "No finished games yet."
+      : `${stats.games} games, ${stats.overall.total} rounds. ` +
+        `Accuracy ${formatAccuracy(stats.overall)}, average response ${formatAvgResponse(stats.overall)}.`;
+
+  dom.statsKnobs.innerHTML = "";
+  appendRow(dom.statsKnobs, ["Knob", "Accuracy", "Rounds", "Avg response"], true);
+  for (const id of stats.knobIds) {
+    const ks = stats.perKnob[id];
+    if (!ks) continue;
+    appendRow(dom.statsKnobs, [formatKnob(id), formatAccuracy(ks), String(ks.total), formatAvgResponse(ks)]);
+  }
+
+  dom.statsTimeline.innerHTML = "";
+  appendRow(dom.statsTimeline, ["Game"].concat(labels), true);
+  for (const entry of stats.timeline.slice(-SETTINGS.STATS_TIMELINE_GAMES).reverse()) {
+    const when = new Date(entry.finishedAt).toLocaleString();
+    const cells = stats.knobIds.map((id) => formatAccuracy(entry.perKnob[id]));
+    appendRow(dom.statsTimeline, [`${when} (${entry.mode})`].concat(cells));
+  }
+
+  // Rows: knob that actually moved. Columns: what the player answered.
+  dom.statsConfusion.innerHTML = "";
+  appendRow(dom.statsConfusion, ["Moved ↓ / Answered →"].concat(labels), true);
+  for (const actual of stats.knobIds) {
+    const row = stats.confusion[actual];
+    if (!row) continue;
+    const cells = stats.knobIds.map((chosen) => String(row[chosen] || 0));
+    appendRow(dom.statsConfusion, [formatKnob(actual)].concat(cells));
+  }
+}
+
+function onStatsPressed() {
+  renderStats();
+  dom.statsBackButton.dataset.returnTo = dom.resultScreen.classList.contains("hidden") ? "start" : "result";
+  showScreen("stats");
+}
+
+function onStatsBackPressed() {
+  showScreen(dom.statsBackButton.dataset.returnTo || "start");
+}
+
+function onHistoryExportPressed() {
+  const blob = new Blob([serializeHistory(loadHistory())], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `bullfrog-history-${new Date().toISOString().slice(0, 10)}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function onHistoryImportChanged() {
+  const file = dom.historyImportInput.files && dom.historyImportInput.files[0];
+  if (!file) return;
+  try {
+    const incoming = parseHistoryJson(await file.text());
+    saveHistory(mergeHistory(loadHistory(), incoming));
+    renderStats();
+  } catch (error) {
+    console.error(error);
+    alert(String(error && error.message ? error.message : error));
+  } finally {
+    dom.historyImportInput.value = "";
+  }
+}
+
+function onHistoryClearPressed() {
+  if (!window.confirm("Delete all saved games from this browser?")) return;
+  saveHistory([]);
+  renderStats();
+}
+
+function exportFileName(suffix) {
+  return `bullfrog-${encodeChallengeCode(state.seed)}-${suffix}.wav`;
+}
+
+function downloadWav(audioBuffer, fileName) {
+  const blob = new Blob([audioBufferToWav(audioBuffer)], { type: "audio/wav" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Renders on click; the button stays disabled while the offline context runs.
+async function exportWav(button, render, fileName) {
+  button.disabled = true;
+  try {
+    downloadWav(await render(), fileName);
+  } catch (error) {
+    console.error(error);
+    alert(String(error && error.message ? error.message : error));
+  } finally {
+    button.disabled = false;
+  }
+}
+
+const EXPORT_CHOICES = [
+  ["ab", "WAV"],
+  ["a", "A"],
+  ["b", "B"],
+];
+
+function renderExportLinks(round, choices = EXPORT_CHOICES) {
+  const wrap = document.createElement("span");
+  wrap.className = "export-links";
+  const roundTag = `round-${String(round.index + 1).padStart(2, "0")}`;
+
+  for (const [which, label] of choices) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "link-button";
+    button.textContent = label;
+    button.setAttribute(
+      "aria-label",
+      `Download round ${round.index + 1} ${which === "ab" ? "A and B" : `take ${label}`}`,
+    );
+    button.addEventListener("click", () =>
+      exportWav(button, () => renderRound(round, which, roundLevels(round)), exportFileName(`${roundTag}-${which}`)),
+    );
+    wrap.appendChild(button);
+  }
+  return wrap;
+}
+
+function onExportGamePressed() {
+  const rounds = state.rounds.slice(0, state.results.length);
+  exportWav(dom.exportGameButton, () => renderGame(rounds, rounds.map(roundLevels)), exportFileName("game"));
+}
+
+function renderThresholds() {
+  dom.thresholds.innerHTML = "";
+  dom.thresholds.classList.toggle("hidden", !state.adaptive);
+  if (!state.adaptive) return;
+
+  for (const id of state.adaptive.knobIds) {
+    const sc = state.adaptive.staircases[id];
+    const li = document.createElement("li");
+    const level = KNOB_BY_ID[id].formatSize(staircaseThreshold(sc));
+    li.textContent = `${id}: ${level} (${sc.correct}/${sc.trials} correct)`;
+    dom.thresholds.appendChild(li);
+  }
+}
+
+// "A, B, or C"
+function joinWithOr(items) {
+  if (items.length <= 2) return items.join(" or ");
+  return `${items.slice(0, -1).join(", ")}, or ${items[items.length - 1]}`;
+}
+
+// Start screen copy that depends on the current settings.
+function refreshStartScreen() {
+  dom.knobList.textContent = joinWithOr(activeKnobs().map((k) => k.label));
+  dom.roundsLabel.textContent = `${SETTINGS.ROUNDS_PER_GAME} rounds.`;
+}
+
+function describeCustomSettings() {
+  return Object.keys(settingsOverrides()).length > 0 ? "Using custom settings." : "";
+}
+
+function settingsInputId(key) {
+  return `setting-${key.toLowerCase().replace(/_/g, "-")}`;
+}
+
+function formatSettingValue(field, value) {
+  if (field.type === "list") return value.join(", ");
+  return String(value);
+}
+
+function renderSettingsForm(values = SETTINGS) {
+  dom.settingsForm.innerHTML = "";
+  for (const group of SETTINGS_SCHEMA) {
+    const fieldset = document.createElement("fieldset");
+    fieldset.className = "settings-group";
+    const legend = document.createElement("legend");
+    legend.textContent = group.group;
+    fieldset.appendChild(legend);
+
+    for (const field of group.fields) {
+      if (SETTINGS_ID_TYPES[field.type]) {
+        const wrap = document.createElement("div");
+        wrap.className = "field settings-knobs";
+        wrap.setAttribute("role", "group");
+        wrap.setAttribute("aria-label", field.label);
+        const caption = document.createElement("span");
+        caption.textContent = field.label;
+        wrap.appendChild(caption);
+        for (const item of SETTINGS_ID_TYPES[field.type].items) {
+          const label = document.createElement("label");
+          const box = document.createElement("input");
+          box.type = "checkbox";
+          box.name = field.key;
+          box.value = item.id;
+          box.checked = values[field.key].includes(item.id);
+          label.appendChild(box);
+          label.appendChild(document.createTextNode(` ${item.label}`));
+          wrap.appendChild(label);
+        }
+        fieldset.appendChild(wrap);
+        continue;
+      }
+
+      const label = document.createElement("label");
+      label.className = "field";
+      label.htmlFor = settingsInputId(field.key);
+      const caption = document.createElement("span");
+      caption.textContent = field.label;
+      const input = document.createElement(field.type === "choice" ? "select" : "input");
+      input.id = settingsInputId(field.key);
+      input.name = field.key;
+      if (field.type === "choice") {
+        for (const [value, text] of field.options) {
+          const option = document.createElement("option");
+          option.value = value;
+          option.textContent = text;
+          input.appendChild(option);
+        }
+        input.value = values[field.key];
+      } else if (field.type === "bool") {
+        input.type = "checkbox";
+        input.checked = Boolean(values[field.key]);
+      } else if (field.type === "list") {
+        input.type = "text";
+        input.inputMode = "decimal";
+        input.value = formatSettingValue(field, values[field.key]);
+      } else {
+        input.type = "number";
+        input.min = String(field.min);
+        input.max = String(field.max);
+        input.step = field.type === "int" ? "1" : "any";
+        input.value = formatSettingValue(field, values[field.key]);
+      }
+      label.appendChild(caption);
+      label.appendChild(input);
+      fieldset.appendChild(label);
+    }
+    dom.settingsForm.appendChild(fieldset);
+  }
+}
+
+// Form -> settings values. Unparseable numbers come through as NaN and fail validation.
+function readSettingsForm() {
+  const values = {};
+  for (const field of SETTINGS_FIELDS) {
+    if (SETTINGS_ID_TYPES[field.type]) {
+      const boxes = dom.settingsForm.querySelectorAll(`input[name="${field.key}"]:checked`);
+      values[field.key] = Array.from(boxes).map((b) => b.value);
+      continue;
+    }
+    const input = document.getElementById(settingsInputId(field.key));
+    if (field.type === "bool") values[field.key] = input.checked;
+    else if (field.type === "choice") values[field.key] = input.value;
+    else if (field.type === "list") {
+      values[field.key] = input.value
+        .split(",")
+        .map((x) => x.trim())
+        .filter((x) => x !== "")
+        .map(Number);
+    } else values[field.key] = input.value.trim() === "" ? NaN : Number(input.value);
+  }
+  return values;
+}
+
+function showSettingsErrors(errors) {
+  dom.settingsErrors.innerHTML = "";
+  for (const e of errors) {
+    const li = document.createElement("li");
+    li.textContent = e;
+    dom.settingsErrors.appendChild(li);
+  }
+}
+
+// Validated overrides from the form, or null (errors shown).
+function formOverrides() {
+  const values = mergeSettings(readSettingsForm());
+  const errors = validateSettings(values);
+  showSettingsErrors(errors);
+  return errors.length === 0 ? settingsOverrides(values) : null;
+}
+
+function presetUrl(overrides) {
+  const url = new URL(window.location.href);
+  url.search = "";
+  url.hash = "";
+  url.searchParams.set(SETTINGS.SETTINGS_URL_PARAM, encodeSettings(overrides));
+  return url.toString();
+}
+
+function renderPresets() {
+  dom.presetList.innerHTML = "";
+  const presets = loadPresets();
+  const names = Object.keys(presets).sort();
+  if (names.length === 0) {
+    const li = document.createElement("li");
+    li.textContent = "No saved presets.";
+    dom.presetList.appendChild(li);
+    return;
+  }
+
+  for (const name of names) {
+    const li = document.createElement("li");
+    li.appendChild(document.createTextNode(name));
+    const actions = document.createElement("span");
+    actions.className = "export-links";
+
+    const load = document.createElement("button");
+    load.type = "button";
+    load.className = "link-button";
+    load.textContent = "Load";
+    load.addEventListener("click", () => {
+      renderSettingsForm(mergeSettings(presets[name]));
+      showSettingsErrors(validateSettings(mergeSettings(presets[name])));
+      dom.presetName.value = name;
+    });
+
+    const link = document.createElement("a");
+    link.className = "link-button";
+    link.href = presetUrl(presets[name]);
+    link.textContent = "Link";
+
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.className = "link-button";
+    remove.textContent = "Delete";
+    remove.addEventListener("click", () => {
+      deletePreset(name);
+      renderPresets();
+    });
+
+    actions.append(load, link, remove);
+    li.appendChild(actions);
+    dom.presetList.appendChild(li);
+  }
+}
+
+function onSettingsPressed() {
+  renderSettingsForm();
+  showSettingsErrors([]);
+  renderPresets();
+  renderMidiBindings();
+  showScreen("settings");
+}
+
+function onSettingsApplyPressed() {
+  const overrides = formOverrides();
+  if (!overrides) return;
+  applySettings(overrides);
+  applyDisplaySettings();
+  writeStoredJson(SETTINGS.SETTINGS_STORAGE_KEY, overrides);
+  dom.settingsNote.textContent = describeCustomSettings();
+  refreshStartScreen();
+  showScreen("start");
+}
+
+function onSettingsResetPressed() {
+  renderSettingsForm(DEFAULT_SETTINGS);
+  showSettingsErrors([]);
+}
+
+function onPresetSavePressed() {
+  const overrides = formOverrides();
+  if (!overrides) return;
+  try {
+    savePreset(dom.presetName.value, overrides);
+    renderPresets();
+  } catch (error) {
+    showSettingsErrors([error.message]);
+  }
+}
+
+// Stored settings first, then a URL preset on top. Bad input is reported, never fatal.
+function loadInitialSettings() {
+  const params = new URLSearchParams(window.location.search);
+  let overrides = readStoredJson(SETTINGS.SETTINGS_STORAGE_KEY, {});
+  let source = "";
+  try {
+    if (params.has(SETTINGS.SETTINGS_URL_PARAM)) {
+      source = "settings link";
+      overrides = decodeSettings(params.get(SETTINGS.SETTINGS_URL_PARAM));
+    } else if (params.has(SETTINGS.PRESET_URL_PARAM)) {
+      const name = params.get(SETTINGS.PRESET_URL_PARAM);
+      const presets = loadPresets();
+      source = `preset "${name}"`;
+      if (!presets[name]) throw new Error(`No saved preset called "${name}".`);
+      overrides = presets[name];
+    }
+    applySettings(overrides);
+    dom.settingsNote.textContent = source ? `Using ${source}.` : describeCustomSettings();
+  } catch (error) {
+    console.warn("[Bullfrog] settings ignored", error);
+    dom.settingsNote.textContent = `Ignored ${source || "saved settings"}: ${error.message}`;
+  }
+}
+
+// Modes on the start screen's list; online rooms and lesson stages are started elsewhere.
+function isStartMode(mode) {
+  return Array.from(dom.modeSelect.options).some((o) => o.value === mode);
+}
+
+function challengeUrl(seed, mode) {
+  const url = new URL(window.location.href);
+  url.searchParams.set(SETTINGS.CHALLENGE_URL_PARAM, encodeChallengeCode(seed));
+  if (isStartMode(mode)) url.searchParams.set(SETTINGS.MODE_URL_PARAM, mode);
+  else url.searchParams.delete(SETTINGS.MODE_URL_PARAM);
+  // Same code + same settings = same rounds, so custom settings travel with the link.
+  url.searchParams.delete(SETTINGS.PRESET_URL_PARAM);
+  const overrides = settingsOverrides();
+  if (Object.keys(overrides).length > 0) url.searchParams.set(SETTINGS.SETTINGS_URL_PARAM, encodeSettings(overrides));
+  else url.searchParams.delete(SETTINGS.SETTINGS_URL_PARAM);
+  url.hash = "";
+  return url.toString();
+}
+
+function renderChallengeShare(seed, mode) {
+  const code = encodeChallengeCode(seed);
+  dom.challengeShare.textContent = "Challenge code: ";
+  const link = document.createElement("a");
+  link.href = challengeUrl(seed, mode);
+  link.textContent = code;
+  dom.challengeShare.appendChild(link);
+}
+
+// Empty input means a fresh random game; anything else must be a valid code.
+function readChallengeSeed() {
+  const raw = dom.challengeInput.value.trim();
+  if (!raw) return randomSeed();
+  const seed = decodeChallengeCode(raw);
+  if (seed === null) throw new Error(`Invalid challenge code: ${raw}`);
+  return seed;
+}
+
+async function onStartPressed() {
+  dom.startButton.disabled = true;
+  try {
+    const seed = readChallengeSeed();
+    const mode = dom.modeSelect.value;
+    const playerNames = PARTY_MODES.includes(mode) ? parsePlayerNames(dom.playersInput.value) : null;
+    if (mode === "buzz") buzzKeyMap(playerNames.length, SETTINGS.ENABLED_KNOBS);
+    await unlockAudio();
+    state.lesson = null;
+    state.reviewSession = null;
+    startNewGame(seed, mode, playerNames);
+  } catch (error) {
+    console.error(error);
+    alert(String(error && error.message ? error.message : error));
+  } finally {
+    dom.startButton.disabled = false;
+  }
+}
+
+function onRestartPressed() {
+  if (state.room) {
+    renderRoomLobby();
+    showScreen("online");
+    return;
+  }
+  if (state.lesson) {
+    startLessonStage(state.lesson.curriculum, state.lesson.stageIndex);
+    return;
+  }
+  if (state.reviewSession) {
+    state.reviewSession = null;
+    renderReviewQueue();
+    showScreen("start");
+    return;
+  }
+  startNewGame();
+}
+
+dom.startButton.addEventListener("click", onStartPressed);
+dom.restartButton.addEventListener("click", onRestartPressed);
+dom.exportGameButton.addEventListener("click", onExportGamePressed);
+dom.submitAnswer.addEventListener("click", onSubmitAnswerPressed);
+dom.nextRoundButton.addEventListener("click", onNextRoundPressed);
+dom.handoffButton.addEventListener("click", onHandoffPressed);
+dom.onlineButton.addEventListener("click", onOnlinePressed);
+dom.roomJoinButton.addEventListener("click", onRoomJoinPressed);
+dom.roomStartButton.addEventListener("click", onRoomStartPressed);
+dom.roomLeaveButton.addEventListener("click", onRoomLeavePressed);
+dom.midiConnectButton.addEventListener("click", onMidiConnectPressed);
+dom.curriculumSelect.addEventListener("change", onCurriculumChanged);
+dom.curriculumInput.addEventListener("change", onCurriculumFileChanged);
+dom.curriculumRemoveButton.addEventListener("click", onCurriculumRemovePressed);
+dom.lessonNextButton.addEventListener("click", onLessonNextPressed);
+dom.lessonsButton.addEventListener("click", onLessonsPressed);
+dom.midiResetButton.addEventListener("click", onMidiResetPressed);
+dom.mistakesButton.addEventListener("click", onMistakesPressed);
+dom.resultMistakesButton.addEventListener("click", onMistakesPressed);
+dom.modeSelect.addEventListener("change", onModeChanged);
+dom.transport.addEventListener("click", onTransportClicked);
+dom.statsButton.addEventListener("click", onStatsPressed);
+dom.settingsButton.addEventListener("click", onSettingsPressed);
+dom.settingsApplyButton.addEventListener("click", onSettingsApplyPressed);
+dom.settingsResetButton.addEventListener("click", onSettingsResetPressed);
+dom.settingsBackButton.addEventListener("click", () => showScreen("start"));
+dom.presetSaveButton.addEventListener("click", onPresetSavePressed);
+dom.resultStatsButton.addEventListener("click", onStatsPressed);
+dom.statsBackButton.addEventListener("click", onStatsBackPressed);
+dom.historyExportButton.addEventListener("click", onHistoryExportPressed);
+dom.historyImportInput.addEventListener("change", onHistoryImportChanged);
+dom.historyClearButton.addEventListener("click", onHistoryClearPressed);
+
+document.addEventListener("visibilitychange", onVisibilityChanged);
+document.addEventListener("pointerdown", onGestureForAudio, true);
+document.addEventListener("keydown", onGestureForAudio, true);
+window.addEventListener("load", registerServiceWorker);
+
+document.addEventListener("keydown", (e) => {
+  if (dom.quizScreen.classList.contains("hidden")) return;
+  if (state.mode === "buzz" && !e.ctrlKey && !e.metaKey && !e.altKey && isBuzzKey(e.key.toLowerCase())) {
+    if (!e.repeat) handleBuzz(e.key.toLowerCase());
+    return;
+  }
+  if (state.answered) {
+    const revealing = !dom.revealPanel.classList.contains("hidden");
+    if (revealing && e.key.toLowerCase() === "n" && !e.ctrlKey && !e.metaKey && !e.altKey) advanceRound();
+    return;
+  }
+
+  const key = e.key;
+  const transportKeys = { a: TRANSPORT_A, b: TRANSPORT_B, l: TRANSPORT_LOOP };
+  const lower = key.toLowerCase();
+  if (transportKeys[lower] && !e.ctrlKey && !e.metaKey && !e.altKey) {
+    setTransport(transportKeys[lower]);
+    return;
+  }
+  if (lower === "x" && !e.ctrlKey && !e.metaKey && !e.altKey) {
+    toggleSwitchSide();
+    return;
+  }
+  if (key === " ") {
+    e.preventDefault();
+    togglePause();
+    return;
+  }
+  if (key === "Enter" && (state.mode === "multi" || state.mode === "match")) {
+    if (dom.submitAnswer.disabled) return;
+    e.preventDefault();
+    dom.submitAnswer.click();
+    return;
+  }
+  if (!/^[1-9]$/.test(key)) return;
+  pressOption(Number(key) - 1);
 });
 
 // Initial state.
+{
+  const params = new URLSearchParams(window.location.search);
+  const urlCode = params.get(SETTINGS.CHALLENGE_URL_PARAM);
+  if (urlCode && decodeChallengeCode(urlCode) !== null) {
+    dom.challengeInput.value = urlCode.trim().toUpperCase();
+    const urlMode = params.get(SETTINGS.MODE_URL_PARAM);
+    if (isStartMode(urlMode)) dom.modeSelect.value = urlMode;
+    dom.freePlay.open = true;
+  }
+}
+loadInitialSettings();
+applyDisplaySettings();
+for (const query of ["(prefers-contrast: more)", "(prefers-reduced-motion: reduce)"]) {
+  if (window.matchMedia) window.matchMedia(query).addEventListener("change", applyDisplaySettings);
+}
+refreshStartScreen();
+renderLessons();
+renderReviewQueue();
+onModeChanged();
+{
+  const midiSetup = loadMidiSetup();
+  state.midiBindings = midiSetup.bindings;
+  renderMidiBindings();
+  if (midiSetup.enabled) connectMidiInputs();
+}
 showScreen("start");
 setPhase(PHASE_A);
 dom.prompt.textContent = "";
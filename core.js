@@ -0,0 +1,3171 @@
+"use strict";
+
+/* Bullfrog core: settings, knobs, audio scheduling, round generation and scoring.
+ *
+ * No DOM access. Loaded by index.html before app.js (top-level names are shared between the two
+ * scripts) and by the Node tests via require().
+ */
+
+// All tunables live here.
+const SETTINGS = {
+  DEBUG_SHOW_ANSWER: false,
+  DEBUG_LOG_ROUNDS: false,
+
+  ROUNDS_PER_GAME: 10,
+  // Seed for a "same rounds for everyone" game, read from ?challenge=CODE, and its game mode (?mode=), since
+  // modes build their rounds differently.
+  CHALLENGE_URL_PARAM: "challenge",
+  MODE_URL_PARAM: "mode",
+  // Settings overrides: ?settings=<encoded> (portable) or ?preset=<saved name> (this browser).
+  SETTINGS_URL_PARAM: "settings",
+  PRESET_URL_PARAM: "preset",
+  SETTINGS_STORAGE_KEY: "bullfrog.settings.v1",
+  PRESETS_STORAGE_KEY: "bullfrog.presets.v1",
+  FEEDBACK_ADVANCE_MS: 900,
+
+  // Display. "auto" follows the system's prefers-contrast / prefers-reduced-motion.
+  THEME: "auto",
+  REDUCED_MOTION: "auto",
+  // Screen reader announcements kept in the live region (older lines are dropped).
+  ANNOUNCER_MAX_LINES: 5,
+
+  SILENCE_GAP_SECONDS: 0.25,
+  LOOP_CYCLE_PAUSE_SECONDS: 0.35,
+  TAKE_FADE_SECONDS: 0.02,
+  SCHEDULING_LEAD_SECONDS: 0.05,
+  TAKE_CLEANUP_EXTRA_SECONDS: 0.15,
+  // A/B switch: crossfade between the two take buses.
+  AB_CROSSFADE_SECONDS: 0.02,
+
+  // Synth voices (see registerVoice). VOICE_CHOICE "round" picks a voice per round, "game" once per game.
+  VOICES: ["saw"],
+  VOICE_CHOICE: "round",
+
+  // "Bullfrog like" saw voice.
+  OSC_TYPE: "sawtooth",
+  // Other voices.
+  PULSE_WIDTH: 0.25,
+  PULSE_HARMONICS: 64,
+  SUPERSAW_OSCILLATORS: 5,
+  SUPERSAW_DETUNE_CENTS: 22,
+  NOISE_SEED: 1,
+  SNARE_BODY_RATIO: 2,
+  SNARE_BODY_GAIN: 0.4,
+  FM_BELL_CARRIER_RATIO: 4,
+  FM_BELL_MOD_RATIO: 1.4,
+  FM_BELL_INDEX: 3,
+  PLUCK_BURST_SECONDS: 0.012,
+  PLUCK_FEEDBACK: 0.985,
+  PLUCK_DAMPING_HZ: 4500,
+
+  // Takes play a pattern (see registerPattern) at BPM, transposed to a root note picked per round.
+  // A take lasts as long as its pattern; PATTERN_CHOICE works like VOICE_CHOICE.
+  PATTERNS: ["hits"],
+  PATTERN_CHOICE: "round",
+  BPM: 90,
+  NOTE_FREQUENCIES_HZ: [98.0, 110.0, 130.81, 146.83, 164.81], // G2, A2, C3, D3, E3
+  // Peak level of steps without an accent.
+  UNACCENTED_LEVEL: 0.7,
+
+  // Amp envelope: A=5ms, D=DECAY knob, S=0, R=50ms.
+  AMP_ATTACK_SECONDS: 0.005,
+  AMP_RELEASE_SECONDS: 0.05,
+
+  // Filter topologies (see registerFilter); FILTER_CHOICE works like VOICE_CHOICE.
+  // Lowpass uses the CUTOFF_* / RESONANCE_* ranges below; the others bring their own.
+  FILTERS: ["lowpass"],
+  FILTER_CHOICE: "round",
+  // Highpass thins the sound from below, so its useful cutoffs sit lower.
+  HIGHPASS_CUTOFF_BASE_HZ_MIN: 60,
+  HIGHPASS_CUTOFF_BASE_HZ_MAX: 900,
+  HIGHPASS_FIXED_CUTOFF_HZ: 200,
+  // Bandpass: cutoff is the centre, resonance the band's Q (higher = narrower).
+  BANDPASS_CUTOFF_BASE_HZ_MIN: 300,
+  BANDPASS_CUTOFF_BASE_HZ_MAX: 3000,
+  BANDPASS_FIXED_CUTOFF_HZ: 1000,
+  BANDPASS_BASE_Q_MIN: 0.8,
+  BANDPASS_BASE_Q_MAX: 5.0,
+  BANDPASS_CHANGE_DELTA_Q: 1.5,
+  BANDPASS_Q_MIN: 0.5,
+  BANDPASS_Q_MAX: 10.0,
+  BANDPASS_FIXED_Q: 2.0,
+  // Ladder (4-pole, 24dB/oct): resonance is loop feedback, 4 would self-oscillate.
+  // Adaptive sizes are in Q units and get scaled into feedback units.
+  LADDER_BASE_RESONANCE_MIN: 0.2,
+  LADDER_BASE_RESONANCE_MAX: 3.0,
+  LADDER_CHANGE_DELTA: 0.9,
+  LADDER_RESONANCE_MIN: 0.1,
+  LADDER_RESONANCE_MAX: 3.8,
+  LADDER_FIXED_RESONANCE: 1.2,
+  LADDER_SIZE_SCALE: 0.35,
+  LADDER_PEAK_DB_PER_UNIT: 6,
+  LADDER_BASS_LOSS_DB_PER_UNIT: 2,
+
+  // Filter envelope: A=5ms, D=DECAY knob, fixed amount.
+  FILTER_ENV_ATTACK_SECONDS: 0.005,
+  // Keep this modest so the base cutoff knob stays audible during the transient.
+  FILTER_ENV_AMOUNT_HZ: 500,
+  FILTER_STACK_SIZE: 2,
+  FILTER_STACK_Q2: 0.707,
+
+  // Loudness control.
+  MASTER_GAIN: 0.85,
+  VOICE_PEAK_GAIN: 0.11,
+  USE_LIMITER: true,
+  LIMITER_THRESHOLD_DB: -12,
+  LIMITER_KNEE_DB: 18,
+  LIMITER_RATIO: 12,
+  LIMITER_ATTACK_SECONDS: 0.003,
+  LIMITER_RELEASE_SECONDS: 0.11,
+
+  // Mix context: an optional backing loop under both takes (kick, clap and hi-hats from sine and noise hits,
+  // and a pad on the take's root, at the take's tempo), the same under A and B. It has its own bus and
+  // limiter: through the takes' limiter it would be ducked harder under the louder take, giving the answer
+  // away, and would push that take harder into the limiter than the other.
+  BACKING_TRACK: false,
+  BACKING_LEVEL: 0.5,
+  BACKING_KICK_GAIN: 0.45,
+  BACKING_CLAP_GAIN: 0.2,
+  BACKING_HAT_GAIN: 0.06,
+  BACKING_PAD_GAIN: 0.04,
+  // Pad chord: semitones above the take's root, an octave down.
+  BACKING_PAD_SEMITONES: [0, 7, 15],
+  BACKING_PAD_CUTOFF_HZ: 900,
+
+  // Level matching (LEVEL_MATCH): before a round plays, both takes are rendered offline and measured (BS.1770
+  // K-weighted loudness over LOUDNESS_BLOCK_SECONDS blocks, gated at LOUDNESS_GATE_LUFS), and the louder take
+  // is turned down to the quieter one's level, by at most LEVEL_MATCH_MAX_DB. The answer then has to come from
+  // the timbre. Match mode is left alone: its B take is the player's patch, which changes with every turn. So
+  // are online rooms, whose rounds are set up too close to the shared start to measure them first.
+  LEVEL_MATCH: false,
+  LEVEL_MATCH_MAX_DB: 12,
+  LOUDNESS_BLOCK_SECONDS: 0.4,
+  LOUDNESS_BLOCK_OVERLAP: 0.75,
+  LOUDNESS_GATE_LUFS: -70,
+
+  // Post-answer reveal: a live spectrum/waveform of one more A/B pass, and A against B (spectral centroid and
+  // level over time, from offline renders of the takes). The next round waits for "Next" while it is up.
+  SHOW_REVEAL: true,
+  ANALYSER_FFT_SIZE: 2048,
+  ANALYSER_SMOOTHING: 0.7,
+  ANALYSIS_FRAME_SIZE: 2048,
+  ANALYSIS_HOP_SIZE: 512,
+  ANALYSIS_FLOOR_DB: -70,
+  REVEAL_SPECTRUM_RANGE_HZ: [40, 12000],
+  REVEAL_CENTROID_RANGE_HZ: [60, 8000],
+
+  // WAV export (offline render through the same voice + limiter chain).
+  EXPORT_SAMPLE_RATE: 44100,
+  EXPORT_TAIL_SECONDS: 0.2,
+
+  // Finished games kept in localStorage for the stats screen.
+  HISTORY_STORAGE_KEY: "bullfrog.history.v1",
+  HISTORY_MAX_GAMES: 500,
+  STATS_TIMELINE_GAMES: 12,
+  // Best runs per mode and settings, shown on the result screen.
+  LEADERBOARD_STORAGE_KEY: "bullfrog.leaderboard.v1",
+  LEADERBOARD_SIZE: 10,
+
+  // Knobs and ranges.
+  CUTOFF_BASE_HZ_MIN: 250,
+  CUTOFF_BASE_HZ_MAX: 2500,
+  // More drastic than the original spec, per request.
+  CUTOFF_CHANGE_MULTIPLIERS: [2.6, 0.38],
+  // >1 biases the random cutoff towards the low end (easier for beginners to hear).
+  CUTOFF_BASE_LOG_SKEW: 1.8,
+
+  RESONANCE_BASE_Q_MIN: 0.5,
+  RESONANCE_BASE_Q_MAX: 8.0,
+  RESONANCE_CHANGE_DELTA_Q: 2.0,
+  RESONANCE_Q_MIN: 0.5,
+  RESONANCE_Q_MAX: 12.0,
+
+  DECAY_BASE_MS_MIN: 120,
+  DECAY_BASE_MS_MAX: 1200,
+  DECAY_CHANGE_MULTIPLIERS: [1.6, 0.6],
+  DECAY_MS_MIN: 80,
+  DECAY_MS_MAX: 2000,
+
+  // Multi-knob mode: how many knobs may move per round (capped at the enabled count).
+  MULTI_MIN_CHANGED_KNOBS: 1,
+  MULTI_MAX_CHANGED_KNOBS: 3,
+
+  // Match mode: a knob within this share of its range (log scale) counts as matched;
+  // its score reaches 0 at MATCH_SCORE_FALLOFF of the range.
+  MATCH_KNOB_TOLERANCE: 0.05,
+  MATCH_SCORE_FALLOFF: 0.5,
+  MATCH_DRAG_PIXELS: 200,
+  MATCH_KEY_STEP: 0.01,
+  MATCH_KEY_PAGE_STEP: 0.1,
+  MATCH_BUTTON_STEP: 0.05,
+
+  // Blitz mode: classic rounds against the clock (0 turns a clock off). The game clock only runs while a
+  // round is waiting for an answer. A right answer within BLITZ_FAST_MS of the first Take B onset scores 1,
+  // falling to BLITZ_MIN_CREDIT at BLITZ_SLOW_MS; answering before B was heard scores BLITZ_MIN_CREDIT.
+  BLITZ_GAME_SECONDS: 90,
+  BLITZ_ROUND_SECONDS: 10,
+  BLITZ_FAST_MS: 1500,
+  BLITZ_SLOW_MS: 6000,
+  BLITZ_MIN_CREDIT: 0.25,
+  BLITZ_CLOCK_UPDATE_MS: 200,
+
+  // Party modes: 2-6 named players on one device, all on the same rounds. "Pass and play" hands the device
+  // round by round; "buzz-in" has everyone answer at once, player N with the keys of BUZZ_KEY_SETS[N]
+  // (one key per option, left to right).
+  PARTY_MIN_PLAYERS: 2,
+  PARTY_MAX_PLAYERS: 6,
+  BUZZ_KEY_SETS: ["qwert", "iopkl", "zxcvb", "nm,./", "12345", "67890"],
+
+  // Online rooms through the bundled relay (server/relay.js). An empty ROOM_RELAY_URL means the relay that
+  // served the page. Clocks are synced with ROOM_CLOCK_PINGS round trips (the fastest one wins), and a
+  // round is set up ROOM_SETUP_LEAD_MS before its shared start time.
+  ROOM_RELAY_URL: "",
+  ROOM_RELAY_PATH: "/relay",
+  ROOM_CLOCK_PINGS: 5,
+  ROOM_SETUP_LEAD_MS: 250,
+  ROOM_STORAGE_KEY: "bullfrog.room.v1",
+
+  // Offline play (sw.js; empty turns it off). iOS can leave resume() pending while the audio session is
+  // interrupted, so each unlock attempt gives up after AUDIO_RESUME_TIMEOUT_MS and the next tap retries.
+  SERVICE_WORKER_URL: "sw.js",
+  AUDIO_RESUME_TIMEOUT_MS: 1500,
+
+  // MIDI controllers (Web MIDI). A pad or note bound to answer N presses option N, like number key N; a CC
+  // bound to a knob turns it in match mode, 0-127 across the knob's range. Defaults: GM drum pads from C1
+  // (36) up, and the GM2 sound controllers for cutoff (74), resonance (71) and decay (75).
+  MIDI_STORAGE_KEY: "bullfrog.midi.v1",
+  MIDI_ANSWER_SLOTS: 9,
+  MIDI_DEFAULT_NOTES: [36, 37, 38, 39, 40, 41, 42, 43, 44],
+  MIDI_DEFAULT_CCS: { 74: "cutoff", 71: "resonance", 75: "decay" },
+
+  // Lessons (see DEFAULT_CURRICULUM): { selected curriculum id, progress }, and the curricula teachers loaded.
+  LESSONS_STORAGE_KEY: "bullfrog.lessons.v1",
+  CURRICULA_STORAGE_KEY: "bullfrog.curricula.v1",
+
+  // Review queue: missed rounds, takes and all, scheduled SM-2 style. A round is learned once it has been
+  // answered right REVIEW_GRADUATE_REPS times in a row, each time a longer interval after the last (the first
+  // review is due at once, then after REVIEW_FIRST_INTERVALS_DAYS, then interval x ease).
+  REVIEWS_STORAGE_KEY: "bullfrog.reviews.v1",
+  REVIEW_QUEUE_SIZE: 200,
+  REVIEW_GRADUATE_REPS: 3,
+  REVIEW_FIRST_INTERVALS_DAYS: [1, 6],
+  REVIEW_START_EASE: 2.5,
+  REVIEW_MIN_EASE: 1.3,
+
+  // Which registered knobs are quiz options (see registerKnob).
+  ENABLED_KNOBS: ["cutoff", "resonance", "decay"],
+  // Voice values for knobs that are not enabled.
+  FIXED_CUTOFF_HZ: 800,
+  FIXED_RESONANCE_Q: 2.0,
+  FIXED_DECAY_MS: 350,
+
+  // Optional knobs, off by default.
+  ENV_AMOUNT_BASE_HZ_MIN: 150,
+  ENV_AMOUNT_BASE_HZ_MAX: 1500,
+  ENV_AMOUNT_CHANGE_MULTIPLIERS: [2.5, 0.4],
+  ENV_AMOUNT_HZ_MIN: 40,
+  ENV_AMOUNT_HZ_MAX: 6000,
+
+  ATTACK_BASE_MS_MIN: 2,
+  ATTACK_BASE_MS_MAX: 20,
+  ATTACK_CHANGE_MULTIPLIERS: [4.0, 0.25],
+  ATTACK_MS_MIN: 1,
+  ATTACK_MS_MAX: 150,
+
+  // Adaptive mode: per-knob 2-down/1-up staircase on the change size.
+  // Sizes are fractions for cutoff/decay (0.6 = x1.6 or /1.6) and Q units for resonance.
+  ADAPTIVE_MAX_ROUNDS: 45,
+  ADAPTIVE_TARGET_REVERSALS: 6,
+  ADAPTIVE_THRESHOLD_REVERSALS: 4,
+  ADAPTIVE_CORRECT_TO_SHRINK: 2,
+  ADAPTIVE_STEP_FACTOR: 0.7,
+  ADAPTIVE_CUTOFF_START: 1.6,
+  ADAPTIVE_CUTOFF_MIN: 0.02,
+  ADAPTIVE_CUTOFF_MAX: 3.0,
+  ADAPTIVE_RESONANCE_START: 2.0,
+  ADAPTIVE_RESONANCE_MIN: 0.05,
+  ADAPTIVE_RESONANCE_MAX: 5.0,
+  ADAPTIVE_DECAY_START: 0.6,
+  ADAPTIVE_DECAY_MIN: 0.02,
+  ADAPTIVE_DECAY_MAX: 1.5,
+  ADAPTIVE_ENV_AMOUNT_START: 1.5,
+  ADAPTIVE_ENV_AMOUNT_MIN: 0.02,
+  ADAPTIVE_ENV_AMOUNT_MAX: 3.0,
+  ADAPTIVE_ATTACK_START: 3.0,
+  ADAPTIVE_ATTACK_MIN: 0.05,
+  ADAPTIVE_ATTACK_MAX: 6.0,
+};
+
+// Snapshot for "reset to defaults" (the settings screen edits SETTINGS in place); a game's history record keeps
+// only what differs from these.
+const DEFAULT_SETTINGS = JSON.parse(JSON.stringify(SETTINGS));
+
+// Every registered knob, in registration order; see registerKnob below.
+const KNOBS = [];
+const KNOB_BY_ID = {};
+const VOICES = [];
+const VOICE_BY_ID = {};
+const FILTERS = [];
+const FILTER_BY_ID = {};
+const PATTERNS = [];
+const PATTERN_BY_ID = {};
+
+const PARAM_EPS = 1e-9;
+
+const PHASE_A = "a";
+const PHASE_GAP = "gap";
+const PHASE_B = "b";
+const PHASE_ANSWER = "answer";
+const PHASE_PAUSED = "paused";
+
+// Transport: how the current round is auditioned.
+const TRANSPORT_LOOP = "loop"; // A, gap, B, repeat
+const TRANSPORT_A = "a"; // A only, repeat
+const TRANSPORT_B = "b"; // B only, repeat
+const TRANSPORT_SWITCH = "switch"; // A and B in sync, one audible at a time
+
+function clamp(x, min, max) {
+  return Math.min(max, Math.max(min, x));
+}
+
+// Mulberry32: small, fast and plenty for picking notes and shuffling buttons.
+function createRng(seed) {
+  let s = seed >>> 0;
+  return function rng() {
+    s = (s + 0x6d2b79f5) >>> 0;
+    let t = s;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Mixes a game seed with a salt (e.g. the round index) into an independent stream seed.
+function deriveSeed(seed, salt) {
+  let h = (seed ^ Math.imul((salt >>> 0) + 1, 0x9e3779b1)) >>> 0;
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b) >>> 0;
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35) >>> 0;
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+function randomSeed() {
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+// Challenge codes are the 32-bit seed in base 36: at most 7 characters.
+function encodeChallengeCode(seed) {
+  return (seed >>> 0).toString(36).toUpperCase();
+}
+
+function decodeChallengeCode(code) {
+  const clean = String(code || "")
+    .trim()
+    .toUpperCase();
+  if (!/^[0-9A-Z]{1,7}$/.test(clean)) return null;
+  const seed = parseInt(clean, 36);
+  if (!Number.isFinite(seed) || seed > 0xffffffff) return null;
+  return seed >>> 0;
+}
+
+function randFloat(min, max, rng = Math.random) {
+  return min + rng() * (max - min);
+}
+
+function randLogFloat(min, max, rng = Math.random) {
+  const safeMin = Math.max(1e-6, min);
+  const safeMax = Math.max(safeMin * 1.000001, max);
+  const u = rng();
+  return safeMin * Math.exp(Math.log(safeMax / safeMin) * u);
+}
+
+function randLogFloatSkew(min, max, skewPower, rng = Math.random) {
+  const safeSkew = Math.max(0.05, Number.isFinite(skewPower) ? skewPower : 1.0);
+  const u = Math.pow(rng(), safeSkew);
+  const safeMin = Math.max(1e-6, min);
+  const safeMax = Math.max(safeMin * 1.000001, max);
+  return safeMin * Math.exp(Math.log(safeMax / safeMin) * u);
+}
+
+function pick(arr, rng = Math.random) {
+  return arr[Math.floor(rng() * arr.length)];
+}
+
+function shuffle(list, rng = Math.random) {
+  const arr = list.slice();
+  for (let i = arr.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(rng() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+}
+
+function nearEqual(a, b, eps = PARAM_EPS) {
+  return Math.abs(a - b) <= eps;
+}
+
+function activeKnobs() {
+  return KNOBS.filter((k) => SETTINGS.ENABLED_KNOBS.includes(k.id));
+}
+
+function formatKnob(id) {
+  return (KNOB_BY_ID[id] && KNOB_BY_ID[id].label) || id;
+}
+
+const DIRECTION_ARROWS = { up: "↑", down: "↓" };
+
+function formatKnobDirection(id, direction) {
+  return direction ? `${formatKnob(id)} ${DIRECTION_ARROWS[direction]}` : formatKnob(id);
+}
+
+function msToSec(ms) {
+  return ms / 1000;
+}
+
+// (0) Knob registry.
+//
+// A knob definition:
+//   id, label            answer id and button text
+//   param                key on the take params (round.takeA / round.takeB)
+//   sample(rng, filter)  base value for a round
+//   change(v, rng, size, filter)
+//                        moved value; size is the adaptive change size, or null for the fixed SETTINGS deltas
+//   tolerance            values closer than this count as "unchanged" in validation
+//   format(v, filter)    short display string, e.g. "1200Hz"
+//   formatSize(size)     adaptive threshold string, e.g. "±18%"
+//   adaptiveRange()      { start, min, max } for the staircase
+//   range(filter)        { min, max, log } travel of the on-screen knob in match mode
+//   apply(voice, v)      writes the value into the voice description scheduleVoice reads
+// `filter` is the round's filter topology (registerFilter); only the filter knobs look at it.
+const KNOB_FIELDS = [
+  "id",
+  "label",
+  "param",
+  "sample",
+  "change",
+  "format",
+  "formatSize",
+  "adaptiveRange",
+  "range",
+  "apply",
+];
+
+function registerKnob(def) {
+  for (const field of KNOB_FIELDS) {
+    if (def[field] === undefined) throw new Error(`Knob definition is missing "${field}".`);
+  }
+  if (KNOB_BY_ID[def.id]) throw new Error(`Knob "${def.id}" is already registered.`);
+  const knob = { tolerance: PARAM_EPS, ...def };
+  KNOBS.push(knob);
+  KNOB_BY_ID[knob.id] = knob;
+  return knob;
+}
+
+// Change helpers shared by the built-in knobs.
+function changeByMultiplier(v, rng, size, multipliers, min, max) {
+  const [up, down] = size === null ? multipliers : [1 + size, 1 / (1 + size)];
+  return pickInRange(v, v * up, v * down, min, max, rng);
+}
+
+function formatPercentSize(size) {
+  return `±${Math.round(size * 100)}%`;
+}
+
+registerKnob({
+  id: "cutoff",
+  label: "Cutoff",
+  param: "cutoffHz",
+  sample: (rng, filter) => {
+    const [min, max] = filterRanges(filter).cutoffBaseHz;
+    return randLogFloatSkew(min, max, SETTINGS.CUTOFF_BASE_LOG_SKEW, rng);
+  },
+  // Not clamped here: scheduleVoice clamps to the audible range.
+  change: (v, rng, size) => changeByMultiplier(v, rng, size, SETTINGS.CUTOFF_CHANGE_MULTIPLIERS, 0, Infinity),
+  format: (v) => `${v.toFixed(0)}Hz`,
+  formatSize: formatPercentSize,
+  adaptiveRange: () => ({
+    start: SETTINGS.ADAPTIVE_CUTOFF_START,
+    min: SETTINGS.ADAPTIVE_CUTOFF_MIN,
+    max: SETTINGS.ADAPTIVE_CUTOFF_MAX,
+  }),
+  range: (filter) => {
+    const [min, max] = filterRanges(filter).cutoffBaseHz;
+    return { min: min / 2, max: max * 2, log: true };
+  },
+  apply: (voice, v) => {
+    voice.cutoffHz = v;
+  },
+});
+
+registerKnob({
+  id: "resonance",
+  label: "Resonance",
+  param: "resonanceQ",
+  sample: (rng, filter) => randFloat(...filterRanges(filter).resonanceBase, rng),
+  change: (v, rng, size, filter) => {
+    const r = filterRanges(filter);
+    const delta = size === null ? r.resonanceDelta : size * r.resonanceSizeScale;
+    return pickInRange(v, v + delta, v - delta, r.resonanceLimits[0], r.resonanceLimits[1], rng);
+  },
+  format: (v, filter) => `${(filter || FILTERS[0]).resonanceLabel} ${v.toFixed(2)}`,
+  formatSize: (size) => `±${size.toFixed(2)} Q`,
+  adaptiveRange: () => ({
+    start: SETTINGS.ADAPTIVE_RESONANCE_START,
+    min: SETTINGS.ADAPTIVE_RESONANCE_MIN,
+    max: SETTINGS.ADAPTIVE_RESONANCE_MAX,
+  }),
+  range: (filter) => {
+    const [min, max] = filterRanges(filter).resonanceLimits;
+    return { min, max, log: true };
+  },
+  apply: (voice, v) => {
+    voice.resonanceQ = v;
+  },
+});
+
+registerKnob({
+  id: "decay",
+  label: "Decay",
+  param: "decayMs",
+  sample: (rng) => randFloat(SETTINGS.DECAY_BASE_MS_MIN, SETTINGS.DECAY_BASE_MS_MAX, rng),
+  change: (v, rng, size) =>
+    changeByMultiplier(v, rng, size, SETTINGS.DECAY_CHANGE_MULTIPLIERS, SETTINGS.DECAY_MS_MIN, SETTINGS.DECAY_MS_MAX),
+  format: (v) => `${v.toFixed(0)}ms`,
+  formatSize: formatPercentSize,
+  adaptiveRange: () => ({
+    start: SETTINGS.ADAPTIVE_DECAY_START,
+    min: SETTINGS.ADAPTIVE_DECAY_MIN,
+    max: SETTINGS.ADAPTIVE_DECAY_MAX,
+  }),
+  range: () => ({ min: SETTINGS.DECAY_MS_MIN, max: SETTINGS.DECAY_MS_MAX, log: true }),
+  apply: (voice, v) => {
+    voice.decayMs = v;
+  },
+});
+
+registerKnob({
+  id: "envAmount",
+  label: "Env Amount",
+  param: "envAmountHz",
+  sample: (rng) => randLogFloat(SETTINGS.ENV_AMOUNT_BASE_HZ_MIN, SETTINGS.ENV_AMOUNT_BASE_HZ_MAX, rng),
+  change: (v, rng, size) =>
+    changeByMultiplier(
+      v,
+      rng,
+      size,
+      SETTINGS.ENV_AMOUNT_CHANGE_MULTIPLIERS,
+      SETTINGS.ENV_AMOUNT_HZ_MIN,
+      SETTINGS.ENV_AMOUNT_HZ_MAX,
+    ),
+  format: (v) => `+${v.toFixed(0)}Hz`,
+  formatSize: formatPercentSize,
+  adaptiveRange: () => ({
+    start: SETTINGS.ADAPTIVE_ENV_AMOUNT_START,
+    min: SETTINGS.ADAPTIVE_ENV_AMOUNT_MIN,
+    max: SETTINGS.ADAPTIVE_ENV_AMOUNT_MAX,
+  }),
+  range: () => ({ min: SETTINGS.ENV_AMOUNT_HZ_MIN, max: SETTINGS.ENV_AMOUNT_HZ_MAX, log: true }),
+  apply: (voice, v) => {
+    voice.envAmountHz = v;
+  },
+});
+
+registerKnob({
+  id: "attack",
+  label: "Attack",
+  param: "attackMs",
+  sample: (rng) => randLogFloat(SETTINGS.ATTACK_BASE_MS_MIN, SETTINGS.ATTACK_BASE_MS_MAX, rng),
+  change: (v, rng, size) =>
+    changeByMultiplier(
+      v,
+      rng,
+      size,
+      SETTINGS.ATTACK_CHANGE_MULTIPLIERS,
+      SETTINGS.ATTACK_MS_MIN,
+      SETTINGS.ATTACK_MS_MAX,
+    ),
+  format: (v) => `${v.toFixed(1)}ms`,
+  formatSize: formatPercentSize,
+  adaptiveRange: () => ({
+    start: SETTINGS.ADAPTIVE_ATTACK_START,
+    min: SETTINGS.ADAPTIVE_ATTACK_MIN,
+    max: SETTINGS.ADAPTIVE_ATTACK_MAX,
+  }),
+  range: () => ({ min: SETTINGS.ATTACK_MS_MIN, max: SETTINGS.ATTACK_MS_MAX, log: true }),
+  apply: (voice, v) => {
+    voice.attackSeconds = msToSec(v);
+  },
+});
+
+// (0b) Voice library.
+//
+// A voice definition:
+//   id, label                 settings id and the name shown in the quiz
+//   knobs                     knob ids that make an audible difference on this source
+//   level                     rough loudness trim against the saw (default 1)
+//   maxNoteHz                 highest note the voice can play in tune (default none); validateSettings rejects
+//                             roots and patterns that go above it
+//   build(ctx, voice, start)  nodes for one hit: { output, sources, nodes }. output feeds the filter stack,
+//                             sources are started/stopped by scheduleVoice, everything is disconnected afterwards
+const VOICE_FIELDS = ["id", "label", "knobs", "build"];
+const ALL_KNOB_IDS = ["cutoff", "resonance", "decay", "envAmount", "attack"];
+
+function registerVoice(def) {
+  for (const field of VOICE_FIELDS) {
+    if (def[field] === undefined) throw new Error(`Voice definition is missing "${field}".`);
+  }
+  if (VOICE_BY_ID[def.id]) throw new Error(`Voice "${def.id}" is already registered.`);
+  const voice = { level: 1, ...def };
+  VOICES.push(voice);
+  VOICE_BY_ID[voice.id] = voice;
+  return voice;
+}
+
+function createOsc(ctx, type, freqHz, start) {
+  const osc = ctx.createOscillator();
+  osc.type = type;
+  osc.frequency.setValueAtTime(freqHz, start);
+  return osc;
+}
+
+// Cached per context: one pulse wave and one second of seeded white noise.
+const VOICE_CACHE = new WeakMap();
+
+function voiceCache(ctx) {
+  if (!VOICE_CACHE.has(ctx)) VOICE_CACHE.set(ctx, {});
+  return VOICE_CACHE.get(ctx);
+}
+
+function pulseWave(ctx) {
+  const cache = voiceCache(ctx);
+  if (!cache.pulse) {
+    const n = SETTINGS.PULSE_HARMONICS;
+    const real = new Float32Array(n + 1);
+    const imag = new Float32Array(n + 1);
+    for (let k = 1; k <= n; k += 1) real[k] = (2 / (k * Math.PI)) * Math.sin(k * Math.PI * SETTINGS.PULSE_WIDTH);
+    cache.pulse = ctx.createPeriodicWave(real, imag);
+  }
+  return cache.pulse;
+}
+
+// Seeded so A and B (and every export) hear the same noise.
+function createNoise(ctx) {
+  const cache = voiceCache(ctx);
+  if (!cache.noise) {
+    const rng = createRng(SETTINGS.NOISE_SEED);
+    cache.noise = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+    const data = cache.noise.getChannelData(0);
+    for (let i = 0; i < data.length; i += 1) data[i] = rng() * 2 - 1;
+  }
+  const src = ctx.createBufferSource();
+  src.buffer = cache.noise;
+  src.loop = true;
+  return src;
+}
+
+registerVoice({
+  id: "saw",
+  label: "Bullfrog saw",
+  knobs: ALL_KNOB_IDS,
+  build: (ctx, voice, start) => {
+    const osc = createOsc(ctx, SETTINGS.OSC_TYPE, voice.noteFreqHz, start);
+    return { output: osc, sources: [osc], nodes: [] };
+  },
+});
+
+registerVoice({
+  id: "pulse",
+  label: "Pulse",
+  knobs: ALL_KNOB_IDS,
+  build: (ctx, voice, start) => {
+    const osc = createOsc(ctx, "square", voice.noteFreqHz, start);
+    osc.setPeriodicWave(pulseWave(ctx));
+    return { output: osc, sources: [osc], nodes: [] };
+  },
+});
+
+registerVoice({
+  id: "supersaw",
+  label: "Supersaw",
+  knobs: ALL_KNOB_IDS,
+  build: (ctx, voice, start) => {
+    const n = Math.max(2, Math.floor(SETTINGS.SUPERSAW_OSCILLATORS));
+    const mix = ctx.createGain();
+    mix.gain.value = 1 / Math.sqrt(n);
+    const oscs = [];
+    for (let i = 0; i < n; i += 1) {
+      const osc = createOsc(ctx, "sawtooth", voice.noteFreqHz, start);
+      // Spread evenly from -detune to +detune.
+      osc.detune.setValueAtTime(SETTINGS.SUPERSAW_DETUNE_CENTS * ((2 * i) / (n - 1) - 1), start);
+      osc.connect(mix);
+      oscs.push(osc);
+    }
+    return { output: mix, sources: oscs, nodes: [mix] };
+  },
+});
+
+// Filtered noise plus a short pitched body. Attack is left out: a snare has none worth hearing.
+registerVoice({
+  id: "snare",
+  label: "Noise snare",
+  knobs: ["cutoff", "resonance", "decay", "envAmount"],
+  level: 0.8,
+  build: (ctx, voice, start) => {
+    const mix = ctx.createGain();
+    const noise = createNoise(ctx);
+    noise.connect(mix);
+    const body = createOsc(ctx, "triangle", voice.noteFreqHz * SETTINGS.SNARE_BODY_RATIO, start);
+    const bodyGain = ctx.createGain();
+    bodyGain.gain.value = SETTINGS.SNARE_BODY_GAIN;
+    body.connect(bodyGain);
+    bodyGain.connect(mix);
+    return { output: mix, sources: [noise, body], nodes: [bodyGain, mix] };
+  },
+});
+
+// Two-operator FM; the brightness dies away over the decay. Resonance is left out: there is
+// little above the carrier for the filter peak to ring on.
+registerVoice({
+  id: "bell",
+  label: "FM bell",
+  knobs: ["cutoff", "decay", "envAmount", "attack"],
+  level: 1.2,
+  build: (ctx, voice, start) => {
+    const carrierHz = voice.noteFreqHz * SETTINGS.FM_BELL_CARRIER_RATIO;
+    const modHz = carrierHz * SETTINGS.FM_BELL_MOD_RATIO;
+    const carrier = createOsc(ctx, "sine", carrierHz, start);
+    const modulator = createOsc(ctx, "sine", modHz, start);
+    const depth = ctx.createGain();
+    const peakDepth = SETTINGS.FM_BELL_INDEX * modHz;
+    depth.gain.setValueAtTime(peakDepth, start);
+    depth.gain.exponentialRampToValueAtTime(peakDepth * 0.05, start + msToSec(voice.decayMs));
+    modulator.connect(depth);
+    depth.connect(carrier.frequency);
+    return { output: carrier, sources: [carrier, modulator], nodes: [depth] };
+  },
+});
+
+// Karplus-Strong: a noise burst into a damped feedback delay tuned to the note.
+// Web Audio loops can't be shorter than one 128-frame block, which caps the pitch (~375Hz at 48kHz, ~344Hz at
+// 44.1kHz, the lowest rate we expect).
+registerVoice({
+  id: "pluck",
+  label: "Plucked string",
+  knobs: ["cutoff", "resonance", "decay", "envAmount"],
+  level: 1.5,
+  maxNoteHz: 44100 / 128,
+  build: (ctx, voice, start) => {
+    const noise = createNoise(ctx);
+    const burst = ctx.createGain();
+    burst.gain.setValueAtTime(1, start);
+    burst.gain.setValueAtTime(0, start + SETTINGS.PLUCK_BURST_SECONDS);
+    const delay = ctx.createDelay(1);
+    delay.delayTime.setValueAtTime(Math.max(1 / voice.noteFreqHz, 128 / ctx.sampleRate), start);
+    const damping = ctx.createBiquadFilter();
+    damping.type = "lowpass";
+    damping.frequency.setValueAtTime(SETTINGS.PLUCK_DAMPING_HZ, start);
+    const feedback = ctx.createGain();
+    feedback.gain.value = SETTINGS.PLUCK_FEEDBACK;
+
+    noise.connect(burst);
+    burst.connect(delay);
+    delay.connect(damping);
+    damping.connect(feedback);
+    feedback.connect(delay);
+    return { output: delay, sources: [noise], nodes: [burst, delay, damping, feedback] };
+  },
+});
+
+function enabledVoices() {
+  return SETTINGS.VOICES.map((id) => VOICE_BY_ID[id]).filter(Boolean);
+}
+
+function voiceKnobs(voice, knobs = activeKnobs()) {
+  return knobs.filter((k) => voice.knobs.includes(k.id));
+}
+
+// Knobs a game asks about: the game voice's, or (voice per round) every enabled knob some voice plays.
+function gameKnobs(gameVoice = null) {
+  if (gameVoice) return voiceKnobs(gameVoice);
+  const voices = enabledVoices();
+  return activeKnobs().filter((k) => voices.some((v) => v.knobs.includes(k.id)));
+}
+
+// A single candidate is returned without a draw, so single-voice (or single-filter) games keep the
+// rounds their seed always gave.
+function pickOption(options, rng) {
+  return options.length === 1 ? options[0] : pick(options, rng);
+}
+
+function pickGameVoice(rng) {
+  return SETTINGS.VOICE_CHOICE === "game" ? pickOption(enabledVoices(), rng) : null;
+}
+
+// A voice that plays every knob in `changedIds`.
+function voiceForRound(gameVoice, changedIds, rng) {
+  if (gameVoice) return gameVoice;
+  const fits = enabledVoices().filter((v) => changedIds.every((id) => v.knobs.includes(id)));
+  if (fits.length === 0) throw new Error(`No enabled voice plays ${changedIds.join(", ")}.`);
+  return pickOption(fits, rng);
+}
+
+// (0c) Filter topologies.
+//
+// A filter definition:
+//   id, label                 settings id and the name shown in the quiz
+//   resonanceLabel            unit shown with the resonance value ("Q" by default)
+//   level                     rough loudness trim against the lowpass stack (default 1)
+//   ranges()                  { cutoffBaseHz, resonanceBase, resonanceLimits, resonanceDelta, resonanceSizeScale,
+//                               fixedCutoffHz, fixedResonance } read by the cutoff/resonance knobs
+//   build(ctx, voice, start)  { input, output, nodes, frequencyParams }; scheduleVoice runs the filter
+//                             envelope on every frequencyParams entry
+const FILTER_FIELDS = ["id", "label", "ranges", "build"];
+
+function registerFilter(def) {
+  for (const field of FILTER_FIELDS) {
+    if (def[field] === undefined) throw new Error(`Filter definition is missing "${field}".`);
+  }
+  if (FILTER_BY_ID[def.id]) throw new Error(`Filter "${def.id}" is already registered.`);
+  const filter = { level: 1, resonanceLabel: "Q", ...def };
+  FILTERS.push(filter);
+  FILTER_BY_ID[filter.id] = filter;
+  return filter;
+}
+
+// Takes without a filter (older history) used the lowpass stack.
+function filterOf(params) {
+  return FILTER_BY_ID[params.filter] || FILTERS[0];
+}
+
+function filterRanges(filter) {
+  return (filter || FILTERS[0]).ranges();
+}
+
+function createBiquad(ctx, type, q, start) {
+  const f = ctx.createBiquadFilter();
+  f.type = type;
+  f.Q.setValueAtTime(q, start);
+  return f;
+}
+
+function chainNodes(nodes) {
+  for (let i = 0; i < nodes.length - 1; i += 1) nodes[i].connect(nodes[i + 1]);
+  return nodes;
+}
+
+// FILTER_STACK_SIZE biquads in series: resonance on the first, FILTER_STACK_Q2 on the rest.
+function biquadStack(ctx, type, voice, start) {
+  const stackSize = clamp(Math.floor(SETTINGS.FILTER_STACK_SIZE || 1), 1, 4);
+  const filters = [];
+  for (let i = 0; i < stackSize; i += 1) {
+    filters.push(createBiquad(ctx, type, i === 0 ? voice.resonanceQ : SETTINGS.FILTER_STACK_Q2, start));
+  }
+  chainNodes(filters);
+  return {
+    input: filters[0],
+    output: filters[filters.length - 1],
+    nodes: filters,
+    frequencyParams: filters.map((f) => f.frequency),
+  };
+}
+
+function biquadRanges() {
+  return {
+    cutoffBaseHz: [SETTINGS.CUTOFF_BASE_HZ_MIN, SETTINGS.CUTOFF_BASE_HZ_MAX],
+    resonanceBase: [SETTINGS.RESONANCE_BASE_Q_MIN, SETTINGS.RESONANCE_BASE_Q_MAX],
+    resonanceLimits: [SETTINGS.RESONANCE_Q_MIN, SETTINGS.RESONANCE_Q_MAX],
+    resonanceDelta: SETTINGS.RESONANCE_CHANGE_DELTA_Q,
+    resonanceSizeScale: 1,
+    fixedCutoffHz: SETTINGS.FIXED_CUTOFF_HZ,
+    fixedResonance: SETTINGS.FIXED_RESONANCE_Q,
+  };
+}
+
+registerFilter({
+  id: "lowpass",
+  label: "Lowpass",
+  ranges: biquadRanges,
+  build: (ctx, voice, start) => biquadStack(ctx, "lowpass", voice, start),
+});
+
+registerFilter({
+  id: "highpass",
+  label: "Highpass",
+  ranges: () => ({
+    ...biquadRanges(),
+    cutoffBaseHz: [SETTINGS.HIGHPASS_CUTOFF_BASE_HZ_MIN, SETTINGS.HIGHPASS_CUTOFF_BASE_HZ_MAX],
+    fixedCutoffHz: SETTINGS.HIGHPASS_FIXED_CUTOFF_HZ,
+  }),
+  build: (ctx, voice, start) => biquadStack(ctx, "highpass", voice, start),
+});
+
+// One stage: stacking bandpasses would narrow the band on top of the resonance knob.
+registerFilter({
+  id: "bandpass",
+  label: "Bandpass",
+  level: 1.6,
+  ranges: () => ({
+    cutoffBaseHz: [SETTINGS.BANDPASS_CUTOFF_BASE_HZ_MIN, SETTINGS.BANDPASS_CUTOFF_BASE_HZ_MAX],
+    resonanceBase: [SETTINGS.BANDPASS_BASE_Q_MIN, SETTINGS.BANDPASS_BASE_Q_MAX],
+    resonanceLimits: [SETTINGS.BANDPASS_Q_MIN, SETTINGS.BANDPASS_Q_MAX],
+    resonanceDelta: SETTINGS.BANDPASS_CHANGE_DELTA_Q,
+    resonanceSizeScale: 1,
+    fixedCutoffHz: SETTINGS.BANDPASS_FIXED_CUTOFF_HZ,
+    fixedResonance: SETTINGS.BANDPASS_FIXED_Q,
+  }),
+  build: (ctx, voice, start) => {
+    const f = createBiquad(ctx, "bandpass", voice.resonanceQ, start);
+    return { input: f, output: f, nodes: [f], frequencyParams: [f.frequency] };
+  },
+});
+
+// IIR approximation of a transistor ladder, automatable like the biquads: four coincident poles
+// (two critically damped biquads), a peak at the cutoff that grows with feedback, and the ladder's
+// passband loss as a low shelf that deepens with it.
+registerFilter({
+  id: "ladder",
+  label: "Ladder 4-pole",
+  resonanceLabel: "Res",
+  ranges: () => ({
+    cutoffBaseHz: [SETTINGS.CUTOFF_BASE_HZ_MIN, SETTINGS.CUTOFF_BASE_HZ_MAX],
+    resonanceBase: [SETTINGS.LADDER_BASE_RESONANCE_MIN, SETTINGS.LADDER_BASE_RESONANCE_MAX],
+    resonanceLimits: [SETTINGS.LADDER_RESONANCE_MIN, SETTINGS.LADDER_RESONANCE_MAX],
+    resonanceDelta: SETTINGS.LADDER_CHANGE_DELTA,
+    resonanceSizeScale: SETTINGS.LADDER_SIZE_SCALE,
+    fixedCutoffHz: SETTINGS.FIXED_CUTOFF_HZ,
+    fixedResonance: SETTINGS.LADDER_FIXED_RESONANCE,
+  }),
+  build: (ctx, voice, start) => {
+    const k = voice.resonanceQ;
+    const poles = [createBiquad(ctx, "lowpass", 0.5, start), createBiquad(ctx, "lowpass", 0.5, start)];
+    const peak = createBiquad(ctx, "peaking", 0.5 + k * 2.5, start);
+    peak.gain.setValueAtTime(k * SETTINGS.LADDER_PEAK_DB_PER_UNIT, start);
+    const shelf = createBiquad(ctx, "lowshelf", 0.707, start);
+    shelf.gain.setValueAtTime(-k * SETTINGS.LADDER_BASS_LOSS_DB_PER_UNIT, start);
+    const nodes = chainNodes([...poles, peak, shelf]);
+    return { input: nodes[0], output: shelf, nodes, frequencyParams: nodes.map((f) => f.frequency) };
+  },
+});
+
+function enabledFilters() {
+  return SETTINGS.FILTERS.map((id) => FILTER_BY_ID[id]).filter(Boolean);
+}
+
+function pickGameFilter(rng) {
+  return SETTINGS.FILTER_CHOICE === "game" ? pickOption(enabledFilters(), rng) : null;
+}
+
+function filterForRound(gameFilter, rng) {
+  return gameFilter || pickOption(enabledFilters(), rng);
+}
+
+// Voice description for scheduleVoice: SETTINGS defaults, overridden by every knob present in params.
+// Takes without a voice (older history) play the saw.
+function resolveVoice(params) {
+  const filter = filterOf(params);
+  const voice = {
+    source: VOICE_BY_ID[params.voice] || VOICE_BY_ID.saw,
+    filter,
+    noteFreqHz: params.noteFreqHz,
+    cutoffHz: filter.ranges().fixedCutoffHz,
+    resonanceQ: filter.ranges().fixedResonance,
+    decayMs: SETTINGS.FIXED_DECAY_MS,
+    envAmountHz: SETTINGS.FILTER_ENV_AMOUNT_HZ,
+    attackSeconds: SETTINGS.AMP_ATTACK_SECONDS,
+  };
+  for (const knob of KNOBS) {
+    if (params[knob.param] !== undefined) knob.apply(voice, params[knob.param]);
+  }
+  return voice;
+}
+
+// (0d) Pattern library.
+//
+// A pattern definition:
+//   id, label   settings id and the name shown in the quiz
+//   stepBeats   length of one step in beats (0.5 = eighth notes)
+//   steps       one entry per step: [semitones above the root, gate, accent], or null for a rest.
+//               gate is the note length in steps (above 1 ties into the next step); null lets the
+//               hit ring out on the amp decay
+const PATTERN_FIELDS = ["id", "label", "stepBeats", "steps"];
+
+function registerPattern(def) {
+  for (const field of PATTERN_FIELDS) {
+    if (def[field] === undefined) throw new Error(`Pattern definition is missing "${field}".`);
+  }
+  if (PATTERN_BY_ID[def.id]) throw new Error(`Pattern "${def.id}" is already registered.`);
+  const steps = def.steps.map((s) => (s ? { semitones: s[0], gate: s[1], accent: Boolean(s[2]) } : null));
+  const pattern = { ...def, steps };
+  PATTERNS.push(pattern);
+  PATTERN_BY_ID[pattern.id] = pattern;
+  return pattern;
+}
+
+// The original take: six croaks on the root, two seconds at 90 BPM.
+registerPattern({
+  id: "hits",
+  label: "Six hits",
+  stepBeats: 0.5,
+  steps: Array.from({ length: 6 }, () => [0, null, true]),
+});
+
+registerPattern({
+  id: "bassline",
+  label: "Bassline",
+  stepBeats: 0.25,
+  steps: [
+    [0, 0.5, true],
+    [0, 0.5],
+    [12, 0.4],
+    [0, 0.5],
+    null,
+    [0, 0.5],
+    [10, 0.9, true],
+    [0, 0.5],
+    [7, 0.5],
+    null,
+    [0, 1.5, true],
+    [3, 0.5],
+  ],
+});
+
+registerPattern({
+  id: "arpeggio",
+  label: "Arpeggio",
+  stepBeats: 0.25,
+  steps: [0, 3, 7, 12, 7, 3, 0, 3, 7, 12, 7, 3].map((n, i) => [n, 0.8, i % 6 === 0]),
+});
+
+registerPattern({
+  id: "octaves",
+  label: "Octave pulse",
+  stepBeats: 0.5,
+  steps: [
+    [0, 0.6, true],
+    [12, 0.3],
+    [0, 0.6],
+    [12, 0.3],
+    [0, 0.6, true],
+    [12, 0.3],
+  ],
+});
+
+function enabledPatterns() {
+  return SETTINGS.PATTERNS.map((id) => PATTERN_BY_ID[id]).filter(Boolean);
+}
+
+function pickGamePattern(rng) {
+  return SETTINGS.PATTERN_CHOICE === "game" ? pickOption(enabledPatterns(), rng) : null;
+}
+
+function patternForRound(gamePattern, rng) {
+  return gamePattern || pickOption(enabledPatterns(), rng);
+}
+
+// Takes without a pattern (older history) played the six hits at the default tempo.
+function patternOf(params) {
+  return PATTERN_BY_ID[params.pattern] || PATTERN_BY_ID.hits;
+}
+
+function stepSeconds(params) {
+  return (patternOf(params).stepBeats * 60) / (params.bpm || DEFAULT_SETTINGS.BPM);
+}
+
+// How long a take lasts: the whole pattern, rests included.
+function takeSeconds(params) {
+  return patternOf(params).steps.length * stepSeconds(params);
+}
+
+// The notes of one take: { time (s from take start), freqHz, gateSeconds (null = ring out), velocity }.
+function takeNotes(params) {
+  const step = stepSeconds(params);
+  const notes = [];
+  patternOf(params).steps.forEach((s, i) => {
+    if (!s) return;
+    notes.push({
+      time: i * step,
+      freqHz: params.noteFreqHz * Math.pow(2, s.semitones / 12),
+      gateSeconds: s.gate === null ? null : s.gate * step,
+      velocity: s.accent ? 1 : SETTINGS.UNACCENTED_LEVEL,
+    });
+  });
+  return notes;
+}
+
+// (1) Audio engine + envelope scheduling.
+// Feeds `input` to the destination, through a limiter when USE_LIMITER is on; returns the limiter or null.
+function connectLimited(ctx, input) {
+  if (!SETTINGS.USE_LIMITER) {
+    input.connect(ctx.destination);
+    return null;
+  }
+  const limiter = ctx.createDynamicsCompressor();
+  limiter.threshold.value = SETTINGS.LIMITER_THRESHOLD_DB;
+  limiter.knee.value = SETTINGS.LIMITER_KNEE_DB;
+  limiter.ratio.value = SETTINGS.LIMITER_RATIO;
+  limiter.attack.value = SETTINGS.LIMITER_ATTACK_SECONDS;
+  limiter.release.value = SETTINGS.LIMITER_RELEASE_SECONDS;
+  input.connect(limiter);
+  limiter.connect(ctx.destination);
+  return limiter;
+}
+
+function createAudioEngine(ctx) {
+  const masterGain = ctx.createGain();
+  masterGain.gain.value = SETTINGS.MASTER_GAIN;
+
+  // The reveal's live view reads the mix here, before the limiter.
+  const analyser = ctx.createAnalyser();
+  analyser.fftSize = SETTINGS.ANALYSER_FFT_SIZE;
+  analyser.smoothingTimeConstant = SETTINGS.ANALYSER_SMOOTHING;
+  masterGain.connect(analyser);
+  const limiter = connectLimited(ctx, analyser);
+
+  // Offline renders skip the wall-clock cleanup timers in playTake.
+  const offline = typeof OfflineAudioContext !== "undefined" && ctx instanceof OfflineAudioContext;
+  // backing: the backing loop's { gain, limiter }, made on first use (see backingBus).
+  return { ctx, masterGain, analyser, limiter, offline, backing: null };
+}
+
+// level: the gain between the fades (a level-matched take's compensation, see levelMatchGains).
+function scheduleTakeFade(gainParam, startTime, durationSeconds, level = 1.0) {
+  const fade = clamp(SETTINGS.TAKE_FADE_SECONDS, 0.001, durationSeconds / 2);
+  const endTime = startTime + durationSeconds;
+  const fadeOutStart = endTime - fade;
+
+  gainParam.cancelScheduledValues(startTime);
+  gainParam.setValueAtTime(0.0, startTime);
+  gainParam.linearRampToValueAtTime(level, startTime + fade);
+  gainParam.setValueAtTime(level, fadeOutStart);
+  gainParam.linearRampToValueAtTime(0.0, endTime);
+}
+
+// `note` (see takeNotes) sets the pitch, gate and accent of one pattern step; without it the hit plays
+// params.noteFreqHz at full level and rings out.
+function scheduleVoice(ctx, destination, params, noteStartTime, hardStopTime, note = {}) {
+  const voice = resolveVoice(params);
+  if (note.freqHz !== undefined) voice.noteFreqHz = note.freqHz;
+  const { output, sources, nodes } = voice.source.build(ctx, voice, noteStartTime);
+
+  const filterChain = voice.filter.build(ctx, voice, noteStartTime);
+
+  const noteGain = ctx.createGain();
+  noteGain.gain.setValueAtTime(0.0, noteStartTime);
+
+  output.connect(filterChain.input);
+  filterChain.output.connect(noteGain);
+  noteGain.connect(destination);
+
+  const attack = voice.attackSeconds;
+  const release = SETTINGS.AMP_RELEASE_SECONDS;
+  const decay = msToSec(voice.decayMs);
+  const nearZero = 0.0001;
+
+  // Amp envelope: A=ATTACK (5ms by default), D=DECAY, S=0, R=50ms.
+  // A gate that closes before the decay ends releases from wherever the ramp has got to.
+  const gate = note.gateSeconds == null ? Infinity : Math.max(0.001, note.gateSeconds);
+  const velocity = note.velocity === undefined ? 1 : note.velocity;
+  const peakGain = SETTINGS.VOICE_PEAK_GAIN * voice.source.level * voice.filter.level * velocity;
+  noteGain.gain.setValueAtTime(0.0, noteStartTime);
+  if (gate < attack) {
+    noteGain.gain.linearRampToValueAtTime((peakGain * gate) / attack, noteStartTime + gate);
+  } else {
+    noteGain.gain.linearRampToValueAtTime(peakGain, noteStartTime + attack);
+    if (gate < attack + decay) {
+      const level = peakGain + ((nearZero - peakGain) * (gate - attack)) / decay;
+      noteGain.gain.linearRampToValueAtTime(level, noteStartTime + gate);
+    } else {
+      noteGain.gain.linearRampToValueAtTime(nearZero, noteStartTime + attack + decay);
+    }
+  }
+  const releaseStart = noteStartTime + Math.min(gate, attack + decay);
+  noteGain.gain.linearRampToValueAtTime(0.0, releaseStart + release);
+
+  // Filter envelope: A=5ms, D=DECAY, ENV AMOUNT (fixed by default).
+  const baseCutoff = clamp(voice.cutoffHz, 20, 20000);
+  const envPeak = clamp(baseCutoff + voice.envAmountHz, 20, 20000);
+  for (const frequency of filterChain.frequencyParams) {
+    frequency.setValueAtTime(baseCutoff, noteStartTime);
+    // Exponential ramps sound more natural for frequency sweeps.
+    frequency.exponentialRampToValueAtTime(envPeak, noteStartTime + SETTINGS.FILTER_ENV_ATTACK_SECONDS);
+    frequency.exponentialRampToValueAtTime(baseCutoff, noteStartTime + SETTINGS.FILTER_ENV_ATTACK_SECONDS + decay);
+  }
+
+  const naturalEndTime = releaseStart + release;
+  const stopAt = Math.max(noteStartTime + 0.01, Math.min(naturalEndTime, hardStopTime));
+
+  for (const src of sources) {
+    src.start(noteStartTime);
+    src.stop(stopAt);
+  }
+
+  // All sources stop together, so the first one ending tears the hit down.
+  sources[0].onended = () => {
+    for (const node of [...sources, ...nodes, ...filterChain.nodes, noteGain]) {
+      try {
+        node.disconnect();
+      } catch (_error) {}
+    }
+  };
+}
+
+// (2) playTake(params, when): schedules one take (the params' pattern, see takeNotes) with fades.
+// level scales the whole take (level matching).
+function playTake(engine, params, when, destination, level = 1.0) {
+  const { ctx, masterGain } = engine;
+  const out = destination || masterGain;
+  const duration = takeSeconds(params);
+
+  const takeGain = ctx.createGain();
+  takeGain.connect(out);
+
+  scheduleTakeFade(takeGain.gain, when, duration, level);
+
+  const hardStopTime = when + duration + SETTINGS.TAKE_CLEANUP_EXTRA_SECONDS;
+  for (const note of takeNotes(params)) {
+    scheduleVoice(ctx, takeGain, params, when + note.time, hardStopTime, note);
+  }
+
+  if (!engine.offline) {
+    const cleanupAt = hardStopTime;
+    const cleanupMs = Math.max(0, (cleanupAt - ctx.currentTime) * 1000);
+    setTimeout(() => {
+      try {
+        takeGain.disconnect();
+      } catch (_error) {}
+    }, cleanupMs);
+  }
+
+  return when + duration;
+}
+
+// A, gap, B starting at `when`. Both takes play the same pattern, so they last as long.
+function roundTimings(when, round) {
+  const duration = takeSeconds(round.takeA);
+  const aStart = when;
+  const aEnd = aStart + duration;
+  const bStart = aEnd + SETTINGS.SILENCE_GAP_SECONDS;
+  const bEnd = bStart + duration;
+  return { aStart, aEnd, bStart, bEnd, endAt: bEnd };
+}
+
+// destinationB defaults to destination; the live loop gives each take its own bus. levels: { a, b } take
+// levels (see levelMatchGains).
+function playRound(engine, round, when, destination, destinationB = destination, levels = { a: 1, b: 1 }) {
+  const times = roundTimings(when, round);
+  playTake(engine, round.takeA, times.aStart, destination, levels.a);
+  playTake(engine, round.takeB, times.bStart, destinationB, levels.b);
+  return times;
+}
+
+// (2a) Loop state machine: one cycle of a transport as data.
+//
+// takes:  which take starts when ({ side: "a" | "b", start }).
+// phases: UI transitions in time order ({ at, phase, side }). side is the take heard from `at`,
+//         TRANSPORT_SWITCH for "whichever side the A/B switch is on", or null for silence.
+// `round` sets the take length (its pattern at its tempo).
+function cycleTimeline(transport, at, round) {
+  let takes;
+  let phases;
+  if (transport === TRANSPORT_LOOP) {
+    const times = roundTimings(at, round);
+    takes = [
+      { side: "a", start: times.aStart },
+      { side: "b", start: times.bStart },
+    ];
+    phases = [
+      { at: times.aStart, phase: PHASE_A, side: "a" },
+      { at: times.aEnd, phase: PHASE_GAP, side: null },
+      { at: times.bStart, phase: PHASE_B, side: "b" },
+    ];
+  } else if (transport === TRANSPORT_SWITCH) {
+    // Both takes start together so flipping sides keeps the playhead.
+    takes = [
+      { side: "a", start: at },
+      { side: "b", start: at },
+    ];
+    phases = [{ at, phase: null, side: TRANSPORT_SWITCH }];
+  } else {
+    takes = [{ side: transport, start: at }];
+    phases = [{ at, phase: transport === "a" ? PHASE_A : PHASE_B, side: transport }];
+  }
+
+  const endAt = Math.max(...takes.map((t) => t.start + takeSeconds(round.takeA)));
+  phases.push({ at: endAt, phase: PHASE_GAP, side: null });
+  return { takes, phases, endAt, nextAt: endAt + SETTINGS.LOOP_CYCLE_PAUSE_SECONDS };
+}
+
+function phaseForSide(side) {
+  return side === "a" ? PHASE_A : PHASE_B;
+}
+
+// Match mode plays the target as A and the player's patch as B.
+function takeLabel(side, mode) {
+  if (mode === "match") return side === "a" ? "Target" : "Yours";
+  return side === "a" ? "Take A" : "Take B";
+}
+
+// What the HUD shows for a phase, and what screen readers hear when it starts (null: nothing).
+function describePhase(phase, mode) {
+  if (phase === PHASE_A) {
+    return {
+      statusText: takeLabel("a", mode),
+      aActive: true,
+      bActive: false,
+      announcement: `${takeLabel("a", mode)} playing`,
+    };
+  }
+  if (phase === PHASE_B) {
+    return {
+      statusText: takeLabel("b", mode),
+      aActive: false,
+      bActive: true,
+      announcement: `${takeLabel("b", mode)} playing`,
+    };
+  }
+  if (phase === PHASE_GAP) return { statusText: "Silence", aActive: false, bActive: false, announcement: null };
+  if (phase === PHASE_PAUSED) return { statusText: "Paused", aActive: false, bActive: false, announcement: "Paused" };
+  return { statusText: "Answer", aActive: false, bActive: false, announcement: null };
+}
+
+// (2b) Offline render + WAV export.
+function roundDurationSeconds(round) {
+  return takeSeconds(round.takeA) * 2 + SETTINGS.SILENCE_GAP_SECONDS;
+}
+
+// `schedule(engine)` plays into a fresh engine on an OfflineAudioContext; resolves with the AudioBuffer.
+function renderOffline(durationSeconds, schedule) {
+  const OfflineCtx = globalThis.OfflineAudioContext || globalThis.webkitOfflineAudioContext;
+  if (!OfflineCtx) return Promise.reject(new Error("Offline rendering is not supported in this browser."));
+
+  const sampleRate = SETTINGS.EXPORT_SAMPLE_RATE;
+  const length = Math.ceil((durationSeconds + SETTINGS.EXPORT_TAIL_SECONDS) * sampleRate);
+  const ctx = new OfflineCtx(1, length, sampleRate);
+  const engine = createAudioEngine(ctx);
+  schedule(engine);
+  return ctx.startRendering();
+}
+
+// which: "ab" (A, gap, B), "a" or "b".
+// levels: { a, b } take levels, as played (see levelMatchGains); level matching measures at the defaults.
+function renderRound(round, which = "ab", levels = { a: 1, b: 1 }) {
+  if (which === "a" || which === "b") {
+    const params = which === "a" ? round.takeA : round.takeB;
+    return renderOffline(takeSeconds(params), (engine) => playTake(engine, params, 0, undefined, levels[which]));
+  }
+  return renderOffline(roundDurationSeconds(round), (engine) =>
+    playRound(engine, round, 0, undefined, undefined, levels),
+  );
+}
+
+// Every round back to back, spaced like the live loop. levels: one { a, b } per round, as in renderRound.
+function renderGame(rounds, levels = rounds.map(() => ({ a: 1, b: 1 }))) {
+  const starts = [];
+  let at = 0;
+  for (const round of rounds) {
+    starts.push(at);
+    at += roundDurationSeconds(round) + SETTINGS.LOOP_CYCLE_PAUSE_SECONDS;
+  }
+  const duration = Math.max(0, at - SETTINGS.LOOP_CYCLE_PAUSE_SECONDS);
+  return renderOffline(duration, (engine) => {
+    rounds.forEach((round, i) => playRound(engine, round, starts[i], undefined, undefined, levels[i]));
+  });
+}
+
+// 16-bit PCM WAV from per-channel Float32Arrays.
+function encodeWav(channels, sampleRate) {
+  const numChannels = channels.length;
+  const numFrames = numChannels > 0 ? channels[0].length : 0;
+  const bytesPerSample = 2;
+  const dataBytes = numFrames * numChannels * bytesPerSample;
+  const buffer = new ArrayBuffer(44 + dataBytes);
+  const view = new DataView(buffer);
+
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i += 1) view.setUint8(offset + i, text.charCodeAt(i));
+  };
+
+  writeString(0, "RIFF");
+  view.setUint32(4, 36 + dataBytes, true);
+  writeString(8, "WAVE");
+  writeString(12, "fmt ");
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, numChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * numChannels * bytesPerSample, true);
+  view.setUint16(32, numChannels * bytesPerSample, true);
+  view.setUint16(34, 16, true);
+  writeString(36, "data");
+  view.setUint32(40, dataBytes, true);
+
+  let offset = 44;
+  for (let i = 0; i < numFrames; i += 1) {
+    for (let c = 0; c < numChannels; c += 1) {
+      const x = clamp(channels[c][i], -1, 1);
+      view.setInt16(offset, x < 0 ? x * 0x8000 : x * 0x7fff, true);
+      offset += bytesPerSample;
+    }
+  }
+  return buffer;
+}
+
+function audioBufferToWav(audioBuffer) {
+  const channels = [];
+  for (let c = 0; c < audioBuffer.numberOfChannels; c += 1) channels.push(audioBuffer.getChannelData(c));
+  return encodeWav(channels, audioBuffer.sampleRate);
+}
+
+// (2c) Take analysis for the post-answer reveal.
+// In-place radix-2 FFT; the length must be a power of two.
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i += 1) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const half = len / 2;
+    const angle = (-2 * Math.PI) / len;
+    for (let i = 0; i < n; i += len) {
+      for (let k = 0; k < half; k += 1) {
+        const wRe = Math.cos(angle * k);
+        const wIm = Math.sin(angle * k);
+        const p = i + k;
+        const q = p + half;
+        const tRe = re[q] * wRe - im[q] * wIm;
+        const tIm = re[q] * wIm + im[q] * wRe;
+        re[q] = re[p] - tRe;
+        im[q] = im[p] - tIm;
+        re[p] += tRe;
+        im[p] += tIm;
+      }
+    }
+  }
+}
+
+// One entry per hop: { time (s, frame centre), levelDb (RMS, floored at ANALYSIS_FLOOR_DB),
+// centroidHz (spectral centroid of the Hann-windowed frame, null when silent) }.
+function analyzeTake(samples, sampleRate, frameSize = SETTINGS.ANALYSIS_FRAME_SIZE, hop = SETTINGS.ANALYSIS_HOP_SIZE) {
+  const floor = SETTINGS.ANALYSIS_FLOOR_DB;
+  const hann = Array.from({ length: frameSize }, (_v, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / frameSize));
+  const re = new Float64Array(frameSize);
+  const im = new Float64Array(frameSize);
+  const frames = [];
+
+  for (let start = 0; start + frameSize <= samples.length; start += hop) {
+    let sumSq = 0;
+    for (let i = 0; i < frameSize; i += 1) {
+      const x = samples[start + i];
+      sumSq += x * x;
+      re[i] = x * hann[i];
+      im[i] = 0;
+    }
+    const rms = Math.sqrt(sumSq / frameSize);
+    const levelDb = Math.max(floor, 20 * Math.log10(rms || 1e-12));
+
+    fft(re, im);
+    let weighted = 0;
+    let total = 0;
+    for (let k = 1; k < frameSize / 2; k += 1) {
+      const mag = Math.hypot(re[k], im[k]);
+      weighted += mag * ((k * sampleRate) / frameSize);
+      total += mag;
+    }
+    const centroidHz = levelDb > floor && total > 0 ? weighted / total : null;
+    frames.push({ time: (start + frameSize / 2) / sampleRate, levelDb, centroidHz });
+  }
+  return frames;
+}
+
+// Level-weighted mean centroid (how bright) and mean level (how long it rings) of analyzeTake frames.
+function summarizeAnalysis(frames) {
+  const floor = SETTINGS.ANALYSIS_FLOOR_DB;
+  let weight = 0;
+  let centroid = 0;
+  for (const f of frames) {
+    if (f.centroidHz === null) continue;
+    const w = f.levelDb - floor;
+    weight += w;
+    centroid += w * f.centroidHz;
+  }
+  const levelDb = frames.length > 0 ? frames.reduce((sum, f) => sum + f.levelDb, 0) / frames.length : floor;
+  return { centroidHz: weight > 0 ? centroid / weight : null, levelDb };
+}
+
+// Both takes rendered through playTake at their levels (as in renderRound), so as heard; resolves with { a, b }
+// analyzeTake frames.
+function analyzeRound(round, levels = { a: 1, b: 1 }) {
+  return Promise.all([renderRound(round, "a", levels), renderRound(round, "b", levels)]).then(([a, b]) => ({
+    a: analyzeTake(a.getChannelData(0), a.sampleRate),
+    b: analyzeTake(b.getChannelData(0), b.sampleRate),
+  }));
+}
+
+// (2d) Mix context: a backing loop under the takes (BACKING_TRACK). It only reads the take's tempo, length and
+// root, which A and B share, so both takes get the same backing.
+// The backing's bus: BACKING_LEVEL, then a limiter of its own, joining the takes only at the destination.
+function backingBus(engine) {
+  if (!engine.backing) {
+    const gain = engine.ctx.createGain();
+    engine.backing = { gain, limiter: connectLimited(engine.ctx, gain) };
+  }
+  engine.backing.gain.gain.value = SETTINGS.BACKING_LEVEL;
+  return engine.backing.gain;
+}
+
+// One take's backing: { hits: [{ time (s from take start), kind ("kick" | "clap" | "hat"), velocity }],
+// padHz }. Four to the bar: kicks on 1 and 3 (and a softer one after 3), claps on 2 and 4, eighth-note hats.
+function backingLoop(params) {
+  const beat = 60 / (params.bpm || DEFAULT_SETTINGS.BPM);
+  const duration = takeSeconds(params);
+  const hits = [];
+  const add = (time, kind, velocity) => {
+    if (time < duration - PARAM_EPS) hits.push({ time, kind, velocity });
+  };
+  for (let i = 0; i * beat < duration; i += 1) {
+    const time = i * beat;
+    const inBar = i % 4;
+    if (inBar === 0 || inBar === 2) add(time, "kick", 1);
+    if (inBar === 2) add(time + beat / 2, "kick", 0.6);
+    if (inBar === 1 || inBar === 3) add(time, "clap", 1);
+    add(time, "hat", 0.5);
+    add(time + beat / 2, "hat", 1);
+  }
+  hits.sort((a, b) => a.time - b.time);
+  const root = params.noteFreqHz / 2;
+  return { hits, padHz: SETTINGS.BACKING_PAD_SEMITONES.map((st) => root * Math.pow(2, st / 12)) };
+}
+
+// Backing drums: build(ctx, start) -> { output, sources, nodes }, played at gain() x velocity and dying away
+// over decaySeconds.
+const BACKING_DRUMS = {
+  kick: {
+    gain: () => SETTINGS.BACKING_KICK_GAIN,
+    decaySeconds: 0.3,
+    build: (ctx, start) => {
+      const osc = createOsc(ctx, "sine", 150, start);
+      osc.frequency.exponentialRampToValueAtTime(45, start + 0.12);
+      return { output: osc, sources: [osc], nodes: [] };
+    },
+  },
+  clap: {
+    gain: () => SETTINGS.BACKING_CLAP_GAIN,
+    decaySeconds: 0.15,
+    build: (ctx, start) => {
+      const noise = createNoise(ctx);
+      const band = createBiquad(ctx, "bandpass", 0.8, start);
+      band.frequency.setValueAtTime(1500, start);
+      noise.connect(band);
+      return { output: band, sources: [noise], nodes: [band] };
+    },
+  },
+  hat: {
+    gain: () => SETTINGS.BACKING_HAT_GAIN,
+    decaySeconds: 0.05,
+    build: (ctx, start) => {
+      const noise = createNoise(ctx);
+      const high = createBiquad(ctx, "highpass", 0.707, start);
+      high.frequency.setValueAtTime(7000, start);
+      noise.connect(high);
+      return { output: high, sources: [noise], nodes: [high] };
+    },
+  },
+};
+
+function scheduleBackingHit(ctx, destination, hit, start) {
+  const drum = BACKING_DRUMS[hit.kind];
+  const { output, sources, nodes } = drum.build(ctx, start);
+  const hitGain = ctx.createGain();
+  hitGain.gain.setValueAtTime(drum.gain() * hit.velocity, start);
+  hitGain.gain.exponentialRampToValueAtTime(0.0001, start + drum.decaySeconds);
+  output.connect(hitGain);
+  hitGain.connect(destination);
+  for (const src of sources) {
+    src.start(start);
+    src.stop(start + drum.decaySeconds);
+  }
+  sources[0].onended = () => {
+    for (const node of [...sources, ...nodes, hitGain]) {
+      try {
+        node.disconnect();
+      } catch (_error) {}
+    }
+  };
+}
+
+// Like playTake: one take's backing at `when`, faded like a take, into destination (by default the backing
+// bus). Returns the end time.
+function playBacking(engine, params, when, destination = backingBus(engine)) {
+  const { ctx } = engine;
+  const duration = takeSeconds(params);
+  const { hits, padHz } = backingLoop(params);
+
+  const takeGain = ctx.createGain();
+  takeGain.connect(destination);
+  scheduleTakeFade(takeGain.gain, when, duration);
+
+  for (const hit of hits) scheduleBackingHit(ctx, takeGain, hit, when + hit.time);
+
+  const padGain = ctx.createGain();
+  padGain.gain.value = SETTINGS.BACKING_PAD_GAIN;
+  const padFilter = createBiquad(ctx, "lowpass", 0.707, when);
+  padFilter.frequency.setValueAtTime(SETTINGS.BACKING_PAD_CUTOFF_HZ, when);
+  padFilter.connect(padGain);
+  padGain.connect(takeGain);
+  const pads = padHz.map((freqHz) => {
+    const osc = createOsc(ctx, "triangle", freqHz, when);
+    osc.connect(padFilter);
+    osc.start(when);
+    osc.stop(when + duration);
+    return osc;
+  });
+  pads[0].onended = () => {
+    for (const node of [...pads, padFilter, padGain]) {
+      try {
+        node.disconnect();
+      } catch (_error) {}
+    }
+  };
+
+  if (!engine.offline) {
+    const cleanupAt = when + duration + SETTINGS.TAKE_CLEANUP_EXTRA_SECONDS;
+    setTimeout(
+      () => {
+        try {
+          takeGain.disconnect();
+        } catch (_error) {}
+      },
+      Math.max(0, (cleanupAt - ctx.currentTime) * 1000),
+    );
+  }
+
+  return when + duration;
+}
+
+// (2e) Level matching (LEVEL_MATCH): BS.1770-style loudness of the rendered takes.
+// K-weighting biquads for any sample rate (the formulas libebur128 uses): a high shelf for the head's
+// effect, then the RLB highpass. Each is { b: [b0, b1, b2], a: [a1, a2] } (a0 = 1).
+function kWeightingFilters(sampleRate) {
+  const shelfK = Math.tan((Math.PI * 1681.974450955533) / sampleRate);
+  const shelfQ = 0.7071752369554196;
+  const vh = Math.pow(10, 3.999843853973347 / 20);
+  const vb = Math.pow(vh, 0.4996667741545416);
+  const shelfA0 = 1 + shelfK / shelfQ + shelfK * shelfK;
+  const passK = Math.tan((Math.PI * 38.13547087602444) / sampleRate);
+  const passQ = 0.5003270373238773;
+  const passA0 = 1 + passK / passQ + passK * passK;
+  return [
+    {
+      b: [
+        (vh + (vb * shelfK) / shelfQ + shelfK * shelfK) / shelfA0,
+        (2 * (shelfK * shelfK - vh)) / shelfA0,
+        (vh - (vb * shelfK) / shelfQ + shelfK * shelfK) / shelfA0,
+      ],
+      a: [(2 * (shelfK * shelfK - 1)) / shelfA0, (1 - shelfK / shelfQ + shelfK * shelfK) / shelfA0],
+    },
+    {
+      b: [1, -2, 1],
+      a: [(2 * (passK * passK - 1)) / passA0, (1 - passK / passQ + passK * passK) / passA0],
+    },
+  ];
+}
+
+function applyBiquad(samples, { b, a }) {
+  const out = new Float64Array(samples.length);
+  let x1 = 0;
+  let x2 = 0;
+  let y1 = 0;
+  let y2 = 0;
+  for (let i = 0; i < samples.length; i += 1) {
+    const x = samples[i];
+    const y = b[0] * x + b[1] * x1 + b[2] * x2 - a[0] * y1 - a[1] * y2;
+    out[i] = y;
+    x2 = x1;
+    x1 = x;
+    y2 = y1;
+    y1 = y;
+  }
+  return out;
+}
+
+// Loudness in LUFS: the K-weighted mean square of LOUDNESS_BLOCK_SECONDS blocks, averaged over the blocks
+// above the absolute gate. A take shorter than a block is one block; silence is -Infinity.
+function measureLoudness(samples, sampleRate) {
+  const weighted = kWeightingFilters(sampleRate).reduce(applyBiquad, samples);
+  const block = Math.min(weighted.length, Math.max(1, Math.round(SETTINGS.LOUDNESS_BLOCK_SECONDS * sampleRate)));
+  const hop = Math.max(1, Math.round(block * (1 - SETTINGS.LOUDNESS_BLOCK_OVERLAP)));
+  const gate = Math.pow(10, (SETTINGS.LOUDNESS_GATE_LUFS + 0.691) / 10);
+  let sum = 0;
+  let count = 0;
+  for (let start = 0; start + block <= weighted.length; start += hop) {
+    let power = 0;
+    for (let i = start; i < start + block; i += 1) power += weighted[i] * weighted[i];
+    power /= block;
+    if (power <= gate) continue;
+    sum += power;
+    count += 1;
+  }
+  return count > 0 ? -0.691 + 10 * Math.log10(sum / count) : -Infinity;
+}
+
+// { a, b, aLufs, bLufs }: take gains that turn the louder take down to the quieter one (never up, which would
+// push it into the limiter), by at most LEVEL_MATCH_MAX_DB. A silent take leaves both alone.
+function levelMatchGains(aLufs, bLufs) {
+  const levels = { a: 1, b: 1, aLufs, bLufs };
+  if (!Number.isFinite(aLufs) || !Number.isFinite(bLufs)) return levels;
+  const cutDb = Math.min(Math.abs(aLufs - bLufs), SETTINGS.LEVEL_MATCH_MAX_DB);
+  levels[aLufs > bLufs ? "a" : "b"] = Math.pow(10, -cutDb / 20);
+  return levels;
+}
+
+// Both takes rendered through playTake, as heard; resolves with levelMatchGains.
+function measureRoundLevels(round) {
+  return Promise.all([renderRound(round, "a"), renderRound(round, "b")]).then(([a, b]) =>
+    levelMatchGains(
+      measureLoudness(a.getChannelData(0), a.sampleRate),
+      measureLoudness(b.getChannelData(0), b.sampleRate),
+    ),
+  );
+}
+
+// (3) Round generator + validation.
+// Moves `from` by `up` or `down` (picked at random), flipping direction if the range would eat the change.
+function pickInRange(from, up, down, min, max, rng) {
+  const first = rng() < 0.5 ? up : down;
+  const other = first === up ? down : up;
+  const a = clamp(first, min, max);
+  if (nearEqual(a, first) || nearEqual(clamp(other, min, max), from)) return a;
+  return clamp(other, min, max);
+}
+
+// One round where only `changed` moves: a knob id, or an array of ids for multi-knob rounds.
+// `size` null means the fixed SETTINGS deltas. changedKnob is null when more than one knob moves.
+// `knobs` are the knobs in play (the answer options); both takes use `voice`, `filter` and `pattern`
+// at the current BPM.
+function generateRound(
+  index,
+  changed,
+  rng = Math.random,
+  size = null,
+  knobs = activeKnobs(),
+  voice = VOICES[0],
+  filter = FILTERS[0],
+  pattern = PATTERNS[0],
+) {
+  const changedKnobs = Array.isArray(changed) ? changed.slice() : [changed];
+  for (const id of changedKnobs) {
+    if (!KNOB_BY_ID[id]) throw new Error(`Unknown knob id: ${id}`);
+  }
+
+  const base = {};
+  for (const k of knobs) base[k.param] = k.sample(rng, filter);
+  base.noteFreqHz = pick(SETTINGS.NOTE_FREQUENCIES_HZ, rng);
+  base.voice = voice.id;
+  base.filter = filter.id;
+  base.pattern = pattern.id;
+  base.bpm = SETTINGS.BPM;
+
+  const takeA = { ...base };
+  const takeB = { ...base };
+  for (const id of changedKnobs) {
+    const knob = KNOB_BY_ID[id];
+    takeB[knob.param] = knob.change(takeA[knob.param], rng, size, filter);
+  }
+
+  // "up" / "down" per moved knob, from B relative to A.
+  const directions = {};
+  for (const id of changedKnobs) {
+    const param = KNOB_BY_ID[id].param;
+    directions[id] = takeB[param] > takeA[param] ? "up" : "down";
+  }
+
+  const changedKnob = changedKnobs.length === 1 ? changedKnobs[0] : null;
+  const knobIds = knobs.map((k) => k.id);
+  return {
+    index,
+    voice: voice.id,
+    filter: filter.id,
+    pattern: pattern.id,
+    knobIds,
+    changedKnob,
+    changedKnobs,
+    directions,
+    takeA,
+    takeB,
+  };
+}
+
+// Multi-knob game: each round moves a random 1..N distinct knobs (in registry order).
+function generateMultiRounds(rng = Math.random) {
+  const gameVoice = pickGameVoice(rng);
+  const gameFilter = pickGameFilter(rng);
+  const gamePattern = pickGamePattern(rng);
+  const rounds = [];
+
+  for (let i = 0; i < SETTINGS.ROUNDS_PER_GAME; i += 1) {
+    const voice = gameVoice || pickOption(enabledVoices(), rng);
+    const knobs = voiceKnobs(voice);
+    const maxChanged = clamp(SETTINGS.MULTI_MAX_CHANGED_KNOBS, 1, knobs.length);
+    const minChanged = clamp(SETTINGS.MULTI_MIN_CHANGED_KNOBS, 1, maxChanged);
+    const count = minChanged + Math.floor(rng() * (maxChanged - minChanged + 1));
+    const picked = shuffle(knobs, rng).slice(0, count);
+    const ids = knobs.filter((k) => picked.includes(k)).map((k) => k.id);
+    const filter = filterForRound(gameFilter, rng);
+    rounds.push(generateRound(i, ids, rng, null, knobs, voice, filter, patternForRound(gamePattern, rng)));
+  }
+
+  return rounds;
+}
+
+// Each knob must show up at least this often in a game.
+function minRoundsPerKnob(knobCount, roundCount = SETTINGS.ROUNDS_PER_GAME) {
+  return Math.floor(roundCount / Math.max(1, knobCount));
+}
+
+// Pass a seeded rng (see createRng) to get the same rounds for the same seed.
+function generateRounds(rng = Math.random) {
+  const rounds = [];
+  const gameVoice = pickGameVoice(rng);
+  const gameFilter = pickGameFilter(rng);
+  const gamePattern = pickGamePattern(rng);
+  const knobs = gameKnobs(gameVoice);
+
+  // Each knob fills an equal share; leftovers go to distinct random knobs (3 knobs: 3 + 3 + 3 + 1 = 10).
+  const perKnob = minRoundsPerKnob(knobs.length);
+  const knobBag = [];
+  for (const k of knobs) {
+    for (let i = 0; i < perKnob; i += 1) knobBag.push(k.id);
+  }
+  const leftovers = knobs.slice();
+  while (knobBag.length < SETTINGS.ROUNDS_PER_GAME && leftovers.length > 0) {
+    knobBag.push(leftovers.splice(Math.floor(rng() * leftovers.length), 1)[0].id);
+  }
+  const changedKnobs = shuffle(knobBag, rng);
+
+  for (let i = 0; i < SETTINGS.ROUNDS_PER_GAME; i += 1) {
+    const voice = voiceForRound(gameVoice, [changedKnobs[i]], rng);
+    const filter = filterForRound(gameFilter, rng);
+    const pattern = patternForRound(gamePattern, rng);
+    rounds.push(generateRound(i, changedKnobs[i], rng, null, voiceKnobs(voice, knobs), voice, filter, pattern));
+  }
+
+  return rounds;
+}
+
+// Per-round checks only; returns a list of error strings.
+function validateRound(r) {
+  const errors = [];
+  const a = r.takeA;
+  const b = r.takeB;
+  const diffs = [];
+
+  if (!nearEqual(a.noteFreqHz, b.noteFreqHz)) errors.push(`Round ${r.index + 1}: noteFreq differs (not allowed).`);
+  if (a.voice !== b.voice) errors.push(`Round ${r.index + 1}: voice differs (not allowed).`);
+  if (a.filter !== b.filter) errors.push(`Round ${r.index + 1}: filter differs (not allowed).`);
+  // Same pattern and tempo, so the notes line up and only the knobs differ.
+  if (a.pattern !== b.pattern) errors.push(`Round ${r.index + 1}: pattern differs (not allowed).`);
+  if (a.bpm !== b.bpm) errors.push(`Round ${r.index + 1}: tempo differs (not allowed).`);
+  if (a.pattern !== undefined && !PATTERN_BY_ID[a.pattern]) {
+    errors.push(`Round ${r.index + 1}: unknown pattern "${a.pattern}".`);
+  }
+  for (const k of KNOBS) {
+    const va = a[k.param];
+    const vb = b[k.param];
+    if (va === undefined && vb === undefined) continue;
+    if (va === undefined || vb === undefined || !nearEqual(va, vb, k.tolerance)) diffs.push(k.id);
+  }
+
+  const expected = r.changedKnobs || [r.changedKnob];
+  if (expected.length > 1) {
+    const same = diffs.length === expected.length && expected.every((id) => diffs.includes(id));
+    if (!same) {
+      errors.push(
+        `Round ${r.index + 1}: expected changes (${expected.join(", ")}), got (${diffs.join(", ") || "none"}).`,
+      );
+    }
+  } else if (diffs.length !== 1) {
+    errors.push(`Round ${r.index + 1}: expected 1 knob change, got ${diffs.length} (${diffs.join(", ") || "none"}).`);
+  } else if (diffs[0] !== r.changedKnob) {
+    errors.push(`Round ${r.index + 1}: changedKnob says "${r.changedKnob}" but diff is "${diffs[0]}".`);
+  }
+
+  return errors;
+}
+
+function validateRounds(rounds) {
+  const errors = [];
+  if (!Array.isArray(rounds)) errors.push("Rounds is not an array.");
+  if (rounds.length !== SETTINGS.ROUNDS_PER_GAME) errors.push(`Expected ${SETTINGS.ROUNDS_PER_GAME} rounds.`);
+
+  // Balance is checked over the knobs the game actually asked about.
+  const asked = new Set(rounds.flatMap((r) => r.knobIds || []));
+  const knobs = asked.size > 0 ? KNOBS.filter((k) => asked.has(k.id)) : activeKnobs();
+  const minCount = minRoundsPerKnob(knobs.length);
+  const counts = Object.fromEntries(knobs.map((k) => [k.id, 0]));
+
+  for (const r of rounds) {
+    for (const id of r.changedKnobs || [r.changedKnob]) counts[id] = (counts[id] || 0) + 1;
+    errors.push(...validateRound(r));
+  }
+
+  for (const k of knobs) {
+    const n = counts[k.id] || 0;
+    if (n < minCount) errors.push(`Knob "${k.id}" appears ${n} times (< ${minCount}).`);
+  }
+
+  return { ok: errors.length === 0, errors, counts };
+}
+
+// Per-knob credit: each moved knob found is worth 1/moved, each false positive takes 1/moved back.
+function scoreAnswer(changedKnobs, chosenKnobs) {
+  const hits = chosenKnobs.filter((id) => changedKnobs.includes(id));
+  const falsePositives = chosenKnobs.filter((id) => !changedKnobs.includes(id));
+  const misses = changedKnobs.filter((id) => !chosenKnobs.includes(id));
+  const credit = Math.max(0, (hits.length - falsePositives.length) / changedKnobs.length);
+  const isCorrect = misses.length === 0 && falsePositives.length === 0;
+  return { hits, misses, falsePositives, credit, isCorrect };
+}
+
+// Knob position 0..1 <-> value, following the knob's range (log or linear).
+function knobToNorm(knob, value, filter = null) {
+  const { min, max, log } = knob.range(filter);
+  const t = log ? Math.log(value / min) / Math.log(max / min) : (value - min) / (max - min);
+  return clamp(t, 0, 1);
+}
+
+function normToKnob(knob, t, filter = null) {
+  const { min, max, log } = knob.range(filter);
+  const u = clamp(t, 0, 1);
+  return log ? min * Math.pow(max / min, u) : min + (max - min) * u;
+}
+
+// Match mode: per knob, octaves (log2) between submitted and target, that distance as a share
+// of the knob's log range, and a 0..1 score falling off linearly with it.
+function scoreMatch(target, submitted, knobs) {
+  const perKnob = {};
+  const filter = filterOf(target);
+  let total = 0;
+  for (const k of knobs) {
+    const { min, max } = k.range(filter);
+    const distanceOct = Math.abs(Math.log2(submitted[k.param] / target[k.param]));
+    const rangeShare = distanceOct / Math.log2(max / min);
+    const score = clamp(1 - rangeShare / SETTINGS.MATCH_SCORE_FALLOFF, 0, 1);
+    perKnob[k.id] = { target: target[k.param], submitted: submitted[k.param], distanceOct, rangeShare, score };
+    total += score;
+  }
+  const credit = knobs.length > 0 ? total / knobs.length : 0;
+  const isCorrect = knobs.every((k) => isKnobMatched(perKnob[k.id]));
+  return { perKnob, credit, isCorrect };
+}
+
+function isKnobMatched(m) {
+  return m.rangeShare <= SETTINGS.MATCH_KNOB_TOLERANCE;
+}
+
+// Online rooms: relay clock minus local clock (ms), from { sent, serverTime, received } round trips.
+// The fastest round trip has the least room for asymmetric delay, so it alone sets the offset.
+function estimateClockOffset(samples) {
+  if (samples.length === 0) return 0;
+  const best = samples.reduce((a, b) => (b.received - b.sent < a.received - a.sent ? b : a));
+  return best.serverTime - (best.sent + best.received) / 2;
+}
+
+// Party modes: "Alice, Bob" -> ["Alice", "Bob"]. Throws with a message for the start screen.
+function parsePlayerNames(text) {
+  const names = String(text || "")
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean);
+  const min = SETTINGS.PARTY_MIN_PLAYERS;
+  const max = SETTINGS.PARTY_MAX_PLAYERS;
+  if (names.length < min || names.length > max) {
+    throw new Error(`Enter ${min} to ${max} player names, separated by commas.`);
+  }
+  if (new Set(names.map((name) => name.toLowerCase())).size < names.length) {
+    throw new Error("Give every player a different name.");
+  }
+  return names;
+}
+
+// Buzz-in: { [key]: { player, knobId } } for options shown in `knobIds` order.
+function buzzKeyMap(playerCount, knobIds) {
+  const map = {};
+  for (let player = 0; player < playerCount; player += 1) {
+    const keys = Array.from(SETTINGS.BUZZ_KEY_SETS[player] || "");
+    if (keys.length < knobIds.length) throw new Error(`Player ${player + 1} has fewer buzz keys than options.`);
+    knobIds.forEach((knobId, i) => {
+      if (map[keys[i]]) throw new Error(`Buzz key "${keys[i]}" is used twice.`);
+      map[keys[i]] = { player, knobId };
+    });
+  }
+  return map;
+}
+
+// Best score first (ties keep the player order); tied players share a place.
+function partyStandings(players) {
+  const sorted = players.map((p, index) => ({ ...p, index })).sort((a, b) => b.score - a.score || a.index - b.index);
+  let place = 0;
+  return sorted.map((p, i) => {
+    if (i === 0 || p.score !== sorted[i - 1].score) place = i + 1;
+    return { ...p, place };
+  });
+}
+
+// Blitz: credit for an answer given reactionMs after the round's first Take B onset (null: before B).
+function blitzCredit(isCorrect, reactionMs) {
+  if (!isCorrect) return 0;
+  const min = SETTINGS.BLITZ_MIN_CREDIT;
+  if (!Number.isFinite(reactionMs)) return min;
+  const late = (reactionMs - SETTINGS.BLITZ_FAST_MS) / (SETTINGS.BLITZ_SLOW_MS - SETTINGS.BLITZ_FAST_MS);
+  return 1 - clamp(late, 0, 1) * (1 - min);
+}
+
+// MIDI: raw message bytes -> { type: "note", note, velocity } (note off: velocity 0) or
+// { type: "cc", controller, value }; anything else (clock, sysex, pitch bend...) -> null.
+function parseMidiMessage(data) {
+  if (!data || data.length < 3) return null;
+  const status = data[0] & 0xf0;
+  if (status === 0x90) return { type: "note", note: data[1], velocity: data[2] };
+  if (status === 0x80) return { type: "note", note: data[1], velocity: 0 };
+  if (status === 0xb0) return { type: "cc", controller: data[1], value: data[2] };
+  return null;
+}
+
+// 36 -> "C1 (36)", with middle C (60) as C3 like most controllers print it.
+function formatMidiNote(note) {
+  const names = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
+  return `${names[note % 12]}${Math.floor(note / 12) - 2} (${note})`;
+}
+
+// Bindings: { notes: { [note]: answer slot (0-based) }, ccs: { [controller]: knob id } }, JSON-safe.
+function defaultMidiBindings() {
+  const notes = {};
+  SETTINGS.MIDI_DEFAULT_NOTES.slice(0, SETTINGS.MIDI_ANSWER_SLOTS).forEach((note, slot) => {
+    notes[note] = slot;
+  });
+  return { notes, ccs: { ...SETTINGS.MIDI_DEFAULT_CCS } };
+}
+
+function isMidiNumber(n) {
+  return Number.isInteger(n) && n >= 0 && n <= 127;
+}
+
+// Stored bindings with anything malformed or unknown dropped; defaults when there are none.
+function sanitizeMidiBindings(data) {
+  if (!data || typeof data !== "object") return defaultMidiBindings();
+  const out = { notes: {}, ccs: {} };
+  for (const [note, slot] of Object.entries(data.notes || {})) {
+    if (isMidiNumber(Number(note)) && Number.isInteger(slot) && slot >= 0 && slot < SETTINGS.MIDI_ANSWER_SLOTS) {
+      out.notes[note] = slot;
+    }
+  }
+  for (const [controller, knobId] of Object.entries(data.ccs || {})) {
+    if (isMidiNumber(Number(controller)) && KNOB_BY_ID[knobId]) out.ccs[controller] = knobId;
+  }
+  return out;
+}
+
+// MIDI learn: binds a message to target ({ slot } or { knob }), moving the note or CC off whatever it did
+// before and dropping what the target was bound to. Notes only bind answers and CCs only knobs, so the wrong
+// kind of message (or a note off) returns null and learning goes on.
+function learnMidiBinding(bindings, target, message) {
+  const notes = { ...bindings.notes };
+  const ccs = { ...bindings.ccs };
+  if (target.slot !== undefined && message.type === "note" && message.velocity > 0) {
+    for (const note of Object.keys(notes)) if (notes[note] === target.slot) delete notes[note];
+    notes[message.note] = target.slot;
+    return { notes, ccs };
+  }
+  if (target.knob !== undefined && message.type === "cc") {
+    for (const controller of Object.keys(ccs)) if (ccs[controller] === target.knob) delete ccs[controller];
+    ccs[message.controller] = target.knob;
+    return { notes, ccs };
+  }
+  return null;
+}
+
+// What a message does: { slot } for a bound pad hit, { knob, t } (0..1) for a bound CC, otherwise null.
+function midiAction(bindings, message) {
+  if (message.type === "note" && message.velocity > 0 && bindings.notes[message.note] !== undefined) {
+    return { slot: bindings.notes[message.note] };
+  }
+  if (message.type === "cc" && bindings.ccs[message.controller] !== undefined) {
+    return { knob: bindings.ccs[message.controller], t: message.value / 127 };
+  }
+  return null;
+}
+
+// Listens to every MIDI input, including ones plugged in later. nav is the page's navigator (or a stand-in).
+// Resolves with { inputNames, close() }; rejects without Web MIDI or when access is refused.
+function connectMidi(nav, onMessage, onInputsChanged = () => {}) {
+  if (!nav || typeof nav.requestMIDIAccess !== "function") {
+    return Promise.reject(new Error("This browser has no Web MIDI."));
+  }
+  return nav.requestMIDIAccess().then((access) => {
+    const listen = () => {
+      const names = [];
+      for (const input of access.inputs.values()) {
+        input.onmidimessage = (e) => {
+          const message = parseMidiMessage(e.data);
+          if (message) onMessage(message);
+        };
+        if (input.state !== "disconnected") names.push(input.name || "MIDI input");
+      }
+      return names;
+    };
+    const midi = {
+      inputNames: listen(),
+      close() {
+        access.onstatechange = null;
+        for (const input of access.inputs.values()) input.onmidimessage = null;
+      },
+    };
+    access.onstatechange = () => {
+      midi.inputNames = listen();
+      onInputsChanged(midi.inputNames);
+    };
+    return midi;
+  });
+}
+
+// (3b) Adaptive staircase: each knob tracks its own change size.
+function createStaircase(start, min, max) {
+  return { level: start, min, max, streak: 0, lastDirection: 0, reversals: [], trials: 0, correct: 0 };
+}
+
+// 2-down/1-up (with ADAPTIVE_CORRECT_TO_SHRINK = 2) converges on ~71% correct.
+function updateStaircase(sc, isCorrect) {
+  sc.trials += 1;
+  let direction = 0;
+  if (isCorrect) {
+    sc.correct += 1;
+    sc.streak += 1;
+    if (sc.streak >= SETTINGS.ADAPTIVE_CORRECT_TO_SHRINK) {
+      sc.streak = 0;
+      direction = -1;
+    }
+  } else {
+    sc.streak = 0;
+    direction = 1;
+  }
+  if (direction === 0) return sc;
+
+  if (sc.lastDirection !== 0 && direction !== sc.lastDirection) sc.reversals.push(sc.level);
+  sc.lastDirection = direction;
+
+  const factor = direction < 0 ? SETTINGS.ADAPTIVE_STEP_FACTOR : 1 / SETTINGS.ADAPTIVE_STEP_FACTOR;
+  sc.level = clamp(sc.level * factor, sc.min, sc.max);
+  return sc;
+}
+
+// Geometric mean of the last few reversal levels; falls back to the current level.
+function staircaseThreshold(sc) {
+  const last = sc.reversals.slice(-SETTINGS.ADAPTIVE_THRESHOLD_REVERSALS);
+  if (last.length === 0) return sc.level;
+  const logSum = last.reduce((sum, x) => sum + Math.log(x), 0);
+  return Math.exp(logSum / last.length);
+}
+
+function createAdaptiveState(knobs = gameKnobs(), gameVoice = null, gameFilter = null, gamePattern = null) {
+  const staircases = {};
+  for (const k of knobs) {
+    const { start, min, max } = k.adaptiveRange();
+    staircases[k.id] = createStaircase(start, min, max);
+  }
+  return { knobIds: knobs.map((k) => k.id), staircases, knobBag: [], gameVoice, gameFilter, gamePattern };
+}
+
+// Rounds on demand: knobs come from a refilled shuffled bag so they stay balanced.
+function generateAdaptiveRound(adaptive, index, rng = Math.random) {
+  if (adaptive.knobBag.length === 0) adaptive.knobBag = shuffle(adaptive.knobIds, rng);
+  const changedKnob = adaptive.knobBag.pop();
+  const voice = voiceForRound(adaptive.gameVoice, [changedKnob], rng);
+  const knobs = voiceKnobs(voice, adaptive.knobIds.map((id) => KNOB_BY_ID[id]));
+  const filter = filterForRound(adaptive.gameFilter, rng);
+  const pattern = patternForRound(adaptive.gamePattern, rng);
+  const size = adaptive.staircases[changedKnob].level;
+  return generateRound(index, changedKnob, rng, size, knobs, voice, filter, pattern);
+}
+
+function adaptiveIsDone(adaptive, roundsPlayed) {
+  if (roundsPlayed >= SETTINGS.ADAPTIVE_MAX_ROUNDS) return true;
+  return adaptive.knobIds.every((id) => adaptive.staircases[id].reversals.length >= SETTINGS.ADAPTIVE_TARGET_REVERSALS);
+}
+
+// (3c) Player history: one record per finished game, plus the stats derived from it.
+const HISTORY_FORMAT = "bullfrog-history";
+const HISTORY_VERSION = 1;
+
+function isGameRecord(g) {
+  return Boolean(g) && typeof g.id === "string" && typeof g.finishedAt === "string" && Array.isArray(g.rounds);
+}
+
+function buildGameRecord({ seed, mode, rounds, results, finishedAt = new Date() }) {
+  const iso = finishedAt.toISOString();
+  return {
+    id: `${iso}-${encodeChallengeCode(seed)}`,
+    finishedAt: iso,
+    challengeCode: encodeChallengeCode(seed),
+    mode,
+    // Only what differs from the defaults; mergeSettings(record.settings) gives the full set back.
+    settings: settingsOverrides(),
+    rounds: results.map((r, i) => ({
+      changedKnob: r.correctKnob,
+      chosenKnob: r.chosenKnob,
+      changedKnobs: r.correctKnobs,
+      chosenKnobs: r.chosenKnobs,
+      changedDirection: r.correctDirection,
+      chosenDirection: r.chosenDirection,
+      credit: r.credit,
+      isCorrect: r.isCorrect,
+      responseMs: r.responseMs,
+      reactionMs: r.reactionMs,
+      timedOut: r.timedOut,
+      auditions: r.auditions,
+      match: r.match,
+      submitted: r.submitted,
+      takeA: rounds[i].takeA,
+      takeB: rounds[i].takeB,
+    })),
+  };
+}
+
+// Union by id, oldest first.
+function mergeHistory(existing, incoming) {
+  const byId = new Map();
+  for (const g of existing.concat(incoming)) {
+    if (isGameRecord(g)) byId.set(g.id, g);
+  }
+  return Array.from(byId.values()).sort((a, b) => a.finishedAt.localeCompare(b.finishedAt));
+}
+
+function serializeHistory(games) {
+  return JSON.stringify(
+    { format: HISTORY_FORMAT, version: HISTORY_VERSION, exportedAt: new Date().toISOString(), games },
+    null,
+    2,
+  );
+}
+
+// Accepts an export file or a bare array of game records.
+function parseHistoryJson(text) {
+  const data = JSON.parse(text);
+  const games = Array.isArray(data) ? data : data && data.format === HISTORY_FORMAT ? data.games : null;
+  if (!Array.isArray(games)) throw new Error("Not a Bullfrog history file.");
+  return games.filter(isGameRecord);
+}
+
+// Leaderboards: { [leaderboardKey]: entries, best first }. Runs only compete with the same mode and the
+// same settings; display settings (and blitz clocks outside blitz) do not split a board.
+function leaderboardKey(mode, overrides = settingsOverrides()) {
+  const ignored = settingsGroupKeys("Display").concat(mode === "blitz" ? [] : settingsGroupKeys("Blitz"));
+  const kept = Object.keys(overrides)
+    .filter((key) => !ignored.includes(key))
+    .sort()
+    .map((key) => [key, overrides[key]]);
+  return `${mode}:${JSON.stringify(kept)}`;
+}
+
+// avgMs: mean reaction time (from the first Take B) in blitz, mean response time otherwise.
+function buildLeaderboardEntry({ seed, mode, score, results, finishedAt = new Date() }) {
+  const timeKey = mode === "blitz" ? "reactionMs" : "responseMs";
+  const times = results.map((r) => r[timeKey]).filter(Number.isFinite);
+  return {
+    finishedAt: finishedAt.toISOString(),
+    challengeCode: encodeChallengeCode(seed),
+    score,
+    rounds: results.length,
+    avgMs: times.length > 0 ? times.reduce((sum, t) => sum + t, 0) / times.length : null,
+  };
+}
+
+// Higher score first, then the faster run, then the earlier one.
+function compareLeaderboardEntries(a, b) {
+  if (a.score !== b.score) return b.score - a.score;
+  const time = (e) => (Number.isFinite(e.avgMs) ? e.avgMs : Infinity);
+  if (time(a) !== time(b)) return time(a) < time(b) ? -1 : 1;
+  return a.finishedAt.localeCompare(b.finishedAt);
+}
+
+// The board with `entry` added and cut to `size`; rank is 1-based, 0 when the run did not make it.
+function addLeaderboardEntry(entries, entry, size = SETTINGS.LEADERBOARD_SIZE) {
+  const board = entries.concat([entry]).sort(compareLeaderboardEntries).slice(0, size);
+  return { entries: board, rank: board.indexOf(entry) + 1 };
+}
+
+function emptyKnobStats() {
+  return { correct: 0, total: 0, responseMsSum: 0, responseCount: 0 };
+}
+
+function addRoundToKnobStats(ks, round) {
+  ks.total += 1;
+  if (round.isCorrect) ks.correct += 1;
+  if (Number.isFinite(round.responseMs)) {
+    ks.responseMsSum += round.responseMs;
+    ks.responseCount += 1;
+  }
+}
+
+function computeStats(games) {
+  const knobIds = [];
+  const seen = (id) => {
+    if (id && !knobIds.includes(id)) knobIds.push(id);
+  };
+  const overall = emptyKnobStats();
+  const perKnob = {};
+  // confusion[actual][chosen] = count
+  const confusion = {};
+  const timeline = [];
+
+  for (const g of games) {
+    const gameKnobs = {};
+    for (const r of g.rounds) {
+      // Match rounds: each knob counts as right when it landed within tolerance.
+      if (r.match) {
+        for (const id of Object.keys(r.match)) {
+          seen(id);
+          const matched = { isCorrect: isKnobMatched(r.match[id]), responseMs: r.responseMs };
+          perKnob[id] = perKnob[id] || emptyKnobStats();
+          gameKnobs[id] = gameKnobs[id] || emptyKnobStats();
+          addRoundToKnobStats(perKnob[id], matched);
+          addRoundToKnobStats(gameKnobs[id], matched);
+        }
+        addRoundToKnobStats(overall, r);
+        continue;
+      }
+
+      // Multi-knob rounds: each moved knob counts as found or missed; no single confusion cell.
+      if (Array.isArray(r.changedKnobs) && r.changedKnobs.length > 1) {
+        for (const id of r.changedKnobs) {
+          seen(id);
+          const found = { isCorrect: (r.chosenKnobs || []).includes(id), responseMs: r.responseMs };
+          perKnob[id] = perKnob[id] || emptyKnobStats();
+          gameKnobs[id] = gameKnobs[id] || emptyKnobStats();
+          addRoundToKnobStats(perKnob[id], found);
+          addRoundToKnobStats(gameKnobs[id], found);
+        }
+        addRoundToKnobStats(overall, r);
+        continue;
+      }
+
+      seen(r.changedKnob);
+      seen(r.chosenKnob);
+      perKnob[r.changedKnob] = perKnob[r.changedKnob] || emptyKnobStats();
+      gameKnobs[r.changedKnob] = gameKnobs[r.changedKnob] || emptyKnobStats();
+      addRoundToKnobStats(perKnob[r.changedKnob], r);
+      addRoundToKnobStats(gameKnobs[r.changedKnob], r);
+      addRoundToKnobStats(overall, r);
+
+      const row = (confusion[r.changedKnob] = confusion[r.changedKnob] || {});
+      const chosen = r.chosenKnob || "none";
+      row[chosen] = (row[chosen] || 0) + 1;
+    }
+    timeline.push({ finishedAt: g.finishedAt, mode: g.mode, perKnob: gameKnobs });
+  }
+
+  // Registry order first; knobs only known from imported history go last.
+  const rank = (id) => (KNOB_BY_ID[id] ? KNOBS.indexOf(KNOB_BY_ID[id]) : KNOBS.length);
+  knobIds.sort((a, b) => rank(a) - rank(b));
+
+  return { games: games.length, knobIds, overall, perKnob, confusion, timeline };
+}
+
+function formatAccuracy(ks) {
+  if (!ks || ks.total === 0) return "—";
+  return `${Math.round((ks.correct / ks.total) * 100)}%`;
+}
+
+function formatAvgResponse(ks) {
+  if (!ks || ks.responseCount === 0) return "—";
+  return `${(ks.responseMsSum / ks.responseCount / 1000).toFixed(1)}s`;
+}
+
+// (3d) Settings schema and validation.
+//
+// Only keys listed here can be changed from the settings screen, a preset or a URL.
+// type: "int" | "number" | "bool" | "list" (comma-separated numbers)
+//       | "knobs" / "voices" / "filters" / "patterns" (registered ids, see SETTINGS_ID_TYPES)
+//       | "choice" (one of `options`, [value, label] pairs)
+const SETTINGS_SCHEMA = [
+  {
+    group: "Game",
+    fields: [
+      { key: "ROUNDS_PER_GAME", label: "Rounds per game", type: "int", min: 1, max: 100 },
+      { key: "FEEDBACK_ADVANCE_MS", label: "Feedback pause (ms)", type: "int", min: 0, max: 10000 },
+      { key: "SHOW_REVEAL", label: "Show the sound after each answer", type: "bool" },
+      { key: "LEVEL_MATCH", label: "Level-match the takes", type: "bool" },
+      { key: "ENABLED_KNOBS", label: "Knobs in play", type: "knobs" },
+      { key: "DEBUG_SHOW_ANSWER", label: "Show answer (debug)", type: "bool" },
+    ],
+  },
+  {
+    group: "Blitz",
+    fields: [
+      { key: "BLITZ_GAME_SECONDS", label: "Game clock (s, 0 = off)", type: "int", min: 0, max: 3600 },
+      { key: "BLITZ_ROUND_SECONDS", label: "Answer deadline per round (s, 0 = off)", type: "number", min: 0, max: 120 },
+      { key: "BLITZ_FAST_MS", label: "Full credit within (ms after B)", type: "int", min: 0, max: 60000 },
+      { key: "BLITZ_SLOW_MS", label: "Least credit from (ms after B)", type: "int", min: 1, max: 60000 },
+      { key: "BLITZ_MIN_CREDIT", label: "Least credit for a right answer", type: "number", min: 0, max: 1 },
+    ],
+  },
+  {
+    group: "Display",
+    fields: [
+      {
+        key: "THEME",
+        label: "Theme",
+        type: "choice",
+        options: [
+          ["auto", "Follow the system"],
+          ["standard", "Standard"],
+          ["high-contrast", "High contrast"],
+        ],
+      },
+      {
+        key: "REDUCED_MOTION",
+        label: "Motion",
+        type: "choice",
+        options: [
+          ["auto", "Follow the system"],
+          ["reduce", "Reduced"],
+          ["full", "Full"],
+        ],
+      },
+    ],
+  },
+  {
+    group: "Voices",
+    fields: [
+      { key: "VOICES", label: "Voices in play", type: "voices" },
+      {
+        key: "VOICE_CHOICE",
+        label: "Pick a voice",
+        type: "choice",
+        options: [
+          ["round", "Every round"],
+          ["game", "Once per game"],
+        ],
+      },
+    ],
+  },
+  {
+    group: "Filters",
+    fields: [
+      { key: "FILTERS", label: "Filters in play", type: "filters" },
+      {
+        key: "FILTER_CHOICE",
+        label: "Pick a filter",
+        type: "choice",
+        options: [
+          ["round", "Every round"],
+          ["game", "Once per game"],
+        ],
+      },
+    ],
+  },
+  {
+    group: "Timing",
+    fields: [
+      { key: "SILENCE_GAP_SECONDS", label: "Gap between A and B (s)", type: "number", min: 0, max: 5 },
+      { key: "LOOP_CYCLE_PAUSE_SECONDS", label: "Pause before repeat (s)", type: "number", min: 0, max: 5 },
+    ],
+  },
+  {
+    group: "Backing loop",
+    fields: [
+      { key: "BACKING_TRACK", label: "Play the takes inside a backing loop", type: "bool" },
+      { key: "BACKING_LEVEL", label: "Backing level", type: "number", min: 0, max: 1 },
+    ],
+  },
+  {
+    group: "Notes",
+    fields: [
+      { key: "PATTERNS", label: "Patterns in play", type: "patterns" },
+      {
+        key: "PATTERN_CHOICE",
+        label: "Pick a pattern",
+        type: "choice",
+        options: [
+          ["round", "Every round"],
+          ["game", "Once per game"],
+        ],
+      },
+      { key: "BPM", label: "Tempo (BPM)", type: "int", min: 30, max: 300 },
+      { key: "NOTE_FREQUENCIES_HZ", label: "Root pitches (Hz)", type: "list", min: 20, max: 2000 },
+    ],
+  },
+  {
+    group: "Cutoff (lowpass, ladder)",
+    fields: [
+      { key: "CUTOFF_BASE_HZ_MIN", label: "Base min (Hz)", type: "number", min: 20, max: 20000 },
+      { key: "CUTOFF_BASE_HZ_MAX", label: "Base max (Hz)", type: "number", min: 20, max: 20000 },
+      { key: "CUTOFF_CHANGE_MULTIPLIERS", label: "Change multipliers", type: "list", min: 0.05, max: 20, length: 2 },
+    ],
+  },
+  {
+    group: "Resonance (lowpass, highpass)",
+    fields: [
+      { key: "RESONANCE_BASE_Q_MIN", label: "Base min (Q)", type: "number", min: 0.1, max: 30 },
+      { key: "RESONANCE_BASE_Q_MAX", label: "Base max (Q)", type: "number", min: 0.1, max: 30 },
+      { key: "RESONANCE_CHANGE_DELTA_Q", label: "Change (Q)", type: "number", min: 0.01, max: 20 },
+      { key: "RESONANCE_Q_MIN", label: "Limit min (Q)", type: "number", min: 0.1, max: 30 },
+      { key: "RESONANCE_Q_MAX", label: "Limit max (Q)", type: "number", min: 0.1, max: 30 },
+    ],
+  },
+  {
+    group: "Decay",
+    fields: [
+      { key: "DECAY_BASE_MS_MIN", label: "Base min (ms)", type: "number", min: 5, max: 10000 },
+      { key: "DECAY_BASE_MS_MAX", label: "Base max (ms)", type: "number", min: 5, max: 10000 },
+      { key: "DECAY_CHANGE_MULTIPLIERS", label: "Change multipliers", type: "list", min: 0.05, max: 20, length: 2 },
+      { key: "DECAY_MS_MIN", label: "Limit min (ms)", type: "number", min: 5, max: 10000 },
+      { key: "DECAY_MS_MAX", label: "Limit max (ms)", type: "number", min: 5, max: 10000 },
+    ],
+  },
+];
+
+// Fields that hold a list of registered ids.
+const SETTINGS_ID_TYPES = {
+  knobs: { items: KNOBS, byId: KNOB_BY_ID, noun: "knob", min: 1 },
+  voices: { items: VOICES, byId: VOICE_BY_ID, noun: "voice", min: 1 },
+  filters: { items: FILTERS, byId: FILTER_BY_ID, noun: "filter", min: 1 },
+  patterns: { items: PATTERNS, byId: PATTERN_BY_ID, noun: "pattern", min: 1 },
+};
+
+const SETTINGS_FIELDS = SETTINGS_SCHEMA.flatMap((g) => g.fields);
+const SETTINGS_FIELD_BY_KEY = Object.fromEntries(SETTINGS_FIELDS.map((f) => [f.key, f]));
+
+// [lower, upper]: lower must be strictly below upper.
+const SETTINGS_ORDERED_PAIRS = [
+  ["CUTOFF_BASE_HZ_MIN", "CUTOFF_BASE_HZ_MAX"],
+  ["RESONANCE_BASE_Q_MIN", "RESONANCE_BASE_Q_MAX"],
+  ["RESONANCE_Q_MIN", "RESONANCE_Q_MAX"],
+  ["DECAY_BASE_MS_MIN", "DECAY_BASE_MS_MAX"],
+  ["DECAY_MS_MIN", "DECAY_MS_MAX"],
+  ["BLITZ_FAST_MS", "BLITZ_SLOW_MS"],
+];
+
+function validateSettingField(field, value) {
+  const name = field.label;
+  if (field.type === "bool") return typeof value === "boolean" ? [] : [`${name}: must be on or off.`];
+  const idType = SETTINGS_ID_TYPES[field.type];
+  if (idType) {
+    if (!Array.isArray(value) || value.some((id) => !idType.byId[id])) return [`${name}: unknown ${idType.noun}.`];
+    if (new Set(value).size < idType.min) return [`${name}: pick at least ${idType.min} ${idType.noun}s.`];
+    return [];
+  }
+  if (field.type === "choice") {
+    return field.options.some(([v]) => v === value) ? [] : [`${name}: unknown option "${value}".`];
+  }
+
+  const values = field.type === "list" ? value : [value];
+  if (!Array.isArray(values) || values.length === 0) return [`${name}: needs at least one number.`];
+  if (field.length && values.length !== field.length) return [`${name}: needs exactly ${field.length} numbers.`];
+  for (const v of values) {
+    if (typeof v !== "number" || !Number.isFinite(v)) return [`${name}: "${v}" is not a number.`];
+    if (field.type === "int" && !Number.isInteger(v)) return [`${name}: must be a whole number.`];
+    if (v < field.min || v > field.max) return [`${name}: must be between ${field.min} and ${field.max}.`];
+  }
+  return [];
+}
+
+// Checks a full settings object (SETTINGS merged with overrides); returns error strings. `mode` is the game
+// mode they are for, when known: one knob in play is only a question in direction mode (which way did it move?).
+function validateSettings(candidate, mode = null) {
+  const errors = [];
+  for (const field of SETTINGS_FIELDS) errors.push(...validateSettingField(field, candidate[field.key]));
+  if (errors.length > 0) return errors;
+
+  const minKnobs = mode === "direction" ? 1 : 2;
+  if (new Set(candidate.ENABLED_KNOBS).size < minKnobs) {
+    errors.push(`${SETTINGS_FIELD_BY_KEY.ENABLED_KNOBS.label}: pick at least ${minKnobs} knobs.`);
+  }
+
+  for (const [lo, hi] of SETTINGS_ORDERED_PAIRS) {
+    if (!(candidate[lo] < candidate[hi])) {
+      errors.push(`${SETTINGS_FIELD_BY_KEY[lo].label} must be less than ${SETTINGS_FIELD_BY_KEY[hi].label}.`);
+    }
+  }
+
+  for (const key of ["CUTOFF_CHANGE_MULTIPLIERS", "DECAY_CHANGE_MULTIPLIERS"]) {
+    if (candidate[key].some((m) => nearEqual(m, 1, 1e-3))) {
+      errors.push(`${SETTINGS_FIELD_BY_KEY[key].label}: a multiplier of 1 would not move the knob.`);
+    }
+  }
+  if (
+    candidate.RESONANCE_BASE_Q_MIN < candidate.RESONANCE_Q_MIN ||
+    candidate.RESONANCE_BASE_Q_MAX > candidate.RESONANCE_Q_MAX
+  ) {
+    errors.push("Resonance base range must sit inside the resonance limits.");
+  }
+  if (candidate.DECAY_BASE_MS_MIN < candidate.DECAY_MS_MIN || candidate.DECAY_BASE_MS_MAX > candidate.DECAY_MS_MAX) {
+    errors.push("Decay base range must sit inside the decay limits.");
+  }
+  // Every voice needs a real choice of knobs, and every knob needs a voice that plays it.
+  for (const id of candidate.VOICES) {
+    const voice = VOICE_BY_ID[id];
+    if (candidate.ENABLED_KNOBS.filter((k) => voice.knobs.includes(k)).length < minKnobs) {
+      errors.push(`${voice.label} plays fewer than ${minKnobs} of the knobs in play.`);
+    }
+  }
+  // The highest note a game can play: the top root, transposed by the highest step of any pattern in play.
+  const topSemitones = Math.max(
+    ...candidate.PATTERNS.flatMap((id) => PATTERN_BY_ID[id].steps.filter(Boolean).map((step) => step.semitones)),
+  );
+  const topNoteHz = Math.max(...candidate.NOTE_FREQUENCIES_HZ) * Math.pow(2, topSemitones / 12);
+  for (const id of candidate.VOICES) {
+    const voice = VOICE_BY_ID[id];
+    if (voice.maxNoteHz !== undefined && topNoteHz > voice.maxNoteHz + 1e-6) {
+      errors.push(
+        `${voice.label} plays up to ${Math.floor(voice.maxNoteHz)}Hz, but the root pitches and patterns reach ` +
+          `${Math.round(topNoteHz)}Hz.`,
+      );
+    }
+  }
+  for (const id of candidate.ENABLED_KNOBS) {
+    if (!candidate.VOICES.some((v) => VOICE_BY_ID[v].knobs.includes(id))) {
+      errors.push(`No voice in play uses ${KNOB_BY_ID[id].label}.`);
+    }
+  }
+  if (candidate.ROUNDS_PER_GAME < candidate.ENABLED_KNOBS.length) {
+    errors.push("Rounds per game must be at least the number of knobs in play.");
+  }
+  return errors;
+}
+
+function settingsGroupKeys(group) {
+  return SETTINGS_SCHEMA.filter((g) => g.group === group)
+    .flatMap((g) => g.fields)
+    .map((f) => f.key);
+}
+
+// Someone else's settings (an online room's host, a lesson stage) with the player's own Display settings, so
+// only the game changes and not how their screen looks.
+function withOwnDisplaySettings(overrides, ownOverrides) {
+  const display = settingsGroupKeys("Display");
+  const merged = {};
+  for (const key of Object.keys(overrides)) if (!display.includes(key)) merged[key] = overrides[key];
+  for (const key of display) if (ownOverrides[key] !== undefined) merged[key] = ownOverrides[key];
+  return merged;
+}
+
+// Schema keys whose value differs from the defaults.
+function settingsOverrides(values = SETTINGS) {
+  const out = {};
+  for (const field of SETTINGS_FIELDS) {
+    if (JSON.stringify(values[field.key]) !== JSON.stringify(DEFAULT_SETTINGS[field.key])) {
+      out[field.key] = values[field.key];
+    }
+  }
+  return out;
+}
+
+// Defaults + schema keys from `overrides`; anything outside the schema is ignored.
+function mergeSettings(overrides) {
+  const merged = JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
+  for (const field of SETTINGS_FIELDS) {
+    if (overrides && overrides[field.key] !== undefined) merged[field.key] = overrides[field.key];
+  }
+  return merged;
+}
+
+// Validates (for `mode`, as validateSettings), then writes into SETTINGS. Throws with every problem listed.
+function applySettings(overrides, mode = null) {
+  const merged = mergeSettings(overrides);
+  const errors = validateSettings(merged, mode);
+  if (errors.length > 0) throw new Error(errors.join("\n"));
+  for (const field of SETTINGS_FIELDS) SETTINGS[field.key] = merged[field.key];
+  return merged;
+}
+
+// URL-safe base64 of the overrides JSON.
+function encodeSettings(overrides) {
+  return btoa(JSON.stringify(overrides)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function decodeSettings(text) {
+  const b64 = String(text).replace(/-/g, "+").replace(/_/g, "/");
+  let data = null;
+  try {
+    data = JSON.parse(atob(b64 + "===".slice((b64.length + 3) % 4)));
+  } catch (_error) {
+    data = null;
+  }
+  if (!data || typeof data !== "object" || Array.isArray(data)) throw new Error("Bad settings link.");
+  return data;
+}
+
+// Lessons: a curriculum is a list of stages, each a solo game with its own knobs, change sizes and pass mark.
+// A stage unlocks once the one before it is passed. Stage fields:
+//   id, title, description    id keys the saved progress, so keep it when editing a stage
+//   mode                      "classic" (default), "multi", "direction" or "match"
+//   knobs, rounds             ENABLED_KNOBS (one is enough in direction mode) and ROUNDS_PER_GAME
+//   settings                  any other settings overrides, by key (the change sizes: CUTOFF_CHANGE_MULTIPLIERS,
+//                             RESONANCE_CHANGE_DELTA_Q, DECAY_CHANGE_MULTIPLIERS...)
+//   pass                      share of the best possible score needed to pass (0.8 = 80%)
+// Teachers load their own as JSON files of the same shape.
+const LESSON_MODES = ["classic", "multi", "direction", "match"];
+
+const DEFAULT_CURRICULUM = {
+  id: "bullfrog-basics",
+  title: "Bullfrog basics",
+  description: "From one knob moved a long way to all three moved a little.",
+  stages: [
+    {
+      id: "cutoff-big",
+      title: "Cutoff only, big changes",
+      description: "Only the cutoff moves, a long way: did the sound get brighter or darker?",
+      mode: "direction",
+      knobs: ["cutoff"],
+      rounds: 6,
+      settings: { CUTOFF_CHANGE_MULTIPLIERS: [3.5, 0.28] },
+      // Naming the only knob is worth half a round, so passing takes the direction right 5 times in 6.
+      pass: 0.9,
+    },
+    {
+      id: "cutoff-decay-big",
+      title: "Cutoff vs Decay, big changes",
+      description: "Brighter or darker, or longer or shorter notes? The knobs move a long way.",
+      knobs: ["cutoff", "decay"],
+      rounds: 6,
+      settings: { CUTOFF_CHANGE_MULTIPLIERS: [3.5, 0.28], DECAY_CHANGE_MULTIPLIERS: [2.4, 0.4] },
+      pass: 0.8,
+    },
+    {
+      id: "cutoff-decay",
+      title: "Cutoff vs Decay",
+      description: "The same two knobs at their usual change sizes.",
+      knobs: ["cutoff", "decay"],
+      rounds: 8,
+      pass: 0.8,
+    },
+    {
+      id: "cutoff-resonance",
+      title: "Cutoff vs Resonance",
+      description: "Both change the tone: resonance rings at the cutoff, cutoff moves the whole sound.",
+      knobs: ["cutoff", "resonance"],
+      rounds: 8,
+      pass: 0.8,
+    },
+    {
+      id: "all-three",
+      title: "All three",
+      description: "Cutoff, resonance or decay.",
+      knobs: ["cutoff", "resonance", "decay"],
+      rounds: 10,
+      pass: 0.8,
+    },
+    {
+      id: "which-way",
+      title: "Which way?",
+      description: "Name the knob and whether it went up or down.",
+      mode: "direction",
+      knobs: ["cutoff", "resonance", "decay"],
+      rounds: 10,
+      pass: 0.7,
+    },
+    {
+      id: "all-three-small",
+      title: "All three, small changes",
+      description: "The knobs barely move. Listen to A and B as often as you need.",
+      knobs: ["cutoff", "resonance", "decay"],
+      rounds: 10,
+      settings: {
+        CUTOFF_CHANGE_MULTIPLIERS: [1.6, 0.62],
+        RESONANCE_CHANGE_DELTA_Q: 1.2,
+        DECAY_CHANGE_MULTIPLIERS: [1.3, 0.77],
+      },
+      pass: 0.7,
+    },
+    {
+      id: "match",
+      title: "Match the patch",
+      description: "Turn the knobs until your patch sounds like the target.",
+      mode: "match",
+      knobs: ["cutoff", "resonance", "decay"],
+      rounds: 5,
+      pass: 0.6,
+    },
+  ],
+};
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function trimmedText(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+// Curriculum JSON (already parsed) -> { id, title, description, stages: [{ id, title, description, mode,
+// overrides, pass }] }. Throws with every problem listed, each stage checked like the settings form.
+function parseCurriculum(data) {
+  if (!isPlainObject(data)) throw new Error("A curriculum must be a JSON object.");
+  const errors = [];
+  const curriculum = {
+    id: trimmedText(data.id),
+    title: trimmedText(data.title),
+    description: trimmedText(data.description),
+    stages: [],
+  };
+  if (!curriculum.id) errors.push('The curriculum needs an "id".');
+  if (!curriculum.title) errors.push('The curriculum needs a "title".');
+  if (!Array.isArray(data.stages) || data.stages.length === 0) errors.push('"stages" must be a non-empty list.');
+
+  const ids = new Set();
+  (Array.isArray(data.stages) ? data.stages : []).forEach((raw, i) => {
+    const where = `Stage ${i + 1}`;
+    if (!isPlainObject(raw)) {
+      errors.push(`${where}: must be an object.`);
+      return;
+    }
+    const stage = {
+      id: trimmedText(raw.id),
+      title: trimmedText(raw.title),
+      description: trimmedText(raw.description),
+      mode: raw.mode === undefined ? "classic" : raw.mode,
+      overrides: isPlainObject(raw.settings) ? { ...raw.settings } : {},
+      pass: raw.pass,
+    };
+    if (!stage.id) errors.push(`${where}: needs an "id".`);
+    else if (ids.has(stage.id)) errors.push(`${where}: the id "${stage.id}" is already used.`);
+    ids.add(stage.id);
+    if (!stage.title) errors.push(`${where}: needs a "title".`);
+    if (!LESSON_MODES.includes(stage.mode)) errors.push(`${where}: "mode" must be one of ${LESSON_MODES.join(", ")}.`);
+    if (!(typeof stage.pass === "number" && stage.pass > 0 && stage.pass <= 1)) {
+      errors.push(`${where}: "pass" must be a share of the best score, above 0 and at most 1.`);
+    }
+    if (raw.settings !== undefined && !isPlainObject(raw.settings)) {
+      errors.push(`${where}: "settings" must be an object.`);
+    }
+    if (raw.knobs !== undefined) stage.overrides.ENABLED_KNOBS = raw.knobs;
+    if (raw.rounds !== undefined) stage.overrides.ROUNDS_PER_GAME = raw.rounds;
+    const unknown = Object.keys(stage.overrides).filter((key) => !SETTINGS_FIELD_BY_KEY[key]);
+    if (unknown.length > 0) {
+      errors.push(`${where}: unknown settings ${unknown.join(", ")}.`);
+    } else {
+      const merged = mergeSettings(stage.overrides);
+      for (const error of validateSettings(merged, stage.mode)) errors.push(`${where}: ${error}`);
+    }
+    curriculum.stages.push(stage);
+  });
+
+  if (errors.length > 0) throw new Error(errors.join("\n"));
+  return curriculum;
+}
+
+// Progress: { [curriculum id]: { [stage id]: { best, plays, passed } } }, best as a share of the top score.
+// Per stage: { unlocked, passed, best (null before the first play), plays }.
+function stageStatuses(curriculum, progress) {
+  const done = (progress && progress[curriculum.id]) || {};
+  let unlocked = true;
+  return curriculum.stages.map((stage) => {
+    const record = done[stage.id];
+    const status = {
+      unlocked,
+      passed: Boolean(record && record.passed),
+      best: record ? record.best : null,
+      plays: record ? record.plays : 0,
+    };
+    unlocked = status.passed;
+    return status;
+  });
+}
+
+// A finished stage game scored `share` of the best possible score. Returns { progress, passed, firstPass };
+// the progress passed in is left alone.
+function recordStageResult(progress, curriculumId, stage, share) {
+  const done = { ...((progress && progress[curriculumId]) || {}) };
+  const before = done[stage.id] || { best: 0, plays: 0, passed: false };
+  const passed = share >= stage.pass - 1e-9;
+  done[stage.id] = { best: Math.max(before.best, share), plays: before.plays + 1, passed: before.passed || passed };
+  return { progress: { ...progress, [curriculumId]: done }, passed, firstPass: passed && !before.passed };
+}
+
+// Review queue items: { id, mode, round, ease, reps, intervalDays, due (ISO), lapses, addedAt (ISO) }. mode is
+// how the round was answered ("classic", "multi", "direction" or "match"); round is the whole round as
+// played, so a review hears exactly the takes that were missed.
+const REVIEW_MODES = ["classic", "multi", "direction", "match"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Game mode -> how its rounds are answered. Blitz, adaptive and lesson rounds are one-knob questions.
+function reviewMode(mode) {
+  return REVIEW_MODES.includes(mode) ? mode : "classic";
+}
+
+// SM-2 grade (0..5) for a result: 5 for a right answer, otherwise 0..2 by the partial credit.
+function reviewGrade(result) {
+  return result.isCorrect ? 5 : Math.round(clamp(result.credit, 0, 1) * 2);
+}
+
+function isReviewItem(item) {
+  if (!isPlainObject(item) || typeof item.id !== "string" || !REVIEW_MODES.includes(item.mode)) return false;
+  if (!["ease", "reps", "intervalDays", "lapses"].every((key) => Number.isFinite(item[key]))) return false;
+  const round = item.round;
+  if (!isPlainObject(round) || !isPlainObject(round.takeA) || !isPlainObject(round.takeB)) return false;
+  if (!Array.isArray(round.knobIds) || !Array.isArray(round.changedKnobs)) return false;
+  const known = [...round.knobIds, ...round.changedKnobs].every((id) => KNOB_BY_ID[id]);
+  return known && Boolean(VOICE_BY_ID[round.voice] && FILTER_BY_ID[round.filter] && PATTERN_BY_ID[round.pattern]);
+}
+
+// Stored queue with anything malformed (or naming an unknown knob, voice, filter or pattern) dropped.
+function sanitizeReviewQueue(data) {
+  if (!Array.isArray(data)) return [];
+  return data.filter((item) => isReviewItem(item) && Number.isFinite(Date.parse(item.due)));
+}
+
+// Schedules the next review after a grade; returns null once the round is learned.
+function scheduleReview(item, grade, now = new Date()) {
+  const passed = grade >= 3;
+  const reps = passed ? item.reps + 1 : 0;
+  if (reps >= SETTINGS.REVIEW_GRADUATE_REPS) return null;
+  const [first, second] = SETTINGS.REVIEW_FIRST_INTERVALS_DAYS;
+  let intervalDays = first;
+  if (reps === 2) intervalDays = second;
+  else if (reps > 2) intervalDays = Math.round(item.intervalDays * item.ease);
+  const ease = Math.max(SETTINGS.REVIEW_MIN_EASE, item.ease + 0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02));
+  return {
+    ...item,
+    ease,
+    reps,
+    intervalDays,
+    due: new Date(now.getTime() + intervalDays * DAY_MS).toISOString(),
+    lapses: item.lapses + (passed ? 0 : 1),
+  };
+}
+
+// A round missed in a normal game joins the queue, due at once; missed again, it starts over. The oldest
+// rounds make way past REVIEW_QUEUE_SIZE. Returns a new queue.
+function addMissedRound(queue, id, mode, round, now = new Date()) {
+  const existing = queue.find((item) => item.id === id);
+  if (existing) {
+    // Harder from now on, as any miss, but due at once and moved to the newest end of the queue.
+    const again = { ...scheduleReview(existing, 0, now), intervalDays: 0, due: now.toISOString() };
+    return queue.filter((item) => item !== existing).concat([again]);
+  }
+  const { answerOrder, ...played } = round;
+  const item = {
+    id,
+    mode: reviewMode(mode),
+    round: JSON.parse(JSON.stringify(played)),
+    ease: SETTINGS.REVIEW_START_EASE,
+    reps: 0,
+    intervalDays: 0,
+    due: now.toISOString(),
+    lapses: 0,
+    addedAt: now.toISOString(),
+  };
+  const all = queue.concat([item]);
+  return all.slice(Math.max(0, all.length - SETTINGS.REVIEW_QUEUE_SIZE));
+}
+
+// A reviewed round's grade: rescheduled, or dropped once learned. Returns { queue, learned }.
+function recordReview(queue, id, grade, now = new Date()) {
+  const item = queue.find((i) => i.id === id);
+  if (!item) return { queue, learned: false };
+  const next = scheduleReview(item, grade, now);
+  return {
+    queue: next ? queue.map((i) => (i === item ? next : i)) : queue.filter((i) => i !== item),
+    learned: next === null,
+  };
+}
+
+// Items due by `now`, most overdue first.
+function dueReviews(queue, now = new Date()) {
+  return queue
+    .filter((item) => Date.parse(item.due) <= now.getTime())
+    .sort((a, b) => Date.parse(a.due) - Date.parse(b.due));
+}
+
+// One review session: due rounds answered the same way as the most overdue one, at most `count`, as rounds
+// numbered for a game (each keeps its queue id as reviewId). { mode, rounds }, or null when nothing is due.
+function buildReviewSession(queue, count = SETTINGS.ROUNDS_PER_GAME, now = new Date()) {
+  const due = dueReviews(queue, now);
+  if (due.length === 0) return null;
+  const mode = due[0].mode;
+  const items = due.filter((item) => item.mode === mode).slice(0, count);
+  const rounds = items.map((item, index) => ({ ...JSON.parse(JSON.stringify(item.round)), index, reviewId: item.id }));
+  return { mode, rounds };
+}
+
+// Node (tests): the browser just sees the globals above.
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    SETTINGS,
+    DEFAULT_SETTINGS,
+    KNOBS,
+    KNOB_BY_ID,
+    VOICES,
+    VOICE_BY_ID,
+    FILTERS,
+    FILTER_BY_ID,
+    PATTERNS,
+    PATTERN_BY_ID,
+    PARAM_EPS,
+    PHASE_A,
+    PHASE_GAP,
+    PHASE_B,
+    PHASE_ANSWER,
+    PHASE_PAUSED,
+    TRANSPORT_LOOP,
+    TRANSPORT_A,
+    TRANSPORT_B,
+    TRANSPORT_SWITCH,
+    clamp,
+    createRng,
+    deriveSeed,
+    randomSeed,
+    encodeChallengeCode,
+    decodeChallengeCode,
+    randFloat,
+    randLogFloat,
+    randLogFloatSkew,
+    pick,
+    shuffle,
+    nearEqual,
+    activeKnobs,
+    formatKnob,
+    DIRECTION_ARROWS,
+    formatKnobDirection,
+    msToSec,
+    registerKnob,
+    changeByMultiplier,
+    formatPercentSize,
+    registerVoice,
+    createOsc,
+    pulseWave,
+    createNoise,
+    enabledVoices,
+    voiceKnobs,
+    gameKnobs,
+    pickOption,
+    pickGameVoice,
+    voiceForRound,
+    registerFilter,
+    filterOf,
+    filterRanges,
+    createBiquad,
+    chainNodes,
+    biquadStack,
+    biquadRanges,
+    enabledFilters,
+    pickGameFilter,
+    filterForRound,
+    resolveVoice,
+    registerPattern,
+    enabledPatterns,
+    pickGamePattern,
+    patternForRound,
+    patternOf,
+    stepSeconds,
+    takeSeconds,
+    takeNotes,
+    connectLimited,
+    createAudioEngine,
+    scheduleTakeFade,
+    scheduleVoice,
+    playTake,
+    roundTimings,
+    playRound,
+    cycleTimeline,
+    phaseForSide,
+    takeLabel,
+    describePhase,
+    roundDurationSeconds,
+    renderOffline,
+    renderRound,
+    renderGame,
+    encodeWav,
+    audioBufferToWav,
+    fft,
+    analyzeTake,
+    summarizeAnalysis,
+    analyzeRound,
+    backingBus,
+    backingLoop,
+    BACKING_DRUMS,
+    scheduleBackingHit,
+    playBacking,
+    kWeightingFilters,
+    measureLoudness,
+    levelMatchGains,
+    measureRoundLevels,
+    pickInRange,
+    generateRound,
+    generateMultiRounds,
+    minRoundsPerKnob,
+    generateRounds,
+    validateRound,
+    validateRounds,
+    scoreAnswer,
+    knobToNorm,
+    normToKnob,
+    scoreMatch,
+    isKnobMatched,
+    estimateClockOffset,
+    parsePlayerNames,
+    buzzKeyMap,
+    partyStandings,
+    blitzCredit,
+    parseMidiMessage,
+    formatMidiNote,
+    defaultMidiBindings,
+    sanitizeMidiBindings,
+    learnMidiBinding,
+    midiAction,
+    connectMidi,
+    createStaircase,
+    updateStaircase,
+    staircaseThreshold,
+    createAdaptiveState,
+    generateAdaptiveRound,
+    adaptiveIsDone,
+    HISTORY_FORMAT,
+    HISTORY_VERSION,
+    isGameRecord,
+    buildGameRecord,
+    mergeHistory,
+    serializeHistory,
+    parseHistoryJson,
+    leaderboardKey,
+    buildLeaderboardEntry,
+    compareLeaderboardEntries,
+    addLeaderboardEntry,
+    computeStats,
+    formatAccuracy,
+    formatAvgResponse,
+    SETTINGS_SCHEMA,
+    SETTINGS_ID_TYPES,
+    SETTINGS_FIELDS,
+    SETTINGS_FIELD_BY_KEY,
+    SETTINGS_ORDERED_PAIRS,
+    validateSettingField,
+    validateSettings,
+    settingsGroupKeys,
+    withOwnDisplaySettings,
+    settingsOverrides,
+    mergeSettings,
+    applySettings,
+    encodeSettings,
+    decodeSettings,
+    LESSON_MODES,
+    DEFAULT_CURRICULUM,
+    parseCurriculum,
+    stageStatuses,
+    recordStageResult,
+    REVIEW_MODES,
+    reviewMode,
+    reviewGrade,
+    sanitizeReviewQueue,
+    scheduleReview,
+    addMissedRound,
+    recordReview,
+    dueReviews,
+    buildReviewSession,
+  };
+}
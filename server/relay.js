@@ -0,0 +1,457 @@
+"use strict";
+
+/* Bullfrog LAN relay
+ *
+ * Serves the game and runs rooms over WebSocket, so players on their own machines answer the same rounds.
+ * Node 20 or newer, no dependencies:
+ *
+ *   node server/relay.js [port]
+ *
+ * Everyone opens http://<this machine>:<port>/ and joins a room from "Play online".
+ *
+ * Protocol: JSON text messages over ws://<host>:<port>/relay.
+ *   client -> relay
+ *     { type: "time", clientSent }                      clock sync ping
+ *     { type: "join", room, name }
+ *     { type: "start", seed, rounds, overrides }        host only, from the lobby
+ *     { type: "answer", index, knobId, isCorrect, credit, responseMs }
+ *   relay -> client
+ *     { type: "time", clientSent, serverTime }
+ *     { type: "joined", room, playerId }
+ *     { type: "players", hostId, players: [{ id, name }] }
+ *     { type: "game", seed, rounds, overrides }
+ *     { type: "round", index, startAt }                 startAt: relay clock (ms), Take A's first onset
+ *     { type: "scoreboard", index, players: [{ id, name, score, answered, isCorrect, responseMs }] }
+ *     { type: "over", players }                         final scoreboard; the room is back in its lobby
+ *     { type: "error", message }
+ *
+ * Clients score their own answers (they build the rounds from the seed); the relay only adds them up.
+ */
+
+const crypto = require("node:crypto");
+const fs = require("node:fs");
+const http = require("node:http");
+const os = require("node:os");
+const path = require("node:path");
+
+const RELAY_SETTINGS = {
+  PORT: 8080,
+  PATH: "/relay",
+  STATIC_ROOT: path.join(__dirname, ".."),
+  // The first round starts this long after "start", later rounds this long after the previous one ends,
+  // so every client has the message (and the feedback has been read) before Take A.
+  START_DELAY_MS: 2000,
+  NEXT_ROUND_DELAY_MS: 2500,
+  // A round moves on without the players who have not answered by then.
+  ROUND_TIMEOUT_MS: 120000,
+  MAX_PLAYERS_PER_ROOM: 16,
+  MAX_NAME_LENGTH: 24,
+  MAX_ROOM_LENGTH: 32,
+  MAX_ROUNDS: 100,
+  MAX_MESSAGE_BYTES: 64 * 1024,
+};
+
+// (1) WebSocket framing (RFC 6455): single-frame text messages, ping/pong and close.
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const OPCODE_TEXT = 0x1;
+const OPCODE_CLOSE = 0x8;
+const OPCODE_PING = 0x9;
+const OPCODE_PONG = 0xa;
+
+function acceptKey(key) {
+  return crypto
+    .createHash("sha1")
+    .update(key + WS_GUID)
+    .digest("base64");
+}
+
+// One final frame. The relay sends unmasked frames; clients mask theirs with a 4-byte `mask`.
+function encodeFrame(opcode, payload, mask = null) {
+  const length = payload.length;
+  const extended = length < 126 ? 0 : length < 0x10000 ? 2 : 8;
+  const frame = Buffer.alloc(2 + extended + (mask ? 4 : 0) + length);
+  frame[0] = 0x80 | opcode;
+  let offset = 2;
+  if (extended === 0) {
+    frame[1] = length;
+  } else if (extended === 2) {
+    frame[1] = 126;
+    frame.writeUInt16BE(length, 2);
+    offset += 2;
+  } else {
+    frame[1] = 127;
+    frame.writeBigUInt64BE(BigInt(length), 2);
+    offset += 8;
+  }
+  if (!mask) {
+    payload.copy(frame, offset);
+    return frame;
+  }
+  frame[1] |= 0x80;
+  mask.copy(frame, offset);
+  offset += 4;
+  for (let i = 0; i < length; i += 1) frame[offset + i] = payload[i] ^ mask[i % 4];
+  return frame;
+}
+
+// Splits the complete frames off the front of `buffer`: { frames: [{ fin, opcode, payload }], rest }.
+// Throws when a frame claims more than maxBytes.
+function decodeFrames(buffer, maxBytes = RELAY_SETTINGS.MAX_MESSAGE_BYTES) {
+  const frames = [];
+  let offset = 0;
+  while (buffer.length - offset >= 2) {
+    const first = buffer[offset];
+    const second = buffer[offset + 1];
+    let length = second & 0x7f;
+    let header = 2;
+    if (length === 126) {
+      if (buffer.length - offset < 4) break;
+      length = buffer.readUInt16BE(offset + 2);
+      header = 4;
+    } else if (length === 127) {
+      if (buffer.length - offset < 10) break;
+      length = Number(buffer.readBigUInt64BE(offset + 2));
+      header = 10;
+    }
+    if (length > maxBytes) throw new Error(`Frame of ${length} bytes is over the ${maxBytes} byte limit.`);
+
+    const masked = (second & 0x80) !== 0;
+    const start = offset + header + (masked ? 4 : 0);
+    if (buffer.length < start + length) break;
+    const payload = Buffer.from(buffer.subarray(start, start + length));
+    if (masked) {
+      const mask = buffer.subarray(offset + header, offset + header + 4);
+      for (let i = 0; i < length; i += 1) payload[i] ^= mask[i % 4];
+    }
+    frames.push({ fin: (first & 0x80) !== 0, opcode: first & 0x0f, payload });
+    offset = start + length;
+  }
+  return { frames, rest: buffer.subarray(offset) };
+}
+
+// A WebSocket on an upgraded socket. onMessage gets each text message; onClose runs once.
+// Fragmented messages are not needed by the game and close the connection.
+function createConnection(socket, { onMessage, onClose, maxBytes = RELAY_SETTINGS.MAX_MESSAGE_BYTES }) {
+  let buffer = Buffer.alloc(0);
+  let closed = false;
+
+  const finish = () => {
+    if (closed) return false;
+    closed = true;
+    onClose();
+    return true;
+  };
+
+  const conn = {
+    send(message) {
+      if (!closed) socket.write(encodeFrame(OPCODE_TEXT, Buffer.from(JSON.stringify(message))));
+    },
+    close(code = 1000) {
+      if (!finish()) return;
+      const payload = Buffer.alloc(2);
+      payload.writeUInt16BE(code, 0);
+      socket.end(encodeFrame(OPCODE_CLOSE, payload));
+    },
+  };
+
+  socket.on("data", (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    let decoded = null;
+    try {
+      decoded = decodeFrames(buffer, maxBytes);
+    } catch (_error) {
+      conn.close(1009);
+      return;
+    }
+    buffer = decoded.rest;
+    for (const frame of decoded.frames) {
+      if (closed) return;
+      if (frame.opcode === OPCODE_TEXT && frame.fin) onMessage(frame.payload.toString("utf8"));
+      else if (frame.opcode === OPCODE_PING) socket.write(encodeFrame(OPCODE_PONG, frame.payload));
+      else if (frame.opcode === OPCODE_CLOSE) conn.close();
+      else if (frame.opcode !== OPCODE_PONG) conn.close(1003);
+    }
+  });
+  // Upgraded sockets are half-open by default: close our side once the client has closed theirs.
+  socket.on("end", () => socket.end());
+  socket.on("close", finish);
+  socket.on("error", () => socket.destroy());
+  return conn;
+}
+
+// (2) Rooms: a lobby until the host starts, then one round at a time until the last one is scored.
+function createRelay(options = {}) {
+  const settings = { ...RELAY_SETTINGS, ...options };
+  const now = options.now || Date.now;
+  // { [room key]: { name, players: [player], hostId, game } }
+  const rooms = new Map();
+  let nextPlayerId = 1;
+
+  function broadcast(room, message) {
+    for (const p of room.players) p.conn.send(message);
+  }
+
+  function sendPlayers(room) {
+    broadcast(room, {
+      type: "players",
+      hostId: room.hostId,
+      players: room.players.map((p) => ({ id: p.id, name: p.name })),
+    });
+  }
+
+  function scoreboard(room) {
+    return room.players.map((p) => ({
+      id: p.id,
+      name: p.name,
+      score: p.score,
+      answered: p.answer !== null,
+      isCorrect: p.answer ? p.answer.isCorrect : null,
+      responseMs: p.answer ? p.answer.responseMs : null,
+    }));
+  }
+
+  function cleanText(value, max) {
+    return typeof value === "string" ? value.trim().slice(0, max) : "";
+  }
+
+  function join(player, message) {
+    if (player.room) throw new Error("Already in a room.");
+    const roomName = cleanText(message.room, settings.MAX_ROOM_LENGTH);
+    const name = cleanText(message.name, settings.MAX_NAME_LENGTH);
+    if (!roomName || !name) throw new Error("Give a room and a name.");
+
+    const key = roomName.toLowerCase();
+    let room = rooms.get(key);
+    if (!room) {
+      room = { name: roomName, players: [], hostId: player.id, game: null };
+      rooms.set(key, room);
+    }
+    if (room.game) throw new Error(`Room "${room.name}" is in the middle of a game.`);
+    if (room.players.length >= settings.MAX_PLAYERS_PER_ROOM) throw new Error(`Room "${room.name}" is full.`);
+    if (room.players.some((p) => p.name.toLowerCase() === name.toLowerCase())) {
+      throw new Error(`Someone in "${room.name}" is already called ${name}.`);
+    }
+
+    player.name = name;
+    player.room = room;
+    room.players.push(player);
+    player.conn.send({ type: "joined", room: room.name, playerId: player.id });
+    sendPlayers(room);
+  }
+
+  function start(player, message) {
+    const room = player.room;
+    if (!room) throw new Error("Join a room first.");
+    if (room.hostId !== player.id) throw new Error("Only the host can start the game.");
+    if (room.game) throw new Error("The game has already started.");
+    const rounds = message.rounds;
+    if (!Number.isInteger(rounds) || rounds < 1 || rounds > settings.MAX_ROUNDS) throw new Error("Bad round count.");
+    if (!Number.isInteger(message.seed) || message.seed < 0 || message.seed > 0xffffffff) throw new Error("Bad seed.");
+    const overrides = message.overrides && typeof message.overrides === "object" ? message.overrides : {};
+
+    room.game = { seed: message.seed, rounds, overrides, index: -1, timer: null };
+    for (const p of room.players) {
+      p.score = 0;
+      p.answer = null;
+    }
+    broadcast(room, { type: "game", seed: room.game.seed, rounds, overrides });
+    startRound(room, 0, settings.START_DELAY_MS);
+  }
+
+  function startRound(room, index, delayMs) {
+    const game = room.game;
+    game.index = index;
+    for (const p of room.players) p.answer = null;
+    const startAt = now() + delayMs;
+    broadcast(room, { type: "round", index, startAt });
+    broadcast(room, { type: "scoreboard", index, players: scoreboard(room) });
+    clearTimeout(game.timer);
+    game.timer = setTimeout(() => endRound(room), delayMs + settings.ROUND_TIMEOUT_MS);
+  }
+
+  function answer(player, message) {
+    const room = player.room;
+    const game = room && room.game;
+    if (!game || message.index !== game.index || player.answer) return;
+    const credit = Number.isFinite(message.credit) ? Math.min(1, Math.max(0, message.credit)) : 0;
+    player.answer = {
+      isCorrect: Boolean(message.isCorrect),
+      responseMs: Number.isFinite(message.responseMs) ? message.responseMs : null,
+    };
+    player.score += credit;
+    broadcast(room, { type: "scoreboard", index: game.index, players: scoreboard(room) });
+    if (room.players.every((p) => p.answer)) endRound(room);
+  }
+
+  function endRound(room) {
+    const game = room.game;
+    if (!game) return;
+    clearTimeout(game.timer);
+    if (game.index + 1 < game.rounds) {
+      startRound(room, game.index + 1, settings.NEXT_ROUND_DELAY_MS);
+      return;
+    }
+    room.game = null;
+    broadcast(room, { type: "over", players: scoreboard(room) });
+  }
+
+  function leave(player) {
+    const room = player.room;
+    if (!room) return;
+    player.room = null;
+    room.players = room.players.filter((p) => p !== player);
+    if (room.players.length === 0) {
+      if (room.game) clearTimeout(room.game.timer);
+      rooms.delete(room.name.toLowerCase());
+      return;
+    }
+    if (room.hostId === player.id) room.hostId = room.players[0].id;
+    sendPlayers(room);
+    if (room.game && room.players.every((p) => p.answer)) endRound(room);
+  }
+
+  function handleMessage(player, text) {
+    let message = null;
+    try {
+      message = JSON.parse(text);
+    } catch (_error) {
+      player.conn.send({ type: "error", message: "Messages must be JSON." });
+      return;
+    }
+    try {
+      if (message.type === "time") {
+        player.conn.send({ type: "time", clientSent: message.clientSent, serverTime: now() });
+      } else if (message.type === "join") {
+        join(player, message);
+      } else if (message.type === "start") {
+        start(player, message);
+      } else if (message.type === "answer") {
+        answer(player, message);
+      } else {
+        throw new Error(`Unknown message type "${message.type}".`);
+      }
+    } catch (error) {
+      player.conn.send({ type: "error", message: error.message });
+    }
+  }
+
+  return {
+    rooms,
+    // Takes over an upgraded socket.
+    connect(socket) {
+      const player = { id: nextPlayerId, name: "", room: null, score: 0, answer: null, conn: null };
+      nextPlayerId += 1;
+      player.conn = createConnection(socket, {
+        onMessage: (text) => handleMessage(player, text),
+        onClose: () => leave(player),
+        maxBytes: settings.MAX_MESSAGE_BYTES,
+      });
+      return player;
+    },
+    close() {
+      for (const room of rooms.values()) {
+        if (room.game) clearTimeout(room.game.timer);
+        for (const p of room.players) p.conn.close(1001);
+      }
+      rooms.clear();
+    },
+  };
+}
+
+// (3) HTTP: the game's own files from STATIC_ROOT, and the relay on PATH.
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".ttf": "font/ttf",
+  ".json": "application/json",
+  ".webmanifest": "application/manifest+json",
+  ".png": "image/png",
+};
+
+// Absolute path of a servable file for a URL path, or null (unknown type, dotfile, or outside the root).
+function staticFilePath(root, urlPath) {
+  let decoded = "";
+  try {
+    decoded = decodeURIComponent(urlPath.split("?")[0]);
+  } catch (_error) {
+    return null;
+  }
+  const relative = decoded === "/" ? "index.html" : decoded.replace(/^\/+/, "");
+  if (relative.split("/").some((part) => part.startsWith("."))) return null;
+  const file = path.resolve(root, relative);
+  if (!file.startsWith(path.resolve(root) + path.sep)) return null;
+  return CONTENT_TYPES[path.extname(file)] ? file : null;
+}
+
+function createRelayServer(options = {}) {
+  const settings = { ...RELAY_SETTINGS, ...options };
+  const relay = createRelay(settings);
+
+  const server = http.createServer((req, res) => {
+    const file = req.method === "GET" ? staticFilePath(settings.STATIC_ROOT, req.url) : null;
+    if (!file) {
+      res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" });
+      res.end("Not found\n");
+      return;
+    }
+    fs.readFile(file, (error, data) => {
+      if (error) {
+        res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" });
+        res.end("Not found\n");
+        return;
+      }
+      res.writeHead(200, { "Content-Type": CONTENT_TYPES[path.extname(file)], "Cache-Control": "no-cache" });
+      res.end(data);
+    });
+  });
+
+  server.on("upgrade", (req, socket) => {
+    const key = req.headers["sec-websocket-key"];
+    const isWebSocket = String(req.headers.upgrade || "").toLowerCase() === "websocket";
+    if (req.url.split("?")[0] !== settings.PATH || !isWebSocket || !key) {
+      socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+      return;
+    }
+    socket.write(
+      "HTTP/1.1 101 Switching Protocols\r\n" +
+        "Upgrade: websocket\r\n" +
+        "Connection: Upgrade\r\n" +
+        `Sec-WebSocket-Accept: ${acceptKey(key)}\r\n\r\n`,
+    );
+    socket.setNoDelay(true);
+    relay.connect(socket);
+  });
+
+  server.on("close", () => relay.close());
+  server.relay = relay;
+  return server;
+}
+
+function lanAddresses() {
+  return Object.values(os.networkInterfaces())
+    .flat()
+    .filter((a) => a && a.family === "IPv4" && !a.internal)
+    .map((a) => a.address);
+}
+
+if (require.main === module) {
+  const port = Number(process.argv[2] || process.env.PORT || RELAY_SETTINGS.PORT);
+  const server = createRelayServer();
+  server.listen(port, () => {
+    console.log("[Bullfrog relay] listening on port %d", port);
+    for (const host of ["localhost"].concat(lanAddresses())) console.log("  http://%s:%d/", host, port);
+  });
+}
+
+module.exports = {
+  RELAY_SETTINGS,
+  acceptKey,
+  encodeFrame,
+  decodeFrames,
+  createConnection,
+  createRelay,
+  staticFilePath,
+  createRelayServer,
+};
@@ -0,0 +1,65 @@
+"use strict";
+
+/* Bullfrog service worker
+ *
+ * Precaches the game so it installs and runs offline, and serves it cache-first. The cache is named after
+ * PRECACHE_HASH, a hash of the precached files that `node --test` checks (it prints the new value when a file
+ * changed). Updating it changes this file, so browsers install the new worker, which downloads fresh copies
+ * (past the HTTP cache) into a new cache. The new worker waits until no page runs the old files, then takes
+ * over and deletes the old caches, so a page never mixes files from two versions.
+ */
+
+const PRECACHE_HASH = "9e80be8e75c0";
+const CACHE_PREFIX = "bullfrog-";
+const CACHE_NAME = `${CACHE_PREFIX}${PRECACHE_HASH}`;
+const PRECACHE = [
+  "./",
+  "index.html",
+  "styles.css",
+  "core.js",
+  "app.js",
+  "manifest.webmanifest",
+  "geeky-punks-logo.svg",
+  "Climate-Ice-3.ttf",
+];
+
+function precache() {
+  return caches
+    .open(CACHE_NAME)
+    .then((cache) => cache.addAll(PRECACHE.map((url) => new Request(url, { cache: "reload" }))));
+}
+
+function dropOldCaches() {
+  return caches
+    .keys()
+    .then((keys) =>
+      Promise.all(keys.filter((k) => k.startsWith(CACHE_PREFIX) && k !== CACHE_NAME).map((k) => caches.delete(k))),
+    );
+}
+
+// Same-origin GETs only: the relay's WebSocket and anything cross-origin go straight to the network.
+// Query strings (?challenge=, ?settings=) do not change the files, so they are ignored for the lookup.
+function respond(request) {
+  return caches
+    .open(CACHE_NAME)
+    .then((cache) => cache.match(request, { ignoreSearch: true }))
+    .then((hit) => hit || fetch(request));
+}
+
+if (typeof ServiceWorkerGlobalScope !== "undefined" && self instanceof ServiceWorkerGlobalScope) {
+  self.addEventListener("install", (event) => {
+    event.waitUntil(precache());
+  });
+  self.addEventListener("activate", (event) => {
+    event.waitUntil(dropOldCaches().then(() => self.clients.claim()));
+  });
+  self.addEventListener("fetch", (event) => {
+    const request = event.request;
+    if (request.method !== "GET" || new URL(request.url).origin !== self.location.origin) return;
+    event.respondWith(respond(request));
+  });
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { PRECACHE_HASH, CACHE_NAME, PRECACHE };
+}
@@ -0,0 +1,94 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const core = require("../core.js");
+
+const { SETTINGS } = core;
+const SAMPLE_RATE = 44100;
+
+function sine(freqHz, seconds, amplitude = 1, envelope = () => 1) {
+  const n = Math.round(seconds * SAMPLE_RATE);
+  const out = new Float32Array(n);
+  for (let i = 0; i < n; i += 1) {
+    const t = i / SAMPLE_RATE;
+    out[i] = amplitude * envelope(t) * Math.sin(2 * Math.PI * freqHz * t);
+  }
+  return out;
+}
+
+test("fft: a bin-centred sine lands in its bin", () => {
+  const n = 64;
+  const re = Float64Array.from({ length: n }, (_v, i) => Math.cos((2 * Math.PI * 5 * i) / n));
+  const im = new Float64Array(n);
+  core.fft(re, im);
+  const mags = Array.from(re, (r, k) => Math.hypot(r, im[k]));
+  assert.ok(Math.abs(mags[5] - n / 2) < 1e-9);
+  assert.ok(Math.abs(mags[n - 5] - n / 2) < 1e-9);
+  assert.ok(mags.every((m, k) => k === 5 || k === n - 5 || m < 1e-9));
+});
+
+test("analyzeTake: a sine's centroid sits at its pitch and its level at -3dB", () => {
+  const frames = core.analyzeTake(sine(1000, 0.5), SAMPLE_RATE);
+  const expected = Math.floor((0.5 * SAMPLE_RATE - SETTINGS.ANALYSIS_FRAME_SIZE) / SETTINGS.ANALYSIS_HOP_SIZE) + 1;
+  assert.equal(frames.length, expected);
+  for (const f of frames) {
+    assert.ok(Math.abs(f.centroidHz - 1000) < 60, `centroid ${f.centroidHz}`);
+    assert.ok(Math.abs(f.levelDb + 3.01) < 0.1, `level ${f.levelDb}`);
+  }
+  assert.ok(frames[1].time > frames[0].time);
+});
+
+test("analyzeTake: silence has no centroid and sits on the floor", () => {
+  const frames = core.analyzeTake(new Float32Array(8192), SAMPLE_RATE);
+  assert.ok(frames.every((f) => f.centroidHz === null && f.levelDb === SETTINGS.ANALYSIS_FLOOR_DB));
+});
+
+test("summarizeAnalysis: brighter and longer takes read as such", () => {
+  const dark = core.summarizeAnalysis(core.analyzeTake(sine(400, 0.5), SAMPLE_RATE));
+  const bright = core.summarizeAnalysis(core.analyzeTake(sine(2400, 0.5), SAMPLE_RATE));
+  assert.ok(bright.centroidHz > dark.centroidHz * 4);
+
+  const short = core.analyzeTake(
+    sine(500, 0.5, 1, (t) => Math.exp(-t / 0.05)),
+    SAMPLE_RATE,
+  );
+  const long = core.analyzeTake(
+    sine(500, 0.5, 1, (t) => Math.exp(-t / 0.3)),
+    SAMPLE_RATE,
+  );
+  assert.ok(short.at(-1).levelDb < short[0].levelDb);
+  assert.ok(core.summarizeAnalysis(long).levelDb > core.summarizeAnalysis(short).levelDb);
+  assert.equal(core.summarizeAnalysis([]).centroidHz, null);
+});
+
+test("measureLoudness: a full-scale 1kHz sine reads -3 LUFS at any sample rate", () => {
+  assert.ok(Math.abs(core.measureLoudness(sine(1000, 2), SAMPLE_RATE) + 3.01) < 0.1);
+  const at48k = Float32Array.from({ length: 96000 }, (_, i) => Math.sin((2 * Math.PI * 1000 * i) / 48000));
+  assert.ok(Math.abs(core.measureLoudness(at48k, 48000) + 3.01) < 0.1);
+  // Half the amplitude is 6dB down.
+  assert.ok(Math.abs(core.measureLoudness(sine(1000, 2, 0.5), SAMPLE_RATE) + 9.03) < 0.1);
+  assert.equal(core.measureLoudness(new Float32Array(SAMPLE_RATE), SAMPLE_RATE), -Infinity);
+});
+
+test("measureLoudness: K-weighting hears bass as quieter and presence as louder", () => {
+  const bass = core.measureLoudness(sine(40, 2), SAMPLE_RATE);
+  const mid = core.measureLoudness(sine(1000, 2), SAMPLE_RATE);
+  const presence = core.measureLoudness(sine(4000, 2), SAMPLE_RATE);
+  assert.ok(bass < mid - 1, `${bass} vs ${mid}`);
+  assert.ok(presence > mid + 2, `${presence} vs ${mid}`);
+  // Silent gaps below the gate do not pull a short hit down.
+  const hit = sine(1000, 2, 1, (t) => (t < 0.5 ? 1 : 0));
+  assert.ok(core.measureLoudness(hit, SAMPLE_RATE) > mid - 3);
+});
+
+test("levelMatchGains: the louder take comes down to the quieter one, within the limit", () => {
+  const cut = core.levelMatchGains(-14, -20);
+  assert.ok(Math.abs(20 * Math.log10(cut.a) + 6) < 1e-9);
+  assert.equal(cut.b, 1);
+  assert.deepEqual([cut.aLufs, cut.bLufs], [-14, -20]);
+  assert.equal(core.levelMatchGains(-20, -14).a, 1);
+  const capped = core.levelMatchGains(-50, -10);
+  assert.ok(Math.abs(20 * Math.log10(capped.b) + SETTINGS.LEVEL_MATCH_MAX_DB) < 1e-9);
+  assert.deepEqual(core.levelMatchGains(-20, -Infinity), { a: 1, b: 1, aLufs: -20, bLufs: -Infinity });
+});
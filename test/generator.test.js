@@ -0,0 +1,305 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const core = require("../core.js");
+
+const SEEDS = 3000;
+
+function withSettings(overrides, fn) {
+  core.applySettings(overrides);
+  try {
+    fn();
+  } finally {
+    core.applySettings({});
+  }
+}
+
+// Knob ids whose values differ between the takes.
+function movedKnobs(round) {
+  return core.KNOBS.filter((k) => {
+    const a = round.takeA[k.param];
+    const b = round.takeB[k.param];
+    if (a === undefined && b === undefined) return false;
+    return !core.nearEqual(a, b, k.tolerance);
+  }).map((k) => k.id);
+}
+
+test("createRng is deterministic and stays in [0, 1)", () => {
+  const a = core.createRng(42);
+  const b = core.createRng(42);
+  for (let i = 0; i < 1000; i += 1) {
+    const x = a();
+    assert.equal(x, b());
+    assert.ok(x >= 0 && x < 1);
+  }
+  assert.notEqual(core.createRng(1)(), core.createRng(2)());
+});
+
+test("challenge codes round-trip every seed", () => {
+  for (let i = 0; i < SEEDS; i += 1) {
+    const seed = core.deriveSeed(i, 7);
+    const code = core.encodeChallengeCode(seed);
+    assert.ok(code.length <= 7);
+    assert.equal(core.decodeChallengeCode(code), seed);
+  }
+  assert.equal(core.decodeChallengeCode("not a code!"), null);
+});
+
+test("shuffle keeps every item and does not touch the input", () => {
+  const rng = core.createRng(3);
+  const input = [1, 2, 3, 4, 5, 6];
+  for (let i = 0; i < 200; i += 1) {
+    const out = core.shuffle(input, rng);
+    assert.deepEqual(input, [1, 2, 3, 4, 5, 6]);
+    assert.deepEqual(out.slice().sort(), input);
+  }
+});
+
+test("generateRounds: same seed, same rounds", () => {
+  const a = core.generateRounds(core.createRng(1234));
+  const b = core.generateRounds(core.createRng(1234));
+  assert.deepEqual(a, b);
+});
+
+test("generateRounds: exactly one knob differs, and it is the one reported", () => {
+  for (let seed = 0; seed < SEEDS; seed += 1) {
+    for (const round of core.generateRounds(core.createRng(seed))) {
+      assert.deepEqual(movedKnobs(round), [round.changedKnob], `seed ${seed}, round ${round.index + 1}`);
+      assert.equal(round.takeA.noteFreqHz, round.takeB.noteFreqHz);
+      const param = core.KNOB_BY_ID[round.changedKnob].param;
+      const expected = round.takeB[param] > round.takeA[param] ? "up" : "down";
+      assert.equal(round.directions[round.changedKnob], expected);
+    }
+  }
+});
+
+test("generateRounds: every knob gets its share and the rest go to distinct knobs", () => {
+  const knobs = core.activeKnobs();
+  const perKnob = core.minRoundsPerKnob(knobs.length);
+  for (let seed = 0; seed < SEEDS; seed += 1) {
+    const rounds = core.generateRounds(core.createRng(seed));
+    const { ok, errors, counts } = core.validateRounds(rounds);
+    assert.ok(ok, `seed ${seed}: ${errors.join("; ")}`);
+    for (const k of knobs) assert.ok(counts[k.id] === perKnob || counts[k.id] === perKnob + 1, `seed ${seed}`);
+  }
+});
+
+test("base values sit in the knob range and clamped knobs stay inside their limits", () => {
+  const limits = {
+    resonance: [core.SETTINGS.RESONANCE_Q_MIN, core.SETTINGS.RESONANCE_Q_MAX],
+    decay: [core.SETTINGS.DECAY_MS_MIN, core.SETTINGS.DECAY_MS_MAX],
+  };
+  for (let seed = 0; seed < SEEDS; seed += 1) {
+    for (const round of core.generateRounds(core.createRng(seed))) {
+      for (const k of core.activeKnobs()) {
+        const { min, max } = k.range();
+        const a = round.takeA[k.param];
+        assert.ok(a >= min && a <= max, `${k.id} seed ${seed}`);
+        if (limits[k.id]) {
+          const b = round.takeB[k.param];
+          assert.ok(b >= limits[k.id][0] && b <= limits[k.id][1], `${k.id} seed ${seed}`);
+        }
+      }
+    }
+  }
+});
+
+test("generateRounds honours the enabled knobs and round count", () => {
+  withSettings({ ROUNDS_PER_GAME: 7, ENABLED_KNOBS: ["cutoff", "decay", "attack", "envAmount"] }, () => {
+    for (let seed = 0; seed < 500; seed += 1) {
+      const rounds = core.generateRounds(core.createRng(seed));
+      const { ok, errors, counts } = core.validateRounds(rounds);
+      assert.ok(ok, `seed ${seed}: ${errors.join("; ")}`);
+      assert.equal(rounds.length, 7);
+      assert.deepEqual(Object.keys(counts).sort(), ["attack", "cutoff", "decay", "envAmount"]);
+      for (const round of rounds) assert.equal(round.takeA.resonanceQ, undefined);
+    }
+  });
+});
+
+test("generateMultiRounds: the moved set matches changedKnobs and its size is in range", () => {
+  for (let seed = 0; seed < SEEDS; seed += 1) {
+    const rounds = core.generateMultiRounds(core.createRng(seed));
+    assert.ok(
+      core.validateRounds(rounds).errors.every((e) => e.includes("appears")),
+      `seed ${seed}`,
+    );
+    for (const round of rounds) {
+      assert.deepEqual(movedKnobs(round).sort(), round.changedKnobs.slice().sort());
+      assert.ok(round.changedKnobs.length >= core.SETTINGS.MULTI_MIN_CHANGED_KNOBS);
+      assert.ok(round.changedKnobs.length <= core.SETTINGS.MULTI_MAX_CHANGED_KNOBS);
+      assert.equal(round.changedKnob, round.changedKnobs.length === 1 ? round.changedKnobs[0] : null);
+    }
+  }
+});
+
+test("adaptive rounds move one knob by the staircase size", () => {
+  for (let seed = 0; seed < 500; seed += 1) {
+    const rng = core.createRng(seed);
+    const adaptive = core.createAdaptiveState();
+    const seen = new Set();
+    for (let i = 0; i < adaptive.knobIds.length; i += 1) {
+      const round = core.generateAdaptiveRound(adaptive, i, rng);
+      assert.deepEqual(core.validateRound(round), []);
+      seen.add(round.changedKnob);
+    }
+    // One full bag covers every knob once.
+    assert.equal(seen.size, adaptive.knobIds.length);
+  }
+});
+
+test("validateRounds catches broken rounds", () => {
+  const rounds = core.generateRounds(core.createRng(9));
+  const noChange = structuredClone(rounds);
+  noChange[0].takeB = { ...noChange[0].takeA };
+  assert.equal(core.validateRounds(noChange).ok, false);
+
+  const twoChanges = structuredClone(rounds);
+  const other = core.activeKnobs().find((k) => k.id !== twoChanges[1].changedKnob);
+  twoChanges[1].takeB[other.param] *= 2;
+  assert.equal(core.validateRounds(twoChanges).ok, false);
+
+  const wrongLabel = structuredClone(rounds);
+  wrongLabel[2].changedKnob = core.activeKnobs().find((k) => k.id !== wrongLabel[2].changedKnob).id;
+  wrongLabel[2].changedKnobs = [wrongLabel[2].changedKnob];
+  assert.equal(core.validateRounds(wrongLabel).ok, false);
+
+  const pitch = structuredClone(rounds);
+  pitch[3].takeB.noteFreqHz += 1;
+  assert.equal(core.validateRounds(pitch).ok, false);
+
+  const pattern = structuredClone(rounds);
+  pattern[4].takeB.pattern = "arpeggio";
+  assert.equal(core.validateRounds(pattern).ok, false);
+
+  const tempo = structuredClone(rounds);
+  tempo[5].takeB.bpm += 10;
+  assert.equal(core.validateRounds(tempo).ok, false);
+
+  assert.equal(core.validateRounds(rounds.slice(1)).ok, false);
+});
+
+test("voice per round: each round's voice plays its moved knob and both takes use it", () => {
+  const voices = core.VOICES.map((v) => v.id);
+  withSettings({ VOICES: voices, ENABLED_KNOBS: ["cutoff", "resonance", "decay", "attack"] }, () => {
+    const seen = new Set();
+    for (let seed = 0; seed < 1000; seed += 1) {
+      const rounds = core.generateRounds(core.createRng(seed));
+      const { ok, errors } = core.validateRounds(rounds);
+      assert.ok(ok, `seed ${seed}: ${errors.join("; ")}`);
+      for (const round of rounds) {
+        const voice = core.VOICE_BY_ID[round.voice];
+        assert.ok(voice.knobs.includes(round.changedKnob));
+        assert.equal(round.takeA.voice, round.voice);
+        assert.equal(round.takeB.voice, round.voice);
+        assert.ok(round.knobIds.every((id) => voice.knobs.includes(id)));
+        seen.add(round.voice);
+      }
+    }
+    assert.equal(seen.size, voices.length);
+  });
+});
+
+test("voice per game: one voice, and only the knobs it plays", () => {
+  withSettings({ VOICES: ["saw", "bell", "snare"], VOICE_CHOICE: "game" }, () => {
+    for (let seed = 0; seed < 1000; seed += 1) {
+      const rounds = core.generateRounds(core.createRng(seed));
+      assert.ok(core.validateRounds(rounds).ok, `seed ${seed}`);
+      const voice = core.VOICE_BY_ID[rounds[0].voice];
+      for (const round of rounds) {
+        assert.equal(round.voice, voice.id);
+        assert.deepEqual(
+          round.knobIds,
+          core.voiceKnobs(voice).map((k) => k.id),
+        );
+      }
+    }
+  });
+});
+
+test("multi-knob rounds only move knobs the round's voice plays", () => {
+  withSettings({ VOICES: core.VOICES.map((v) => v.id) }, () => {
+    for (let seed = 0; seed < 1000; seed += 1) {
+      for (const round of core.generateMultiRounds(core.createRng(seed))) {
+        assert.deepEqual(core.validateRound(round), []);
+        assert.ok(round.changedKnobs.every((id) => core.VOICE_BY_ID[round.voice].knobs.includes(id)));
+      }
+    }
+  });
+});
+
+test("settings reject voices that leave a knob unplayed or too few options", () => {
+  const errors = (overrides) => core.validateSettings(core.mergeSettings(overrides));
+  assert.deepEqual(errors({ VOICES: ["bell"], ENABLED_KNOBS: ["cutoff", "decay"] }), []);
+  assert.ok(errors({ VOICES: ["bell"] }).some((e) => e.includes("Resonance")));
+  assert.ok(errors({ VOICES: ["snare"], ENABLED_KNOBS: ["attack", "cutoff"] }).length > 0);
+  assert.ok(errors({ VOICES: [] }).length > 0);
+  assert.ok(errors({ VOICE_CHOICE: "sometimes" }).length > 0);
+});
+
+test("filters: every round picks an enabled topology and samples inside its ranges", () => {
+  const filters = core.FILTERS.map((f) => f.id);
+  withSettings({ FILTERS: filters }, () => {
+    const seen = new Set();
+    for (let seed = 0; seed < 1000; seed += 1) {
+      const rounds = core.generateRounds(core.createRng(seed));
+      assert.ok(core.validateRounds(rounds).ok, `seed ${seed}`);
+      for (const round of rounds) {
+        const filter = core.FILTER_BY_ID[round.filter];
+        const r = filter.ranges();
+        assert.equal(round.takeA.filter, round.filter);
+        assert.equal(round.takeB.filter, round.filter);
+        assert.ok(round.takeA.cutoffHz >= r.cutoffBaseHz[0] && round.takeA.cutoffHz <= r.cutoffBaseHz[1]);
+        assert.ok(round.takeA.resonanceQ >= r.resonanceBase[0] && round.takeA.resonanceQ <= r.resonanceBase[1]);
+        for (const q of [round.takeA.resonanceQ, round.takeB.resonanceQ]) {
+          assert.ok(q >= r.resonanceLimits[0] && q <= r.resonanceLimits[1], `${filter.id} seed ${seed}`);
+        }
+        seen.add(filter.id);
+      }
+    }
+    assert.equal(seen.size, filters.length);
+  });
+});
+
+test("filters: one per game when asked, and adaptive sizes are scaled per topology", () => {
+  withSettings({ FILTERS: ["highpass", "ladder"], FILTER_CHOICE: "game" }, () => {
+    for (let seed = 0; seed < 300; seed += 1) {
+      const rounds = core.generateMultiRounds(core.createRng(seed));
+      assert.equal(new Set(rounds.map((r) => r.filter)).size, 1);
+    }
+  });
+
+  const resonance = core.KNOB_BY_ID.resonance;
+  const ladder = core.FILTER_BY_ID.ladder;
+  const moved = resonance.change(2, core.createRng(1), 1, ladder);
+  assert.ok(Math.abs(Math.abs(moved - 2) - core.SETTINGS.LADDER_SIZE_SCALE) < 1e-9);
+  assert.equal(resonance.format(1.5, ladder), "Res 1.50");
+  assert.equal(resonance.format(1.5), "Q 1.50");
+});
+
+test("patterns: both takes share the round's pattern and the tempo, per round or per game", () => {
+  const patterns = core.PATTERNS.map((p) => p.id);
+  withSettings({ PATTERNS: patterns, BPM: 120 }, () => {
+    const seen = new Set();
+    for (let seed = 0; seed < 200; seed += 1) {
+      const rounds = core.generateRounds(core.createRng(seed));
+      assert.deepEqual(core.validateRounds(rounds).errors, []);
+      for (const r of rounds) {
+        assert.equal(r.takeA.pattern, r.pattern);
+        assert.equal(r.takeB.pattern, r.pattern);
+        assert.equal(r.takeA.bpm, 120);
+        assert.equal(r.takeB.bpm, 120);
+        seen.add(r.pattern);
+      }
+    }
+    assert.deepEqual([...seen].sort(), patterns.slice().sort());
+  });
+
+  withSettings({ PATTERNS: ["bassline", "octaves"], PATTERN_CHOICE: "game" }, () => {
+    for (let seed = 0; seed < 200; seed += 1) {
+      const rounds = core.generateMultiRounds(core.createRng(seed));
+      assert.equal(new Set(rounds.map((r) => r.pattern)).size, 1);
+    }
+  });
+});
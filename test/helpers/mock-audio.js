@@ -0,0 +1,129 @@
+"use strict";
+
+// Minimal stand-in for AudioContext: records every node and every AudioParam automation call.
+
+class MockParam {
+  constructor(value = 0) {
+    this.value = value;
+    this.events = [];
+  }
+
+  record(type, value, time) {
+    this.events.push({ type, value, time });
+    return this;
+  }
+
+  setValueAtTime(value, time) {
+    return this.record("set", value, time);
+  }
+
+  linearRampToValueAtTime(value, time) {
+    return this.record("linear", value, time);
+  }
+
+  exponentialRampToValueAtTime(value, time) {
+    return this.record("exponential", value, time);
+  }
+
+  cancelScheduledValues(time) {
+    return this.record("cancel", null, time);
+  }
+}
+
+class MockNode {
+  constructor(kind, params = {}) {
+    this.kind = kind;
+    this.connections = [];
+    for (const [name, value] of Object.entries(params)) this[name] = new MockParam(value);
+  }
+
+  connect(target) {
+    this.connections.push(target);
+    return target;
+  }
+
+  disconnect() {
+    this.connections = [];
+  }
+}
+
+class MockSource extends MockNode {
+  setPeriodicWave(wave) {
+    this.periodicWave = wave;
+  }
+
+  start(time) {
+    this.startTime = time;
+  }
+
+  stop(time) {
+    this.stopTime = time;
+  }
+}
+
+class MockAudioContext {
+  constructor(sampleRate = 48000) {
+    this.sampleRate = sampleRate;
+    this.currentTime = 0;
+    this.nodes = [];
+    this.destination = new MockNode("destination");
+  }
+
+  track(node) {
+    this.nodes.push(node);
+    return node;
+  }
+
+  createGain() {
+    return this.track(new MockNode("gain", { gain: 1 }));
+  }
+
+  createOscillator() {
+    return this.track(new MockSource("oscillator", { frequency: 440, detune: 0 }));
+  }
+
+  createBiquadFilter() {
+    return this.track(new MockNode("biquad", { frequency: 350, Q: 1, gain: 0 }));
+  }
+
+  createDynamicsCompressor() {
+    return this.track(
+      new MockNode("compressor", { threshold: -24, knee: 30, ratio: 12, attack: 0.003, release: 0.25 }),
+    );
+  }
+
+  createAnalyser() {
+    const node = this.track(new MockNode("analyser"));
+    node.fftSize = 2048;
+    node.smoothingTimeConstant = 0.8;
+    return node;
+  }
+
+  createDelay(maxDelayTime = 1) {
+    const node = this.track(new MockNode("delay", { delayTime: 0 }));
+    node.maxDelayTime = maxDelayTime;
+    return node;
+  }
+
+  createBufferSource() {
+    const node = this.track(new MockSource("buffer-source", { playbackRate: 1 }));
+    node.buffer = null;
+    node.loop = false;
+    return node;
+  }
+
+  createBuffer(channels, length, sampleRate) {
+    const data = Array.from({ length: channels }, () => new Float32Array(length));
+    return { numberOfChannels: channels, length, sampleRate, getChannelData: (c) => data[c] };
+  }
+
+  createPeriodicWave(real, imag) {
+    return { real, imag };
+  }
+
+  nodesOf(kind) {
+    return this.nodes.filter((n) => n.kind === kind);
+  }
+}
+
+module.exports = { MockAudioContext, MockParam, MockNode };
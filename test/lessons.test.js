@@ -0,0 +1,92 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const core = require("../core.js");
+
+const { SETTINGS } = core;
+
+test("lessons: every built-in stage is a playable game", () => {
+  const curriculum = core.parseCurriculum(core.DEFAULT_CURRICULUM);
+  assert.equal(curriculum.stages.length, core.DEFAULT_CURRICULUM.stages.length);
+  try {
+    for (const stage of curriculum.stages) {
+      core.applySettings(stage.overrides, stage.mode);
+      const rounds = core.generateRounds(core.createRng(3));
+      assert.equal(rounds.length, SETTINGS.ROUNDS_PER_GAME, stage.id);
+      assert.ok(
+        rounds.every((r) => stage.overrides.ENABLED_KNOBS.includes(r.changedKnob)),
+        stage.id,
+      );
+      assert.ok(core.validateRounds(rounds).ok, stage.id);
+    }
+  } finally {
+    core.applySettings({});
+  }
+  // The first stage moves only the cutoff, further than the defaults do, and asks which way.
+  const first = curriculum.stages[0];
+  assert.deepEqual([first.mode, first.overrides.ENABLED_KNOBS], ["direction", ["cutoff"]]);
+  assert.ok(first.overrides.CUTOFF_CHANGE_MULTIPLIERS[0] > core.DEFAULT_SETTINGS.CUTOFF_CHANGE_MULTIPLIERS[0]);
+});
+
+test("lessons: a bad curriculum is refused with every problem listed", () => {
+  assert.throws(() => core.parseCurriculum([]), /JSON object/);
+  let message = "";
+  try {
+    core.parseCurriculum({
+      id: "x",
+      title: "X",
+      stages: [
+        { id: "a", title: "A", knobs: ["cutoff"], pass: 0.8 },
+        { id: "a", title: "", mode: "buzz", pass: 2, settings: { LOUDNESS: 3 } },
+        { id: "c", title: "C", rounds: 2, knobs: ["cutoff", "resonance", "decay"], pass: 0.5 },
+      ],
+    });
+  } catch (error) {
+    message = error.message;
+  }
+  // One knob is a question only in direction mode.
+  assert.match(message, /Stage 1: Knobs in play: pick at least 2/);
+  assert.match(message, /Stage 2: the id "a" is already used/);
+  assert.match(message, /Stage 2: needs a "title"/);
+  assert.match(message, /Stage 2: "mode" must be one of/);
+  assert.match(message, /Stage 2: "pass"/);
+  assert.match(message, /Stage 2: unknown settings LOUDNESS/);
+  assert.match(message, /Stage 3: Rounds per game/);
+  assert.throws(() => core.parseCurriculum({ id: "x", title: "X", stages: [] }), /non-empty/);
+});
+
+test("lessons: stages unlock one pass at a time and keep their best score", () => {
+  const curriculum = core.parseCurriculum({
+    id: "course",
+    title: "Course",
+    stages: [
+      { id: "one", title: "One", knobs: ["cutoff", "decay"], pass: 0.8 },
+      { id: "two", title: "Two", pass: 0.5 },
+      { id: "three", title: "Three", pass: 0.5 },
+    ],
+  });
+  const [one, two] = curriculum.stages;
+  const unlocked = (progress) => core.stageStatuses(curriculum, progress).map((s) => s.unlocked);
+  assert.deepEqual(unlocked({}), [true, false, false]);
+
+  let result = core.recordStageResult({}, "course", one, 0.7);
+  assert.equal(result.passed, false);
+  assert.deepEqual(unlocked(result.progress), [true, false, false]);
+
+  result = core.recordStageResult(result.progress, "course", one, 0.8);
+  assert.deepEqual([result.passed, result.firstPass], [true, true]);
+  assert.deepEqual(unlocked(result.progress), [true, true, false]);
+
+  // A worse replay keeps the pass and the best score.
+  const before = result.progress;
+  result = core.recordStageResult(before, "course", one, 0.2);
+  assert.deepEqual([result.passed, result.firstPass], [false, false]);
+  assert.deepEqual(result.progress.course.one, { best: 0.8, plays: 3, passed: true });
+  assert.deepEqual(before.course.one.plays, 2);
+
+  result = core.recordStageResult(result.progress, "course", two, 1);
+  assert.deepEqual(unlocked(result.progress), [true, true, true]);
+  // Progress is per curriculum.
+  assert.deepEqual(core.stageStatuses({ ...curriculum, id: "other" }, result.progress)[1].unlocked, false);
+});
@@ -0,0 +1,120 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const core = require("../core.js");
+
+// navigator.requestMIDIAccess stand-in: inputs can be plugged in, and play() sends raw bytes from one.
+function mockNavigator({ refuse = false } = {}) {
+  const access = { inputs: new Map(), onstatechange: null };
+  const plug = (id, name) => {
+    access.inputs.set(id, { id, name, state: "connected", onmidimessage: null });
+    if (access.onstatechange) access.onstatechange({ port: access.inputs.get(id) });
+  };
+  return {
+    access,
+    plug,
+    play(id, bytes) {
+      const input = access.inputs.get(id);
+      if (input.onmidimessage) input.onmidimessage({ data: Uint8Array.from(bytes) });
+    },
+    requestMIDIAccess() {
+      return refuse ? Promise.reject(new Error("Access denied")) : Promise.resolve(access);
+    },
+  };
+}
+
+test("midi: notes, note offs and CCs are parsed on any channel, the rest ignored", () => {
+  assert.deepEqual(core.parseMidiMessage([0x90, 36, 100]), { type: "note", note: 36, velocity: 100 });
+  assert.deepEqual(core.parseMidiMessage([0x99, 38, 0]), { type: "note", note: 38, velocity: 0 });
+  assert.deepEqual(core.parseMidiMessage([0x83, 36, 64]), { type: "note", note: 36, velocity: 0 });
+  assert.deepEqual(core.parseMidiMessage([0xb5, 74, 127]), { type: "cc", controller: 74, value: 127 });
+  assert.equal(core.parseMidiMessage([0xf8]), null);
+  assert.equal(core.parseMidiMessage([0xe0, 0, 64]), null);
+  assert.equal(core.formatMidiNote(36), "C1 (36)");
+  assert.equal(core.formatMidiNote(61), "C#3 (61)");
+});
+
+test("midi: pads answer and CCs turn knobs through the bindings", () => {
+  const bindings = core.defaultMidiBindings();
+  assert.deepEqual(core.midiAction(bindings, { type: "note", note: 37, velocity: 90 }), { slot: 1 });
+  assert.equal(core.midiAction(bindings, { type: "note", note: 37, velocity: 0 }), null);
+  assert.equal(core.midiAction(bindings, { type: "note", note: 60, velocity: 90 }), null);
+  assert.deepEqual(core.midiAction(bindings, { type: "cc", controller: 74, value: 127 }), { knob: "cutoff", t: 1 });
+  assert.deepEqual(core.midiAction(bindings, { type: "cc", controller: 71, value: 0 }), { knob: "resonance", t: 0 });
+  assert.equal(core.midiAction(bindings, { type: "cc", controller: 1, value: 64 }), null);
+});
+
+test("midi learn: a binding moves to its new target and replaces the old one", () => {
+  let bindings = core.defaultMidiBindings();
+  assert.equal(core.learnMidiBinding(bindings, { slot: 0 }, { type: "cc", controller: 20, value: 5 }), null);
+  assert.equal(core.learnMidiBinding(bindings, { slot: 0 }, { type: "note", note: 60, velocity: 0 }), null);
+  assert.equal(core.learnMidiBinding(bindings, { knob: "decay" }, { type: "note", note: 60, velocity: 80 }), null);
+
+  bindings = core.learnMidiBinding(bindings, { slot: 0 }, { type: "note", note: 60, velocity: 80 });
+  assert.deepEqual(core.midiAction(bindings, { type: "note", note: 60, velocity: 1 }), { slot: 0 });
+  assert.equal(core.midiAction(bindings, { type: "note", note: 36, velocity: 1 }), null);
+  // Pad 37 (answer 2) moves to answer 1.
+  bindings = core.learnMidiBinding(bindings, { slot: 0 }, { type: "note", note: 37, velocity: 80 });
+  assert.deepEqual(core.midiAction(bindings, { type: "note", note: 37, velocity: 1 }), { slot: 0 });
+  assert.equal(Object.values(bindings.notes).includes(1), false);
+
+  bindings = core.learnMidiBinding(bindings, { knob: "decay" }, { type: "cc", controller: 74, value: 3 });
+  assert.deepEqual(bindings.ccs, { 71: "resonance", 74: "decay" });
+});
+
+test("midi: stored bindings survive JSON and lose anything malformed", () => {
+  const bindings = core.learnMidiBinding(
+    core.defaultMidiBindings(),
+    { knob: "attack" },
+    { type: "cc", controller: 21 },
+  );
+  assert.deepEqual(core.sanitizeMidiBindings(JSON.parse(JSON.stringify(bindings))), bindings);
+  assert.deepEqual(
+    core.sanitizeMidiBindings({
+      notes: { 36: 0, 200: 1, 40: 99, 41: "2" },
+      ccs: { 74: "cutoff", 75: "nope", x: "decay" },
+    }),
+    { notes: { 36: 0 }, ccs: { 74: "cutoff" } },
+  );
+  assert.deepEqual(core.sanitizeMidiBindings(null), core.defaultMidiBindings());
+});
+
+test("midi: connectMidi listens to every input, including ones plugged in later", async () => {
+  const nav = mockNavigator();
+  nav.plug("a", "Pads");
+  const received = [];
+  const changes = [];
+  const midi = await core.connectMidi(
+    nav,
+    (m) => received.push(m),
+    (names) => changes.push(names),
+  );
+  assert.deepEqual(midi.inputNames, ["Pads"]);
+
+  nav.play("a", [0x90, 36, 100]);
+  nav.play("a", [0xf8]);
+  nav.plug("b", "Synth");
+  assert.deepEqual(changes, [["Pads", "Synth"]]);
+  nav.play("b", [0xb0, 74, 64]);
+  assert.deepEqual(received, [
+    { type: "note", note: 36, velocity: 100 },
+    { type: "cc", controller: 74, value: 64 },
+  ]);
+
+  midi.close();
+  nav.play("a", [0x90, 36, 100]);
+  assert.equal(received.length, 2);
+  assert.equal(nav.access.onstatechange, null);
+});
+
+test("midi: no Web MIDI, or refused access, rejects with a reason", async () => {
+  await assert.rejects(
+    core.connectMidi({}, () => {}),
+    /no Web MIDI/,
+  );
+  await assert.rejects(
+    core.connectMidi(mockNavigator({ refuse: true }), () => {}),
+    /denied/,
+  );
+});
@@ -0,0 +1,55 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("node:crypto");
+const fs = require("node:fs");
+const path = require("node:path");
+const sw = require("../sw.js");
+const relay = require("../server/relay.js");
+
+const ROOT = path.join(__dirname, "..");
+
+function read(file) {
+  return fs.readFileSync(path.join(ROOT, file), "utf8");
+}
+
+// What sw.js's PRECACHE_HASH should be: the precached files' names and contents ("./" is index.html).
+function precacheHash() {
+  const hash = crypto.createHash("sha256");
+  for (const url of sw.PRECACHE.filter((u) => u !== "./")) {
+    hash.update(`${url}\n`);
+    hash.update(fs.readFileSync(path.join(ROOT, url)));
+  }
+  return hash.digest("hex").slice(0, 12);
+}
+
+// Local files the page pulls in: src/href attributes in the HTML, url() in the CSS, icons in the manifest.
+function pageAssets() {
+  const assets = new Set();
+  for (const m of read("index.html").matchAll(/\s(?:src|href)="([^"]+)"/g)) assets.add(m[1]);
+  for (const m of read("styles.css").matchAll(/url\("?([^")]+)"?\)/g)) assets.add(m[1]);
+  for (const icon of JSON.parse(read("manifest.webmanifest")).icons) assets.add(icon.src);
+  return [...assets].filter((url) => !/^[a-z]+:|^#/.test(url));
+}
+
+test("offline: everything the page loads is precached", () => {
+  const assets = pageAssets();
+  assert.ok(assets.includes("app.js") && assets.includes("Climate-Ice-3.ttf"));
+  for (const url of assets) assert.ok(sw.PRECACHE.includes(url), `${url} is not in PRECACHE`);
+  assert.ok(sw.PRECACHE.includes("./"));
+});
+
+test("offline: precached files exist and the relay serves them", () => {
+  for (const url of sw.PRECACHE) {
+    const file = relay.staticFilePath(ROOT, `/${url.replace(/^\.\//, "")}`);
+    assert.ok(file && fs.existsSync(file), url);
+  }
+  assert.equal(relay.staticFilePath(ROOT, "/sw.js"), path.join(ROOT, "sw.js"));
+  assert.equal(sw.CACHE_NAME, `bullfrog-${sw.PRECACHE_HASH}`);
+});
+
+test("offline: the cache is named after the precached files, so changing one updates the worker", () => {
+  const hash = precacheHash();
+  assert.equal(sw.PRECACHE_HASH, hash, `a precached file changed: set PRECACHE_HASH in sw.js to "${hash}"`);
+});
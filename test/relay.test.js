@@ -0,0 +1,228 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("node:crypto");
+const http = require("node:http");
+const path = require("node:path");
+const relay = require("../server/relay.js");
+
+const ROOT = path.join(__dirname, "..");
+
+// A bare WebSocket client: masked text frames out, JSON messages in. next(type) resolves with the first
+// message of that type not taken yet.
+function connect(port) {
+  return new Promise((resolve, reject) => {
+    const key = crypto.randomBytes(16).toString("base64");
+    const req = http.request({
+      port,
+      path: "/relay",
+      headers: { Connection: "Upgrade", Upgrade: "websocket", "Sec-WebSocket-Key": key, "Sec-WebSocket-Version": "13" },
+    });
+    req.on("upgrade", (res, socket, head) => {
+      assert.equal(res.headers["sec-websocket-accept"], relay.acceptKey(key));
+      const inbox = [];
+      const waiters = [];
+      const deliver = () => {
+        for (let w = 0; w < waiters.length; w += 1) {
+          const i = inbox.findIndex((m) => m.type === waiters[w].type);
+          if (i < 0) continue;
+          waiters[w].resolve(inbox.splice(i, 1)[0]);
+          waiters.splice(w, 1);
+          w -= 1;
+        }
+      };
+      let buffer = head;
+      socket.on("data", (chunk) => {
+        const decoded = relay.decodeFrames(Buffer.concat([buffer, chunk]));
+        buffer = decoded.rest;
+        for (const f of decoded.frames) if (f.opcode === 1) inbox.push(JSON.parse(f.payload.toString("utf8")));
+        deliver();
+      });
+      resolve({
+        send(message) {
+          socket.write(relay.encodeFrame(1, Buffer.from(JSON.stringify(message)), crypto.randomBytes(4)));
+        },
+        next(type) {
+          return new Promise((done) => {
+            waiters.push({ type, resolve: done });
+            deliver();
+          });
+        },
+        close() {
+          socket.destroy();
+        },
+      });
+    });
+    req.on("error", reject);
+    req.end();
+  });
+}
+
+function listen(options) {
+  const server = relay.createRelayServer({ STATIC_ROOT: ROOT, ...options });
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(server)));
+}
+
+test("frames: masked and unmasked payloads of every length class round-trip", () => {
+  for (const length of [0, 5, 125, 126, 300, 70000]) {
+    const payload = crypto.randomBytes(length);
+    for (const mask of [null, crypto.randomBytes(4)]) {
+      const frame = relay.encodeFrame(1, payload, mask);
+      const { frames, rest } = relay.decodeFrames(frame, 100000);
+      assert.equal(frames.length, 1);
+      assert.equal(frames[0].opcode, 1);
+      assert.equal(frames[0].fin, true);
+      assert.ok(frames[0].payload.equals(payload));
+      assert.equal(rest.length, 0);
+    }
+  }
+});
+
+test("frames: partial frames wait in the rest, oversized ones are refused", () => {
+  const a = relay.encodeFrame(1, Buffer.from("hello"), crypto.randomBytes(4));
+  const b = relay.encodeFrame(9, Buffer.from("ping"));
+  const joined = Buffer.concat([a, b]);
+  const partial = relay.decodeFrames(joined.subarray(0, a.length + 3));
+  assert.deepEqual(
+    partial.frames.map((f) => f.payload.toString()),
+    ["hello"],
+  );
+  assert.equal(partial.rest.length, 3);
+  assert.equal(relay.decodeFrames(joined).frames[1].opcode, 9);
+  assert.throws(() => relay.decodeFrames(relay.encodeFrame(1, Buffer.alloc(200)), 100), /limit/);
+});
+
+test("static files: the game's own files only", () => {
+  assert.equal(relay.staticFilePath(ROOT, "/"), path.join(ROOT, "index.html"));
+  assert.equal(relay.staticFilePath(ROOT, "/core.js?v=2"), path.join(ROOT, "core.js"));
+  assert.equal(relay.staticFilePath(ROOT, "/../etc/passwd"), null);
+  assert.equal(relay.staticFilePath(ROOT, "/%2e%2e/etc/passwd"), null);
+  assert.equal(relay.staticFilePath(ROOT, "/.git/config"), null);
+  assert.equal(relay.staticFilePath(ROOT, "/requests.jsonl"), null);
+  assert.equal(relay.staticFilePath(ROOT, "/%E0%A4%A"), null);
+});
+
+test("relay: a room plays every round to the end and keeps score", async () => {
+  const server = await listen({ START_DELAY_MS: 30, NEXT_ROUND_DELAY_MS: 10 });
+  const { port } = server.address();
+  const host = await connect(port);
+  const guest = await connect(port);
+  try {
+    host.send({ type: "time", clientSent: 123 });
+    const time = await host.next("time");
+    assert.equal(time.clientSent, 123);
+    assert.ok(Math.abs(time.serverTime - Date.now()) < 1000);
+
+    host.send({ type: "join", room: "Studio", name: "Ana" });
+    const hostJoined = await host.next("joined");
+    guest.send({ type: "join", room: "studio", name: "ana" });
+    assert.match((await guest.next("error")).message, /already called/);
+    guest.send({ type: "join", room: "studio", name: "Bo" });
+    const guestJoined = await guest.next("joined");
+    assert.equal(guestJoined.room, "Studio");
+    const lobby = await guest.next("players");
+    assert.equal(lobby.hostId, hostJoined.playerId);
+    assert.deepEqual(
+      lobby.players.map((p) => p.name),
+      ["Ana", "Bo"],
+    );
+
+    guest.send({ type: "start", seed: 1, rounds: 2, overrides: {} });
+    assert.match((await guest.next("error")).message, /host/);
+
+    const before = Date.now();
+    host.send({ type: "start", seed: 42, rounds: 2, overrides: { ROUNDS_PER_GAME: 2 } });
+    const game = await guest.next("game");
+    assert.deepEqual(game, { type: "game", seed: 42, rounds: 2, overrides: { ROUNDS_PER_GAME: 2 } });
+    const first = await guest.next("round");
+    assert.equal(first.index, 0);
+    assert.ok(first.startAt >= before + 30);
+
+    host.send({ type: "answer", index: 0, knobId: "cutoff", isCorrect: true, credit: 1, responseMs: 900 });
+    let board = await guest.next("scoreboard");
+    while (!board.players[0].answered) board = await guest.next("scoreboard");
+    assert.deepEqual(
+      board.players.map((p) => [p.name, p.score, p.answered, p.isCorrect]),
+      [
+        ["Ana", 1, true, true],
+        ["Bo", 0, false, null],
+      ],
+    );
+    // Stale and repeated answers are ignored.
+    host.send({ type: "answer", index: 0, isCorrect: true, credit: 1 });
+    guest.send({ type: "answer", index: 5, isCorrect: true, credit: 1 });
+    guest.send({ type: "answer", index: 0, knobId: "decay", isCorrect: false, credit: 0, responseMs: 1500 });
+    const second = await guest.next("round");
+    assert.equal(second.index, 1);
+
+    host.send({ type: "answer", index: 1, isCorrect: false, credit: 0, responseMs: 700 });
+    guest.send({ type: "answer", index: 1, isCorrect: true, credit: 0.5, responseMs: 600 });
+    const over = await host.next("over");
+    assert.deepEqual(
+      over.players.map((p) => [p.name, p.score]),
+      [
+        ["Ana", 1],
+        ["Bo", 0.5],
+      ],
+    );
+    assert.equal(server.relay.rooms.get("studio").game, null);
+
+    // The host leaving hands the room over.
+    host.close();
+    let players = await guest.next("players");
+    while (players.players.length > 1) players = await guest.next("players");
+    assert.equal(players.hostId, guestJoined.playerId);
+  } finally {
+    host.close();
+    guest.close();
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
+
+test("relay: rooms in a game turn joiners away, and a silent player does not hold up the round", async () => {
+  const server = await listen({ START_DELAY_MS: 0, NEXT_ROUND_DELAY_MS: 0, ROUND_TIMEOUT_MS: 30 });
+  const { port } = server.address();
+  const host = await connect(port);
+  const late = await connect(port);
+  try {
+    host.send({ type: "join", room: "r", name: "Ana" });
+    await host.next("joined");
+    host.send({ type: "start", seed: 7, rounds: 2, overrides: {} });
+    await host.next("round");
+    late.send({ type: "join", room: "r", name: "Bo" });
+    assert.match((await late.next("error")).message, /middle of a game/);
+    // Nobody answers: both rounds time out.
+    assert.equal((await host.next("round")).index, 1);
+    const over = await host.next("over");
+    assert.deepEqual(over.players[0].answered, false);
+  } finally {
+    host.close();
+    late.close();
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
+
+test("relay: serves the game over HTTP", async () => {
+  const server = await listen({});
+  const { port } = server.address();
+  try {
+    const get = (p) =>
+      new Promise((resolve, reject) => {
+        http
+          .get({ port, path: p }, (res) => {
+            let body = "";
+            res.on("data", (c) => (body += c));
+            res.on("end", () => resolve({ status: res.statusCode, type: res.headers["content-type"], body }));
+          })
+          .on("error", reject);
+      });
+    const page = await get("/");
+    assert.equal(page.status, 200);
+    assert.match(page.type, /text\/html/);
+    assert.match(page.body, /<script src="core.js"><\/script>/);
+    assert.equal((await get("/server/../../secret")).status, 404);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
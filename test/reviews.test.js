@@ -0,0 +1,134 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const core = require("../core.js");
+
+const { SETTINGS } = core;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const start = new Date("2026-01-01T12:00:00Z");
+
+function at(days) {
+  return new Date(start.getTime() + days * DAY_MS);
+}
+
+function missedQueue(count = 1, mode = "classic") {
+  const rounds = core.generateRounds(core.createRng(11));
+  let queue = [];
+  for (let i = 0; i < count; i += 1) queue = core.addMissedRound(queue, `game-${i}`, mode, rounds[i], start);
+  return queue;
+}
+
+test("reviews: a missed round keeps its takes and is due at once", () => {
+  const round = { ...core.generateRounds(core.createRng(11))[0], answerOrder: ["decay", "cutoff", "resonance"] };
+  const queue = core.addMissedRound([], "game-0", "blitz", round, start);
+  assert.equal(queue.length, 1);
+  const [item] = queue;
+  assert.equal(item.mode, "classic");
+  assert.deepEqual(item.round.takeA, round.takeA);
+  assert.deepEqual(item.round.takeB, round.takeB);
+  assert.equal(item.round.answerOrder, undefined);
+  assert.deepEqual(core.dueReviews(queue, start), queue);
+  // Stored and read back as JSON, nothing is lost.
+  assert.deepEqual(core.sanitizeReviewQueue(JSON.parse(JSON.stringify(queue))), queue);
+  assert.deepEqual(core.sanitizeReviewQueue([{ ...item, round: { ...item.round, voice: "kazoo" } }, null, 3]), []);
+  assert.deepEqual(core.sanitizeReviewQueue({}), []);
+});
+
+test("reviews: right answers at growing intervals take a round off the queue", () => {
+  let queue = missedQueue();
+  const id = queue[0].id;
+  const [first, second] = SETTINGS.REVIEW_FIRST_INTERVALS_DAYS;
+
+  let outcome = core.recordReview(queue, id, 5, start);
+  queue = outcome.queue;
+  assert.equal(outcome.learned, false);
+  assert.equal(queue[0].intervalDays, first);
+  assert.deepEqual(core.dueReviews(queue, at(first - 0.5)), []);
+  assert.equal(core.dueReviews(queue, at(first)).length, 1);
+
+  // A miss starts it over and makes it harder.
+  outcome = core.recordReview(queue, id, 1, at(first));
+  queue = outcome.queue;
+  assert.deepEqual([queue[0].reps, queue[0].intervalDays, queue[0].lapses], [0, first, 1]);
+  assert.ok(queue[0].ease < SETTINGS.REVIEW_START_EASE);
+
+  let now = at(2 * first);
+  for (let rep = 1; rep < SETTINGS.REVIEW_GRADUATE_REPS; rep += 1) {
+    outcome = core.recordReview(queue, id, 5, now);
+    queue = outcome.queue;
+    assert.equal(outcome.learned, false);
+    assert.equal(queue[0].intervalDays, rep === 1 ? first : second);
+    now = new Date(Date.parse(queue[0].due));
+  }
+  outcome = core.recordReview(queue, id, 5, now);
+  assert.equal(outcome.learned, true);
+  assert.deepEqual(outcome.queue, []);
+  assert.equal(core.recordReview([], id, 5, now).learned, false);
+
+  // The ease never falls below the floor.
+  let item = missedQueue()[0];
+  for (let i = 0; i < 20; i += 1) item = core.scheduleReview(item, 0, start);
+  assert.equal(item.ease, SETTINGS.REVIEW_MIN_EASE);
+});
+
+test("reviews: a session plays due rounds answered one way, most overdue first", () => {
+  const rounds = core.generateRounds(core.createRng(5));
+  let queue = core.addMissedRound([], "multi-0", "multi", rounds[0], at(1));
+  queue = core.addMissedRound(queue, "classic-0", "classic", rounds[1], start);
+  queue = core.addMissedRound(queue, "classic-1", "adaptive", rounds[2], at(2));
+  assert.equal(core.buildReviewSession(queue, 10, at(-1)), null);
+
+  const session = core.buildReviewSession(queue, 10, at(3));
+  assert.equal(session.mode, "classic");
+  assert.deepEqual(
+    session.rounds.map((r) => [r.index, r.reviewId]),
+    [
+      [0, "classic-0"],
+      [1, "classic-1"],
+    ],
+  );
+  assert.deepEqual(session.rounds[0].takeB, rounds[1].takeB);
+  assert.equal(core.buildReviewSession(queue, 1, at(3)).rounds.length, 1);
+
+  // Missing a queued round again in a normal game starts it over instead of queueing it twice: due at once,
+  // and the newest in the queue.
+  queue = core.recordReview(queue, "classic-0", 5, at(3)).queue;
+  assert.deepEqual(
+    core.dueReviews(queue, at(3)).map((item) => item.id),
+    ["multi-0", "classic-1"],
+  );
+  queue = core.addMissedRound(queue, "classic-0", "classic", rounds[1], at(3));
+  assert.equal(queue.length, 3);
+  const again = queue[queue.length - 1];
+  assert.deepEqual([again.id, again.reps, again.lapses, again.due], ["classic-0", 0, 1, at(3).toISOString()]);
+  assert.ok(again.ease < SETTINGS.REVIEW_START_EASE);
+  assert.ok(core.dueReviews(queue, at(3)).some((item) => item.id === "classic-0"));
+
+  assert.equal(core.reviewGrade({ isCorrect: true, credit: 0.4 }), 5);
+  assert.equal(core.reviewGrade({ isCorrect: false, credit: 0.5 }), 1);
+  assert.ok(core.reviewGrade({ isCorrect: false, credit: 1 }) < 3);
+});
+
+test("reviews: the queue keeps the newest REVIEW_QUEUE_SIZE rounds", () => {
+  const size = SETTINGS.REVIEW_QUEUE_SIZE;
+  try {
+    SETTINGS.REVIEW_QUEUE_SIZE = 2;
+    const queue = missedQueue(3);
+    assert.deepEqual(
+      queue.map((item) => item.id),
+      ["game-1", "game-2"],
+    );
+    // A round missed again counts as the newest, so it is not the next to go.
+    const rounds = core.generateRounds(core.createRng(11));
+    let again = core.addMissedRound(queue, "game-1", "classic", rounds[1], at(1));
+    again = core.addMissedRound(again, "game-3", "classic", rounds[3], at(1));
+    assert.deepEqual(
+      again.map((item) => item.id),
+      ["game-1", "game-3"],
+    );
+  } finally {
+    SETTINGS.REVIEW_QUEUE_SIZE = size;
+  }
+});
@@ -0,0 +1,458 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const core = require("../core.js");
+const { MockAudioContext } = require("./helpers/mock-audio.js");
+
+const { SETTINGS } = core;
+
+function createEngine() {
+  const ctx = new MockAudioContext();
+  const engine = core.createAudioEngine(ctx);
+  // No wall-clock cleanup timers in tests.
+  engine.offline = true;
+  return { ctx, engine };
+}
+
+function sampleRound(seed = 11) {
+  return core.generateRounds(core.createRng(seed))[0];
+}
+
+function approx(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual} != ${expected}`);
+}
+
+test("engine: master gain feeds the analyser, then the limiter, then the destination", () => {
+  const { ctx, engine } = createEngine();
+  assert.equal(engine.masterGain.gain.value, SETTINGS.MASTER_GAIN);
+  assert.deepEqual(engine.masterGain.connections, [engine.analyser]);
+  assert.deepEqual(engine.analyser.connections, [engine.limiter]);
+  assert.equal(engine.analyser.fftSize, SETTINGS.ANALYSER_FFT_SIZE);
+  assert.deepEqual(engine.limiter.connections, [ctx.destination]);
+  assert.equal(engine.limiter.threshold.value, SETTINGS.LIMITER_THRESHOLD_DB);
+});
+
+test("playTake: one voice per hit, started on the grid", () => {
+  const { ctx, engine } = createEngine();
+  const when = 1.5;
+  const take = sampleRound().takeA;
+  const end = core.playTake(engine, take, when);
+  // The default six hits at 90 BPM keep the original two-second take.
+  approx(end, when + 2, "take end");
+
+  const oscs = ctx.nodesOf("oscillator");
+  assert.equal(oscs.length, 6);
+  oscs.forEach((osc, i) => {
+    approx(osc.startTime, when + i / 3, `hit ${i} start`);
+    assert.ok(osc.stopTime > osc.startTime);
+    assert.ok(osc.stopTime <= when + 2 + SETTINGS.TAKE_CLEANUP_EXTRA_SECONDS + 1e-9);
+    assert.equal(osc.type, SETTINGS.OSC_TYPE);
+  });
+});
+
+test("playTake: take gain fades in and out around the take", () => {
+  const { ctx, engine } = createEngine();
+  const when = 0.25;
+  core.playTake(engine, sampleRound().takeA, when);
+
+  // Gains: master, take, then one per hit.
+  const takeGain = ctx.nodesOf("gain")[1];
+  assert.deepEqual(takeGain.connections, [engine.masterGain]);
+  const fade = SETTINGS.TAKE_FADE_SECONDS;
+  const end = when + 2;
+  const events = takeGain.gain.events.filter((e) => e.type !== "cancel");
+  assert.deepEqual(
+    events.map((e) => [e.type, e.value]),
+    [
+      ["set", 0],
+      ["linear", 1],
+      ["set", 1],
+      ["linear", 0],
+    ],
+  );
+  approx(events[0].time, when, "fade in start");
+  approx(events[1].time, when + fade, "fade in end");
+  approx(events[2].time, end - fade, "fade out start");
+  approx(events[3].time, end, "fade out end");
+});
+
+test("playRound: level-matched takes hold their own level between the fades", () => {
+  const { ctx, engine } = createEngine();
+  core.playRound(engine, sampleRound(), 0, undefined, undefined, { a: 0.5, b: 1 });
+  const takeGains = ctx.nodesOf("gain").filter((g) => g.connections[0] === engine.masterGain);
+  assert.equal(takeGains.length, 2);
+  const held = (g) => g.gain.events.filter((e) => e.type !== "cancel").map((e) => e.value);
+  assert.deepEqual(held(takeGains[0]), [0, 0.5, 0.5, 0]);
+  assert.deepEqual(held(takeGains[1]), [0, 1, 1, 0]);
+});
+
+test("scheduleVoice: amp envelope follows attack, decay and release", () => {
+  const { ctx, engine } = createEngine();
+  const params = { noteFreqHz: 110, cutoffHz: 900, resonanceQ: 4, decayMs: 400 };
+  const start = 2;
+  core.scheduleVoice(ctx, engine.masterGain, params, start, start + 5);
+
+  const [osc] = ctx.nodesOf("oscillator");
+  assert.deepEqual(osc.frequency.events, [{ type: "set", value: 110, time: start }]);
+
+  const noteGain = ctx.nodesOf("gain")[1];
+  const attack = SETTINGS.AMP_ATTACK_SECONDS;
+  const decay = 0.4;
+  const release = SETTINGS.AMP_RELEASE_SECONDS;
+  const ramps = noteGain.gain.events.filter((e) => e.type === "linear");
+  assert.equal(ramps.length, 3);
+  assert.equal(ramps[0].value, SETTINGS.VOICE_PEAK_GAIN);
+  approx(ramps[0].time, start + attack, "peak");
+  approx(ramps[1].time, start + attack + decay, "decay end");
+  assert.ok(ramps[1].value > 0 && ramps[1].value < 0.001);
+  assert.equal(ramps[2].value, 0);
+  approx(ramps[2].time, start + attack + decay + release, "release end");
+  approx(osc.stopTime, start + attack + decay + release, "natural stop");
+});
+
+test("scheduleVoice: filter stack gets the knob values and the envelope sweep", () => {
+  const { ctx, engine } = createEngine();
+  const params = { noteFreqHz: 98, cutoffHz: 600, resonanceQ: 7, decayMs: 250 };
+  const start = 0.5;
+  core.scheduleVoice(ctx, engine.masterGain, params, start, start + 5);
+
+  const filters = ctx.nodesOf("biquad");
+  assert.equal(filters.length, SETTINGS.FILTER_STACK_SIZE);
+  assert.equal(filters[0].Q.events[0].value, 7);
+  for (const f of filters.slice(1)) assert.equal(f.Q.events[0].value, SETTINGS.FILTER_STACK_Q2);
+
+  const peak = 600 + SETTINGS.FILTER_ENV_AMOUNT_HZ;
+  for (const f of filters) {
+    assert.equal(f.type, "lowpass");
+    assert.deepEqual(
+      f.frequency.events.map((e) => [e.type, e.value]),
+      [
+        ["set", 600],
+        ["exponential", peak],
+        ["exponential", 600],
+      ],
+    );
+    approx(f.frequency.events[1].time, start + SETTINGS.FILTER_ENV_ATTACK_SECONDS, "sweep peak");
+    approx(f.frequency.events[2].time, start + SETTINGS.FILTER_ENV_ATTACK_SECONDS + 0.25, "sweep end");
+  }
+});
+
+test("scheduleVoice: long decays are cut at the hard stop", () => {
+  const { ctx, engine } = createEngine();
+  core.scheduleVoice(ctx, engine.masterGain, { noteFreqHz: 98, decayMs: 1800 }, 1, 1.2);
+  approx(ctx.nodesOf("oscillator")[0].stopTime, 1.2, "hard stop");
+});
+
+test("scheduleVoice: knobs that are not in play use the fixed voice values", () => {
+  const { ctx, engine } = createEngine();
+  core.scheduleVoice(ctx, engine.masterGain, { noteFreqHz: 98 }, 0, 5);
+  const [first] = ctx.nodesOf("biquad");
+  assert.equal(first.Q.events[0].value, SETTINGS.FIXED_RESONANCE_Q);
+  assert.equal(first.frequency.events[0].value, SETTINGS.FIXED_CUTOFF_HZ);
+});
+
+test("playRound: B starts one take plus the gap after A, into its own destination", () => {
+  const { ctx, engine } = createEngine();
+  const round = sampleRound();
+  const busA = ctx.createGain();
+  const busB = ctx.createGain();
+  const when = 3;
+  const times = core.playRound(engine, round, when, busA, busB);
+
+  const take = core.takeSeconds(round.takeA);
+  assert.deepEqual(times, core.roundTimings(when, round));
+  approx(times.bStart, when + take + SETTINGS.SILENCE_GAP_SECONDS, "B start");
+  approx(times.endAt, when + take * 2 + SETTINGS.SILENCE_GAP_SECONDS, "round end");
+  approx(times.endAt - when, core.roundDurationSeconds(round), "round duration");
+
+  const hits = core.takeNotes(round.takeA).length;
+  const oscs = ctx.nodesOf("oscillator");
+  assert.equal(oscs.length, hits * 2);
+  assert.ok(oscs.slice(0, hits).every((o) => o.startTime >= times.aStart && o.startTime < times.aEnd));
+  assert.ok(oscs.slice(hits).every((o) => o.startTime >= times.bStart && o.startTime < times.bEnd));
+
+  const takeGains = ctx.nodesOf("gain").filter((g) => g.connections[0] === busA || g.connections[0] === busB);
+  assert.deepEqual(
+    takeGains.map((g) => g.connections[0]),
+    [busA, busB],
+  );
+});
+
+test("playRound: the two takes differ only in the moved knob's automation", () => {
+  const round = sampleRound(5);
+  const schedule = (params) => {
+    const { ctx, engine } = createEngine();
+    core.playTake(engine, params, 0);
+    return ctx.nodes.map((n) => ({
+      kind: n.kind,
+      Q: n.Q && n.Q.events,
+      frequency: n.frequency && n.frequency.events,
+      gain: n.gain && n.gain.events,
+    }));
+  };
+  const a = schedule(round.takeA);
+  const b = schedule(round.takeB);
+  assert.equal(a.length, b.length);
+
+  const field = { cutoff: "frequency", resonance: "Q", decay: "gain" }[round.changedKnob];
+  for (const key of ["Q", "frequency", "gain"]) {
+    const same = JSON.stringify(a.map((n) => n[key])) === JSON.stringify(b.map((n) => n[key]));
+    // Decay also moves the filter sweep end; everything else must be identical.
+    const mayDiffer = key === field || (round.changedKnob === "decay" && key === "frequency");
+    if (key === field) assert.ok(!same, `${key} automation is identical for a ${round.changedKnob} round`);
+    else if (!mayDiffer) assert.ok(same, `${key} automation differs for a ${round.changedKnob} round`);
+  }
+});
+
+test("every voice builds a hit that runs through the filter stack and the amp envelope", () => {
+  for (const voice of core.VOICES) {
+    const { ctx, engine } = createEngine();
+    const start = 1;
+    core.scheduleVoice(ctx, engine.masterGain, { voice: voice.id, noteFreqHz: 110, cutoffHz: 900 }, start, start + 5);
+
+    const filters = ctx.nodesOf("biquad").filter((f) => f.Q.events.length > 0);
+    assert.equal(filters.length, SETTINGS.FILTER_STACK_SIZE, voice.id);
+    const noteGain = ctx.nodesOf("gain").find((g) => g.connections[0] === engine.masterGain);
+    assert.ok(noteGain, `${voice.id}: no note gain`);
+    const peak = noteGain.gain.events.find((e) => e.type === "linear");
+    approx(peak.value, SETTINGS.VOICE_PEAK_GAIN * voice.level, `${voice.id} peak`);
+
+    const sources = ctx.nodes.filter((n) => n.startTime !== undefined);
+    assert.ok(sources.length > 0, voice.id);
+    for (const src of sources) {
+      assert.equal(src.startTime, start, voice.id);
+      assert.equal(src.stopTime, sources[0].stopTime, voice.id);
+    }
+  }
+});
+
+test("voices: supersaw detune spreads evenly, the pluck loop is tuned to the note", () => {
+  let { ctx, engine } = createEngine();
+  core.scheduleVoice(ctx, engine.masterGain, { voice: "supersaw", noteFreqHz: 110 }, 0, 5);
+  const detunes = ctx.nodesOf("oscillator").map((o) => o.detune.events[0].value);
+  assert.equal(detunes.length, SETTINGS.SUPERSAW_OSCILLATORS);
+  assert.equal(detunes[0], -SETTINGS.SUPERSAW_DETUNE_CENTS);
+  assert.equal(detunes.at(-1), SETTINGS.SUPERSAW_DETUNE_CENTS);
+
+  ({ ctx, engine } = createEngine());
+  core.scheduleVoice(ctx, engine.masterGain, { voice: "pluck", noteFreqHz: 100 }, 0, 5);
+  const [delay] = ctx.nodesOf("delay");
+  approx(delay.delayTime.events[0].value, 0.01, "pluck period");
+});
+
+test("takes without a voice play the saw", () => {
+  const { ctx, engine } = createEngine();
+  core.scheduleVoice(ctx, engine.masterGain, { noteFreqHz: 98 }, 0, 5);
+  assert.equal(ctx.nodesOf("oscillator")[0].type, SETTINGS.OSC_TYPE);
+});
+
+test("every filter topology sits between the source and the amp, and the envelope sweeps all of it", () => {
+  for (const filter of core.FILTERS) {
+    const { ctx, engine } = createEngine();
+    const params = { filter: filter.id, noteFreqHz: 110, cutoffHz: 700, resonanceQ: 2 };
+    core.scheduleVoice(ctx, engine.masterGain, params, 0, 5);
+
+    const [osc] = ctx.nodesOf("oscillator");
+    const biquads = ctx.nodesOf("biquad");
+    assert.deepEqual(osc.connections, [biquads[0]], filter.id);
+    const noteGain = ctx.nodesOf("gain").find((g) => g.connections[0] === engine.masterGain);
+    assert.deepEqual(biquads.at(-1).connections, [noteGain], filter.id);
+    for (const f of biquads) {
+      assert.equal(f.frequency.events[0].value, 700, filter.id);
+      assert.equal(f.frequency.events.length, 3, filter.id);
+    }
+  }
+});
+
+test("highpass and bandpass use their biquad type; the ladder peak grows with resonance", () => {
+  const build = (filter, resonanceQ) => {
+    const { ctx, engine } = createEngine();
+    core.scheduleVoice(ctx, engine.masterGain, { filter, noteFreqHz: 110, resonanceQ }, 0, 5);
+    return ctx.nodesOf("biquad");
+  };
+  assert.ok(build("highpass", 2).every((f) => f.type === "highpass"));
+  assert.deepEqual(
+    build("bandpass", 3).map((f) => [f.type, f.Q.events[0].value]),
+    [["bandpass", 3]],
+  );
+
+  const ladder = (k) => build("ladder", k).find((f) => f.type === "peaking");
+  assert.deepEqual(
+    build("ladder", 1).map((f) => f.type),
+    ["lowpass", "lowpass", "peaking", "lowshelf"],
+  );
+  assert.ok(ladder(3).gain.events[0].value > ladder(1).gain.events[0].value);
+  assert.ok(ladder(3).Q.events[0].value > ladder(1).Q.events[0].value);
+});
+
+test("takeNotes: the pattern's steps, transposed to the root, spaced by the tempo", () => {
+  const take = { noteFreqHz: 100, pattern: "bassline", bpm: 120 };
+  const step = 60 / 120 / 4;
+  approx(core.takeSeconds(take), 12 * step, "take length");
+
+  const notes = core.takeNotes(take);
+  const steps = core.PATTERN_BY_ID.bassline.steps;
+  assert.equal(notes.length, steps.filter(Boolean).length);
+  approx(notes[2].time, 2 * step, "third step");
+  approx(notes[2].freqHz, 200, "octave up");
+  approx(notes[0].gateSeconds, 0.5 * step, "gate");
+  assert.equal(notes[0].velocity, 1);
+  assert.equal(notes[1].velocity, SETTINGS.UNACCENTED_LEVEL);
+  // The rest on step 5 is skipped.
+  approx(notes[4].time, 5 * step, "after the rest");
+});
+
+test("takeNotes: takes without a pattern play the original six hits", () => {
+  const notes = core.takeNotes({ noteFreqHz: 98 });
+  assert.equal(notes.length, 6);
+  assert.ok(notes.every((n) => n.freqHz === 98 && n.gateSeconds === null && n.velocity === 1));
+  approx(core.takeSeconds({ noteFreqHz: 98 }), 2, "take length");
+});
+
+test("scheduleVoice: a short gate releases early, at the accent's level", () => {
+  const { ctx, engine } = createEngine();
+  const params = { noteFreqHz: 110, decayMs: 400 };
+  const note = { freqHz: 220, gateSeconds: 0.105, velocity: 0.5 };
+  core.scheduleVoice(ctx, engine.masterGain, params, 1, 6, note);
+
+  const [osc] = ctx.nodesOf("oscillator");
+  assert.equal(osc.frequency.events[0].value, 220);
+  const noteGain = ctx.nodesOf("gain")[1];
+  const ramps = noteGain.gain.events.filter((e) => e.type === "linear");
+  const peak = SETTINGS.VOICE_PEAK_GAIN * 0.5;
+  assert.equal(ramps.length, 3);
+  assert.equal(ramps[0].value, peak);
+  // Gate closes a quarter of the way through the decay.
+  approx(ramps[1].time, 1.105, "gate end");
+  assert.ok(ramps[1].value < peak && ramps[1].value > peak / 2);
+  approx(ramps[2].time, 1.105 + SETTINGS.AMP_RELEASE_SECONDS, "release end");
+  approx(osc.stopTime, 1.105 + SETTINGS.AMP_RELEASE_SECONDS, "stop");
+});
+
+test("playRound: both takes play the same notes at the same offsets", () => {
+  const { ctx, engine } = createEngine();
+  const round = core.generateRound(
+    0,
+    "cutoff",
+    core.createRng(3),
+    null,
+    core.activeKnobs(),
+    core.VOICES[0],
+    core.FILTERS[0],
+    core.PATTERN_BY_ID.arpeggio,
+  );
+  const times = core.playRound(engine, round, 0);
+  const oscs = ctx.nodesOf("oscillator");
+  const half = oscs.length / 2;
+  assert.equal(half, 12);
+  for (let i = 0; i < half; i += 1) {
+    approx(oscs[half + i].startTime - times.bStart, oscs[i].startTime - times.aStart, `note ${i}`);
+    assert.equal(oscs[half + i].frequency.events[0].value, oscs[i].frequency.events[0].value);
+  }
+});
+
+test("backingLoop: the same loop under A and B, kicks and claps on the beat grid", () => {
+  const round = sampleRound();
+  const loop = core.backingLoop(round.takeA);
+  assert.deepEqual(core.backingLoop(round.takeB), loop);
+
+  // 90 BPM, two seconds: three beats.
+  const beat = 60 / SETTINGS.BPM;
+  const at = (kind) => loop.hits.filter((h) => h.kind === kind).map((h) => Math.round((h.time / beat) * 2) / 2);
+  assert.deepEqual(at("kick"), [0, 2, 2.5]);
+  assert.deepEqual(at("clap"), [1]);
+  assert.deepEqual(at("hat"), [0, 0.5, 1, 1.5, 2, 2.5]);
+  assert.ok(loop.hits.every((h) => h.time < core.takeSeconds(round.takeA)));
+  approx(loop.padHz[0], round.takeA.noteFreqHz / 2, "pad root");
+});
+
+test("playBacking: its own level and limiter, joining the takes only at the destination", () => {
+  const { ctx, engine } = createEngine();
+  const take = sampleRound().takeA;
+  const end = core.playBacking(engine, take, 0.5);
+  approx(end, 0.5 + core.takeSeconds(take), "backing end");
+
+  const { gain, limiter } = engine.backing;
+  assert.equal(gain.gain.value, SETTINGS.BACKING_LEVEL);
+  assert.deepEqual(gain.connections, [limiter]);
+  assert.deepEqual(limiter.connections, [ctx.destination]);
+  assert.notEqual(limiter, engine.limiter);
+  assert.deepEqual(engine.masterGain.connections, [engine.analyser]);
+
+  // Three kicks and a three-note pad; the clap and the hats are noise.
+  const oscs = ctx.nodesOf("oscillator");
+  assert.equal(oscs.filter((o) => o.type === "sine").length, 3);
+  assert.equal(oscs.filter((o) => o.type === "triangle").length, SETTINGS.BACKING_PAD_SEMITONES.length);
+  assert.equal(ctx.nodesOf("buffer-source").length, 7);
+
+  // The bus is made once and follows the level setting.
+  const level = SETTINGS.BACKING_LEVEL;
+  try {
+    SETTINGS.BACKING_LEVEL = 0.2;
+    core.playBacking(engine, take, 3);
+    assert.equal(engine.backing.gain, gain);
+    assert.equal(gain.gain.value, 0.2);
+  } finally {
+    SETTINGS.BACKING_LEVEL = level;
+  }
+});
+
+test("renderRound and renderGame: exports keep the levels the takes were played at", async () => {
+  const contexts = [];
+  globalThis.OfflineAudioContext = class extends MockAudioContext {
+    constructor(channels, length, sampleRate) {
+      super(sampleRate);
+      contexts.push(this);
+    }
+
+    startRendering() {
+      return Promise.resolve(this);
+    }
+  };
+  try {
+    const round = sampleRound();
+    const levels = { a: 0.5, b: 1 };
+    const heldLevels = (ctx) => {
+      const master = ctx.nodesOf("gain")[0];
+      return ctx
+        .nodesOf("gain")
+        .filter((g) => g.connections[0] === master)
+        .map((g) => g.gain.events.find((e) => e.type === "linear").value);
+    };
+    assert.deepEqual(heldLevels(await core.renderRound(round, "ab", levels)), [0.5, 1]);
+    assert.deepEqual(heldLevels(await core.renderRound(round, "a", levels)), [0.5]);
+    assert.deepEqual(heldLevels(await core.renderRound(round)), [1, 1]);
+    assert.deepEqual(heldLevels(await core.renderGame([round, round], [levels, { a: 1, b: 0.25 }])), [0.5, 1, 1, 0.25]);
+    assert.equal(contexts.length, 4);
+  } finally {
+    delete globalThis.OfflineAudioContext;
+  }
+});
+
+test("analyzeRound: the reveal looks at the takes at the levels they were played at", async () => {
+  const contexts = [];
+  globalThis.OfflineAudioContext = class extends MockAudioContext {
+    constructor(channels, length, sampleRate) {
+      super(sampleRate);
+      contexts.push(this);
+      this.length = length;
+    }
+
+    startRendering() {
+      return Promise.resolve({ sampleRate: this.sampleRate, getChannelData: () => new Float32Array(this.length) });
+    }
+  };
+  try {
+    const analysis = await core.analyzeRound(sampleRound(), { a: 0.5, b: 1 });
+    assert.ok(analysis.a.length > 0 && analysis.b.length > 0);
+    const heldLevels = contexts.map((ctx) => {
+      const master = ctx.nodesOf("gain")[0];
+      const take = ctx.nodesOf("gain").find((g) => g.connections[0] === master);
+      return take.gain.events.find((e) => e.type === "linear").value;
+    });
+    assert.deepEqual(heldLevels, [0.5, 1]);
+  } finally {
+    delete globalThis.OfflineAudioContext;
+  }
+});
@@ -0,0 +1,311 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const core = require("../core.js");
+
+const { SETTINGS } = core;
+
+const round = core.generateRounds(core.createRng(7))[0];
+const takeLength = core.takeSeconds(round.takeA);
+
+function assertTimesAscending(phases) {
+  for (let i = 1; i < phases.length; i += 1) assert.ok(phases[i].at >= phases[i - 1].at);
+}
+
+test("loop cycle: A, silence, B, silence, then the pause before the repeat", () => {
+  const at = 10;
+  const cycle = core.cycleTimeline(core.TRANSPORT_LOOP, at, round);
+  const times = core.roundTimings(at, round);
+
+  assert.deepEqual(cycle.takes, [
+    { side: "a", start: times.aStart },
+    { side: "b", start: times.bStart },
+  ]);
+  assert.deepEqual(
+    cycle.phases.map((p) => [p.phase, p.side]),
+    [
+      [core.PHASE_A, "a"],
+      [core.PHASE_GAP, null],
+      [core.PHASE_B, "b"],
+      [core.PHASE_GAP, null],
+    ],
+  );
+  assert.deepEqual(
+    cycle.phases.map((p) => p.at),
+    [times.aStart, times.aEnd, times.bStart, times.bEnd],
+  );
+  assertTimesAscending(cycle.phases);
+  assert.equal(cycle.endAt, times.endAt);
+  assert.equal(cycle.nextAt, times.endAt + SETTINGS.LOOP_CYCLE_PAUSE_SECONDS);
+});
+
+test("single-take cycles play only that side", () => {
+  for (const side of [core.TRANSPORT_A, core.TRANSPORT_B]) {
+    const cycle = core.cycleTimeline(side, 2, round);
+    assert.deepEqual(cycle.takes, [{ side, start: 2 }]);
+    assert.equal(cycle.phases[0].phase, core.phaseForSide(side));
+    assert.equal(cycle.phases[0].side, side);
+    assert.equal(cycle.endAt, 2 + takeLength);
+    assert.deepEqual(cycle.phases.at(-1), { at: cycle.endAt, phase: core.PHASE_GAP, side: null });
+  }
+});
+
+test("switch cycle: both takes start together and the audible side is left to the switch", () => {
+  const cycle = core.cycleTimeline(core.TRANSPORT_SWITCH, 4, round);
+  assert.deepEqual(cycle.takes, [
+    { side: "a", start: 4 },
+    { side: "b", start: 4 },
+  ]);
+  assert.equal(cycle.phases[0].side, core.TRANSPORT_SWITCH);
+  assert.equal(cycle.endAt, 4 + takeLength);
+});
+
+test("back-to-back cycles never overlap", () => {
+  for (const transport of [core.TRANSPORT_LOOP, core.TRANSPORT_A, core.TRANSPORT_B, core.TRANSPORT_SWITCH]) {
+    let at = 0;
+    for (let i = 0; i < 20; i += 1) {
+      const cycle = core.cycleTimeline(transport, at, round);
+      assert.ok(cycle.takes.every((t) => t.start >= at));
+      assert.ok(cycle.nextAt > cycle.endAt);
+      at = cycle.nextAt;
+    }
+  }
+});
+
+test("HUD text and lit pills per phase", () => {
+  assert.deepEqual(core.describePhase(core.PHASE_A, "classic"), {
+    statusText: "Take A",
+    aActive: true,
+    bActive: false,
+    announcement: "Take A playing",
+  });
+  assert.deepEqual(core.describePhase(core.PHASE_B, "classic"), {
+    statusText: "Take B",
+    aActive: false,
+    bActive: true,
+    announcement: "Take B playing",
+  });
+  // Silence and the answer phase stay quiet; results are announced on their own.
+  assert.equal(core.describePhase(core.PHASE_GAP, "classic").announcement, null);
+  assert.equal(core.describePhase(core.PHASE_ANSWER, "classic").announcement, null);
+  assert.equal(core.describePhase(core.PHASE_PAUSED, "classic").announcement, "Paused");
+  assert.equal(core.describePhase(core.PHASE_B, "match").announcement, "Yours playing");
+  assert.equal(core.describePhase(core.PHASE_GAP, "classic").statusText, "Silence");
+  assert.equal(core.describePhase(core.PHASE_PAUSED, "classic").statusText, "Paused");
+  assert.equal(core.describePhase(core.PHASE_ANSWER, "classic").statusText, "Answer");
+  assert.equal(core.describePhase(core.PHASE_A, "match").statusText, "Target");
+  assert.equal(core.describePhase(core.PHASE_B, "match").statusText, "Yours");
+});
+
+test("staircase: shrinks after enough correct answers, grows after a miss, records reversals", () => {
+  const sc = core.createStaircase(1, 0.01, 4);
+  for (let i = 0; i < SETTINGS.ADAPTIVE_CORRECT_TO_SHRINK - 1; i += 1) core.updateStaircase(sc, true);
+  assert.equal(sc.level, 1);
+  core.updateStaircase(sc, true);
+  assert.equal(sc.level, SETTINGS.ADAPTIVE_STEP_FACTOR);
+  assert.deepEqual(sc.reversals, []);
+
+  core.updateStaircase(sc, false);
+  assert.ok(Math.abs(sc.level - 1) < 1e-12);
+  assert.deepEqual(sc.reversals, [SETTINGS.ADAPTIVE_STEP_FACTOR]);
+  assert.ok(Math.abs(core.staircaseThreshold(sc) - SETTINGS.ADAPTIVE_STEP_FACTOR) < 1e-12);
+});
+
+test("staircase: level stays inside its bounds", () => {
+  const sc = core.createStaircase(1, 0.5, 2);
+  for (let i = 0; i < 50; i += 1) core.updateStaircase(sc, false);
+  assert.equal(sc.level, 2);
+  for (let i = 0; i < 200; i += 1) core.updateStaircase(sc, true);
+  assert.equal(sc.level, 0.5);
+});
+
+test("adaptive game ends once every knob has enough reversals, or at the round cap", () => {
+  const adaptive = core.createAdaptiveState();
+  assert.equal(core.adaptiveIsDone(adaptive, 0), false);
+  assert.equal(core.adaptiveIsDone(adaptive, SETTINGS.ADAPTIVE_MAX_ROUNDS), true);
+  for (const id of adaptive.knobIds) {
+    adaptive.staircases[id].reversals = new Array(SETTINGS.ADAPTIVE_TARGET_REVERSALS).fill(1);
+  }
+  assert.equal(core.adaptiveIsDone(adaptive, 1), true);
+});
+
+test("answer scoring", () => {
+  assert.deepEqual(core.scoreAnswer(["cutoff"], ["cutoff"]), {
+    hits: ["cutoff"],
+    misses: [],
+    falsePositives: [],
+    credit: 1,
+    isCorrect: true,
+  });
+  const partial = core.scoreAnswer(["cutoff", "decay"], ["cutoff", "resonance"]);
+  assert.equal(partial.credit, 0);
+  assert.equal(partial.isCorrect, false);
+  assert.equal(core.scoreAnswer(["cutoff", "decay"], ["decay"]).credit, 0.5);
+});
+
+test("blitz credit: full when fast, falling to the floor when slow, nothing when wrong", () => {
+  const { BLITZ_FAST_MS: fast, BLITZ_SLOW_MS: slow, BLITZ_MIN_CREDIT: min } = SETTINGS;
+  assert.equal(core.blitzCredit(true, 0), 1);
+  assert.equal(core.blitzCredit(true, fast), 1);
+  assert.ok(Math.abs(core.blitzCredit(true, (fast + slow) / 2) - (1 + min) / 2) < 1e-9);
+  assert.equal(core.blitzCredit(true, slow), min);
+  assert.equal(core.blitzCredit(true, slow * 10), min);
+  assert.equal(core.blitzCredit(true, null), min);
+  assert.equal(core.blitzCredit(false, 0), 0);
+  assert.ok(core.validateSettings(core.mergeSettings({ BLITZ_FAST_MS: 7000, BLITZ_SLOW_MS: 6000 })).length > 0);
+});
+
+test("leaderboard: best score first, faster run breaks ties, cut to size", () => {
+  const at = (s) => new Date(Date.UTC(2024, 0, 1, 0, 0, s));
+  const run = (score, times, s) =>
+    core.buildLeaderboardEntry({
+      seed: 1,
+      mode: "blitz",
+      score,
+      results: times.map((t) => ({ reactionMs: t, responseMs: t + 5000 })),
+      finishedAt: at(s),
+    });
+
+  assert.equal(run(3, [1000, null, 2000], 0).avgMs, 1500);
+  assert.equal(run(0, [null], 0).avgMs, null);
+
+  let board = [];
+  for (const [i, entry] of [run(5, [2000], 0), run(7, [3000], 1), run(5, [1000], 2)].entries()) {
+    const added = core.addLeaderboardEntry(board, entry, 3);
+    assert.ok(added.rank > 0, `run ${i} should place`);
+    board = added.entries;
+  }
+  assert.deepEqual(
+    board.map((e) => [e.score, e.avgMs]),
+    [
+      [7, 3000],
+      [5, 1000],
+      [5, 2000],
+    ],
+  );
+
+  const slow = core.addLeaderboardEntry(board, run(5, [2500], 3), 3);
+  assert.equal(slow.rank, 0);
+  assert.equal(slow.entries.length, 3);
+  const best = core.addLeaderboardEntry(board, run(9, [4000], 4), 3);
+  assert.equal(best.rank, 1);
+  assert.deepEqual(
+    best.entries.map((e) => e.score),
+    [9, 7, 5],
+  );
+});
+
+test("leaderboard keys split by mode and settings, but not by display settings", () => {
+  const base = core.leaderboardKey("classic", {});
+  assert.notEqual(core.leaderboardKey("blitz", {}), base);
+  assert.notEqual(core.leaderboardKey("classic", { ROUNDS_PER_GAME: 5 }), base);
+  assert.equal(core.leaderboardKey("classic", { THEME: "high-contrast" }), base);
+  assert.equal(core.leaderboardKey("classic", { BLITZ_GAME_SECONDS: 30 }), base);
+  assert.notEqual(core.leaderboardKey("blitz", { BLITZ_GAME_SECONDS: 30 }), core.leaderboardKey("blitz", {}));
+  assert.equal(
+    core.leaderboardKey("classic", { BPM: 100, ROUNDS_PER_GAME: 5 }),
+    core.leaderboardKey("classic", { ROUNDS_PER_GAME: 5, BPM: 100 }),
+  );
+});
+
+test("party players: 2 to 6 distinct names", () => {
+  assert.deepEqual(core.parsePlayerNames(" Alice, Bob ,, Cy "), ["Alice", "Bob", "Cy"]);
+  assert.throws(() => core.parsePlayerNames("Alice"), /2 to 6/);
+  assert.throws(() => core.parsePlayerNames("a, b, c, d, e, f, g"), /2 to 6/);
+  assert.throws(() => core.parsePlayerNames("Alice, alice"), /different name/);
+});
+
+test("buzz keys: each player's set maps onto the options in order", () => {
+  const map = core.buzzKeyMap(2, ["decay", "cutoff", "resonance"]);
+  assert.deepEqual(map.q, { player: 0, knobId: "decay" });
+  assert.deepEqual(map.e, { player: 0, knobId: "resonance" });
+  assert.deepEqual(map.i, { player: 1, knobId: "decay" });
+  assert.deepEqual(map.p, { player: 1, knobId: "resonance" });
+  assert.equal(Object.keys(map).length, 6);
+  assert.equal(
+    Object.keys(
+      core.buzzKeyMap(
+        SETTINGS.PARTY_MAX_PLAYERS,
+        core.KNOBS.map((k) => k.id),
+      ),
+    ).length,
+    30,
+  );
+  assert.throws(() => core.buzzKeyMap(SETTINGS.PARTY_MAX_PLAYERS + 1, ["cutoff"]), /buzz keys/);
+});
+
+test("party standings: best first, ties share a place", () => {
+  const standings = core.partyStandings([
+    { name: "A", score: 2 },
+    { name: "B", score: 5 },
+    { name: "C", score: 2 },
+    { name: "D", score: 1 },
+  ]);
+  assert.deepEqual(
+    standings.map((p) => [p.name, p.place]),
+    [
+      ["B", 1],
+      ["A", 2],
+      ["C", 2],
+      ["D", 4],
+    ],
+  );
+});
+
+test("online rooms: the fastest round trip sets the clock offset", () => {
+  assert.equal(core.estimateClockOffset([]), 0);
+  const offset = core.estimateClockOffset([
+    { sent: 1000, serverTime: 6200, received: 1400 },
+    { sent: 2000, serverTime: 7030, received: 2040 },
+  ]);
+  assert.equal(offset, 5010);
+});
+
+test("online rooms: the host's settings apply, except each player's display settings", () => {
+  const host = { ROUNDS_PER_GAME: 4, THEME: "high-contrast" };
+  assert.deepEqual(core.withOwnDisplaySettings(host, { REDUCED_MOTION: "on", BPM: 150 }), {
+    ROUNDS_PER_GAME: 4,
+    REDUCED_MOTION: "on",
+  });
+});
+
+test("settings: overrides round-trip through a link and bad values are rejected", () => {
+  const overrides = { ROUNDS_PER_GAME: 6, ENABLED_KNOBS: ["cutoff", "decay"] };
+  assert.deepEqual(core.decodeSettings(core.encodeSettings(overrides)), overrides);
+  assert.deepEqual(core.validateSettings(core.mergeSettings(overrides)), []);
+  assert.ok(core.validateSettings(core.mergeSettings({ ENABLED_KNOBS: ["cutoff"] })).length > 0);
+  assert.ok(core.validateSettings(core.mergeSettings({ PATTERNS: [] })).length > 0);
+  assert.ok(core.validateSettings(core.mergeSettings({ BPM: 10 })).length > 0);
+  // The pluck's feedback loop can't be tuned above its cap, octave patterns included.
+  assert.deepEqual(core.validateSettings(core.mergeSettings({ VOICES: ["pluck"], PATTERNS: ["octaves"] })), []);
+  assert.ok(core.validateSettings(core.mergeSettings({ VOICES: ["pluck"], NOTE_FREQUENCIES_HZ: [400] })).length > 0);
+  assert.ok(
+    core.validateSettings(core.mergeSettings({ VOICES: ["pluck"], PATTERNS: ["octaves"], NOTE_FREQUENCIES_HZ: [220] }))
+      .length > 0,
+  );
+  assert.throws(() => core.applySettings({ CUTOFF_BASE_HZ_MIN: 3000 }));
+  assert.throws(() => core.decodeSettings("garbage"));
+  assert.equal(SETTINGS.CUTOFF_BASE_HZ_MIN, core.DEFAULT_SETTINGS.CUTOFF_BASE_HZ_MIN);
+});
+
+test("history records keep only the settings overrides", () => {
+  const rounds = core.generateRounds(core.createRng(3));
+  const results = [{ correctKnob: "cutoff", chosenKnob: "cutoff", credit: 1, isCorrect: true }];
+  const rpg = SETTINGS.ROUNDS_PER_GAME;
+  try {
+    SETTINGS.ROUNDS_PER_GAME = 4;
+    const record = core.buildGameRecord({ seed: 3, mode: "classic", rounds, results });
+    assert.deepEqual(record.settings, { ROUNDS_PER_GAME: 4 });
+    assert.equal(core.mergeSettings(record.settings).ROUNDS_PER_GAME, 4);
+  } finally {
+    SETTINGS.ROUNDS_PER_GAME = rpg;
+  }
+});
+
+test("cycles last as long as the round's pattern at its tempo", () => {
+  const fast = { ...round, takeA: { ...round.takeA, pattern: "arpeggio", bpm: 150 } };
+  const cycle = core.cycleTimeline(core.TRANSPORT_A, 0, fast);
+  assert.equal(cycle.endAt, core.takeSeconds(fast.takeA));
+  assert.ok(Math.abs(cycle.endAt - 1.2) < 1e-9);
+});